@@ -0,0 +1,101 @@
+import { parseSteps, trackStep } from '../src/services/directionsService';
+
+// No Google key is needed to read steps, and none is set in tests
+jest.mock('../src/config/keys', () => ({ GOOGLE_API_KEY: 'test-key' }));
+
+// North along one street, east along a second, then north to the destination: ~110 m each
+const steps = [
+  {
+    instruction: 'Head north',
+    maneuver: 'straight',
+    distance: 111,
+    duration: 80,
+    coords: [
+      { latitude: 12.97, longitude: 77.59 },
+      { latitude: 12.971, longitude: 77.59 },
+    ],
+    endLocation: { latitude: 12.971, longitude: 77.59 },
+  },
+  {
+    instruction: 'Turn right',
+    maneuver: 'turn-right',
+    distance: 108,
+    duration: 80,
+    coords: [
+      { latitude: 12.971, longitude: 77.59 },
+      { latitude: 12.971, longitude: 77.591 },
+    ],
+    endLocation: { latitude: 12.971, longitude: 77.591 },
+  },
+  {
+    instruction: 'Turn left',
+    maneuver: 'turn-left',
+    distance: 111,
+    duration: 80,
+    coords: [
+      { latitude: 12.971, longitude: 77.591 },
+      { latitude: 12.972, longitude: 77.591 },
+    ],
+    endLocation: { latitude: 12.972, longitude: 77.591 },
+  },
+];
+
+test('steps come out as plain instructions with a default maneuver', () => {
+  const parsed = parseSteps([
+    {
+      steps: [
+        {
+          html_instructions:
+            'Turn <b>left</b> onto <b>MG&nbsp;Road</b><div>Destination on the right</div>',
+          maneuver: 'turn-left',
+          distance: { value: 120 },
+          duration: { value: 60 },
+          end_location: { lat: 12.97, lng: 77.59 },
+        },
+        { html_instructions: 'Head <b>north</b>' },
+      ],
+    },
+  ]);
+
+  expect(parsed[0].instruction).toBe(
+    'Turn left onto MG Road. Destination on the right',
+  );
+  expect(parsed[0].endLocation).toEqual({ latitude: 12.97, longitude: 77.59 });
+  expect(parsed[1].maneuver).toBe('straight');
+  expect(parsed[1].coords).toEqual([]);
+});
+
+test('the current step holds until its end is reached', () => {
+  const midway = trackStep(steps, 0, { latitude: 12.9705, longitude: 77.59 });
+  expect(midway.index).toBe(0);
+  expect(midway.distanceToManeuver).toBeGreaterThan(50);
+  expect(midway.distanceToManeuver).toBeLessThan(60);
+
+  const atTurn = trackStep(steps, 0, { latitude: 12.97099, longitude: 77.59 });
+  expect(atTurn.index).toBe(1);
+});
+
+test('steps skipped without a fix on them are passed over', () => {
+  const progress = trackStep(steps, 0, {
+    latitude: 12.9715,
+    longitude: 77.591,
+  });
+
+  expect(progress.index).toBe(2);
+});
+
+test('the step never goes back', () => {
+  const progress = trackStep(steps, 2, { latitude: 12.9705, longitude: 77.59 });
+
+  expect(progress.index).toBe(2);
+});
+
+test('on the last step the distance counts down to the destination', () => {
+  const arriving = trackStep(steps, 2, {
+    latitude: 12.97199,
+    longitude: 77.591,
+  });
+
+  expect(arriving.index).toBe(2);
+  expect(arriving.distanceToManeuver).toBeLessThan(5);
+});
@@ -0,0 +1,79 @@
+/**
+ * Scoring inputs for two routes between the same points.
+ *
+ * The scoring agent used to add 15 points to any route whose id ended in '0', so demos
+ * always had a clearly safer route. Demos and tests that need that contrast build it
+ * from these inputs instead: the safer route gets its lead from its signals alone.
+ */
+
+import { SafetyScoringInput } from '../../src/agents/routeSafetyScoringAgent';
+
+const noFlags = {
+  crimeMention: false,
+  lightingIssue: false,
+  womenSafetyConcern: false,
+  policeAdvisory: false,
+};
+
+// Busy main roads in the evening; id ends in '0' like the old demo route
+export const saferRoute: SafetyScoringInput = {
+  routeId: 'route_1700000000000_0',
+  travelTime: 'night',
+  routeSegments: [
+    {
+      id: 'seg_0',
+      segmentType: 'main_road',
+      distance: 1200,
+      estimatedDuration: 180,
+      characteristics: ['shops', 'bus_stop'],
+    },
+    {
+      id: 'seg_1',
+      segmentType: 'main_road',
+      distance: 900,
+      estimatedDuration: 150,
+      characteristics: ['shops'],
+    },
+  ],
+  structuralSignals: [
+    { signalType: 'night_travel', severity: 'medium' },
+    { signalType: 'urban_dense_area', severity: 'low' },
+  ],
+  intelligenceFlags: noFlags,
+};
+
+// Quiet residential shortcut with poor lighting and harassment reports
+export const riskierRoute: SafetyScoringInput = {
+  routeId: 'route_1700000000000_1',
+  travelTime: 'night',
+  routeSegments: [
+    {
+      id: 'seg_0',
+      segmentType: 'residential',
+      distance: 800,
+      estimatedDuration: 200,
+      characteristics: [],
+    },
+    {
+      id: 'seg_1',
+      segmentType: 'unknown',
+      distance: 700,
+      estimatedDuration: 190,
+      characteristics: [],
+    },
+  ],
+  structuralSignals: [
+    { signalType: 'night_travel', severity: 'medium' },
+    {
+      signalType: 'isolated_segment',
+      severity: 'high',
+      affectedSegments: ['seg_1'],
+    },
+    { signalType: 'low_visibility_zone', severity: 'medium' },
+  ],
+  intelligenceFlags: {
+    ...noFlags,
+    lightingIssue: true,
+    womenSafetyConcern: true,
+  },
+};
@@ -0,0 +1,84 @@
+import { createDeviationMonitor } from '../src/services/routeDeviationService';
+
+// A straight street heading north; 0.001° of longitude here is ~108 m
+const route = {
+  coords: [
+    { latitude: 12.97, longitude: 77.59 },
+    { latitude: 12.98, longitude: 77.59 },
+  ],
+};
+
+const START = Date.now();
+const fix = (seconds: number, latitude: number, longitude = 77.59) => ({
+  latitude,
+  longitude,
+  accuracy: 10,
+  timestamp: START + seconds * 1000,
+});
+// ~108 m east of the street, beyond the 80 m + accuracy tolerance
+const offRoute = (seconds: number, latitude: number) =>
+  fix(seconds, latitude, 77.591);
+
+test('one bad fix does not count as leaving the route', () => {
+  const monitor = createDeviationMonitor(route);
+
+  expect(monitor.update(offRoute(0, 12.971))).toBeNull();
+  expect(monitor.update(offRoute(10, 12.972))).toBeNull();
+  expect(monitor.update(offRoute(20, 12.973))).toBeNull();
+  // Back on the street resets the count
+  expect(monitor.update(fix(30, 12.974))).toBeNull();
+  expect(monitor.update(offRoute(40, 12.975))).toBeNull();
+});
+
+test('consecutive off-route fixes report leaving the route', () => {
+  const monitor = createDeviationMonitor(route);
+
+  expect(monitor.update(offRoute(0, 12.971))).toBeNull();
+  expect(monitor.update(offRoute(10, 12.972))).toBeNull();
+  expect(monitor.update(offRoute(20, 12.973))).toBeNull();
+  const deviation = monitor.update(offRoute(30, 12.974));
+
+  expect(deviation?.type).toBe('offRoute');
+  expect(deviation?.distance).toBeGreaterThan(100);
+});
+
+test('heading away from the route is reported before the off-route count', () => {
+  const monitor = createDeviationMonitor(route);
+
+  expect(monitor.update(fix(0, 12.971, 77.5902))).toBeNull();
+  expect(monitor.update(fix(10, 12.972, 77.5908))).toBeNull();
+  expect(monitor.update(fix(20, 12.973, 77.5915))?.type).toBe('turnedAway');
+});
+
+test('after a report the monitor stays quiet until acknowledged, then snoozes', () => {
+  const monitor = createDeviationMonitor(route);
+  [0, 10, 20, 30].forEach(s => monitor.update(offRoute(s, 12.971)));
+
+  // Waiting for the user's answer: nothing more is reported
+  expect(monitor.update(offRoute(40, 12.972))).toBeNull();
+
+  monitor.acknowledge();
+  [50, 60, 70, 80].forEach(s =>
+    expect(monitor.update(offRoute(s, 12.973))).toBeNull(),
+  );
+});
+
+test('a long stop is reported only on an isolated stretch', () => {
+  const isolated = createDeviationMonitor({
+    ...route,
+    isolatedSegments: [
+      {
+        start: { latitude: 12.97, longitude: 77.59 },
+        end: { latitude: 12.975, longitude: 77.59 },
+      },
+    ],
+  });
+  const busy = createDeviationMonitor(route);
+
+  for (const monitor of [isolated, busy]) {
+    expect(monitor.update(fix(0, 12.972))).toBeNull();
+    expect(monitor.update(fix(60, 12.972))).toBeNull();
+  }
+  expect(isolated.update(fix(121, 12.972))?.type).toBe('longStop');
+  expect(busy.update(fix(121, 12.972))).toBeNull();
+});
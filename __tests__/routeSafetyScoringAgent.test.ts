@@ -0,0 +1,186 @@
+import { routeSafetyScoringAgent } from '../src/agents/routeSafetyScoringAgent';
+import { SCORING_PROFILES } from '../src/agents/scoringProfiles';
+import { riskierRoute, saferRoute } from './fixtures/scoringInputs';
+
+test('scores do not depend on the route id', () => {
+  const endsInZero = routeSafetyScoringAgent(saferRoute);
+  const endsInOne = routeSafetyScoringAgent({
+    ...saferRoute,
+    routeId: 'route_1700000000000_1',
+  });
+
+  expect(endsInOne.safetyScore).toBe(endsInZero.safetyScore);
+  expect(endsInZero.reasons).not.toContain('Demonstration safer route');
+});
+
+test('the safer fixture outscores the riskier one on its signals alone', () => {
+  const safer = routeSafetyScoringAgent(saferRoute);
+  const riskier = routeSafetyScoringAgent(riskierRoute);
+
+  expect(safer.safetyScore).toBeGreaterThan(riskier.safetyScore);
+  expect(safer.category).toBe('Safe');
+});
+
+test('reports the profile and version that produced the score', () => {
+  const result = routeSafetyScoringAgent({
+    ...riskierRoute,
+    scoringProfile: 'two-wheeler',
+  });
+
+  expect(result.scoringProfile).toEqual({
+    id: 'two-wheeler',
+    version: SCORING_PROFILES['two-wheeler'].version,
+  });
+});
+
+test('falls back to the default profile', () => {
+  const missing = routeSafetyScoringAgent(riskierRoute);
+  const unknown = routeSafetyScoringAgent({
+    ...riskierRoute,
+    scoringProfile: 'unknown' as any,
+  });
+
+  expect(missing.scoringProfile.id).toBe('default');
+  expect(unknown).toEqual(missing);
+});
+
+test('women-solo weighs isolation and harassment reports more', () => {
+  const byDefault = routeSafetyScoringAgent(riskierRoute);
+  const womenSolo = routeSafetyScoringAgent({
+    ...riskierRoute,
+    scoringProfile: 'women-solo',
+  });
+
+  expect(womenSolo.safetyScore).toBeLessThan(byDefault.safetyScore);
+});
+
+test('scores each segment from the signals that list it', () => {
+  const { segmentScores } = routeSafetyScoringAgent(riskierRoute);
+
+  expect(segmentScores.map(s => s.segmentId)).toEqual(['seg_0', 'seg_1']);
+  expect(segmentScores[1].safetyScore).toBeLessThan(
+    segmentScores[0].safetyScore,
+  );
+  expect(segmentScores[1].reasons).toContain('Isolated stretch');
+});
+
+test('community reports lower the route and the segment they are on', () => {
+  const withReport = routeSafetyScoringAgent({
+    ...saferRoute,
+    communitySignals: [
+      {
+        reportId: 'report_1',
+        category: 'harassment',
+        weight: 1,
+        segmentId: 'seg_1',
+      },
+    ],
+  });
+  const without = routeSafetyScoringAgent(saferRoute);
+
+  expect(withReport.safetyScore).toBeLessThan(without.safetyScore);
+  expect(withReport.segmentScores[0].safetyScore).toBe(
+    without.segmentScores[0].safetyScore,
+  );
+  expect(withReport.segmentScores[1].safetyScore).toBeLessThan(
+    without.segmentScores[1].safetyScore,
+  );
+});
+
+test('mapped street lights replace the reported lighting issue', () => {
+  const noHelpPoints = {
+    police_station: 0,
+    hospital: 0,
+    petrol_pump: 0,
+    open_24x7: 0,
+  };
+  const evidence = {
+    bufferMeters: 50,
+    coverage: {
+      streetlight: true,
+      police_station: true,
+      hospital: false,
+      petrol_pump: false,
+      open_24x7: false,
+    },
+    routeCounts: { ...noHelpPoints, streetlight: 21 },
+    segments: [
+      {
+        segmentId: 'seg_0',
+        distance: 800,
+        counts: { ...noHelpPoints, streetlight: 20 },
+      },
+      {
+        segmentId: 'seg_1',
+        distance: 700,
+        counts: { ...noHelpPoints, streetlight: 1 },
+      },
+    ],
+  };
+
+  const result = routeSafetyScoringAgent({ ...riskierRoute, evidence });
+
+  expect(result.reasons).not.toContain('Poor lighting conditions reported');
+  expect(result.reasons).toContain(
+    'Few mapped street lights on 47% of the route',
+  );
+  expect(result.segmentScores[1].reasons).toContain('Few mapped street lights');
+  expect(result.segmentScores[0].reasons).not.toContain(
+    'Few mapped street lights',
+  );
+});
+
+test('a police station where two segments meet counts once for the route', () => {
+  const noPoints = {
+    streetlight: 0,
+    police_station: 0,
+    hospital: 0,
+    petrol_pump: 0,
+    open_24x7: 0,
+  };
+  const evidence = {
+    bufferMeters: 50,
+    coverage: {
+      streetlight: false,
+      police_station: true,
+      hospital: false,
+      petrol_pump: false,
+      open_24x7: false,
+    },
+    routeCounts: { ...noPoints, police_station: 1 },
+    segments: [
+      {
+        segmentId: 'seg_0',
+        distance: 800,
+        counts: { ...noPoints, police_station: 1 },
+      },
+      {
+        segmentId: 'seg_1',
+        distance: 700,
+        counts: { ...noPoints, police_station: 1 },
+      },
+    ],
+  };
+
+  const result = routeSafetyScoringAgent({ ...saferRoute, evidence });
+
+  expect(result.reasons).toContain(
+    '1 police station, hospital or 24x7 place along the route',
+  );
+  expect(result.segmentScores[0].reasons).toContain(
+    'Police, hospital or 24x7 place nearby',
+  );
+  expect(result.segmentScores[1].reasons).toContain(
+    'Police, hospital or 24x7 place nearby',
+  );
+});
+
+test('a route without segments scores without the urban boost', () => {
+  const result = routeSafetyScoringAgent({ ...saferRoute, routeSegments: [] });
+
+  expect(Number.isNaN(result.safetyScore)).toBe(false);
+  expect(result.reasons).not.toContain(
+    'Urban landmark route with regular activity',
+  );
+  expect(result.segmentScores).toEqual([]);
+});
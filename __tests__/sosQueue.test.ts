@@ -0,0 +1,83 @@
+import sosQueue from '../src/services/sosQueue';
+import sosService from '../src/services/sosService';
+import safetyPinService from '../src/services/safetyPinService';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+jest.mock('../src/services/sosService', () => ({
+  __esModule: true,
+  default: { triggerSOS: jest.fn() },
+}));
+jest.mock('../src/services/safetyPinService', () => ({
+  __esModule: true,
+  default: { getSafetyPins: jest.fn() },
+}));
+
+const triggerSOS = sosService.triggerSOS as jest.Mock;
+const getSafetyPins = safetyPinService.getSafetyPins as jest.Mock;
+
+const payload = {
+  userName: 'Asha',
+  latitude: 12.97,
+  longitude: 77.59,
+  timestamp: '2026-10-19T18:00:00.000Z',
+  safetyPin: '1234',
+  duressPin: '9999',
+};
+
+const httpError = (status: number, data: object) =>
+  Object.assign(new Error('Failed to trigger SOS'), { status, data });
+
+beforeEach(async () => {
+  await sosQueue.clearQueue();
+  triggerSOS.mockReset();
+  getSafetyPins.mockResolvedValue({ safetyPin: '4321', duressPin: '' });
+});
+
+test('a queued SOS keeps no PINs and sends the ones set at retry time', async () => {
+  await sosQueue.enqueueSOS(payload, new Error('Network request failed'));
+
+  const [entry] = await sosQueue.getQueuedSOS();
+  expect(entry.payload).not.toHaveProperty('safetyPin');
+  expect(entry.payload).not.toHaveProperty('duressPin');
+
+  triggerSOS.mockResolvedValue({ success: true });
+  const { sent } = await sosQueue.processQueue({ force: true });
+
+  expect(sent).toHaveLength(1);
+  expect(triggerSOS).toHaveBeenCalledWith(
+    expect.objectContaining({ safetyPin: '4321', duressPin: undefined }),
+  );
+  expect(await sosQueue.getQueuedSOS()).toEqual([]);
+});
+
+test('server errors and rate limits are retryable, other refusals are not', () => {
+  expect(sosQueue.isRetryable(new Error('Network request failed'))).toBe(true);
+  expect(sosQueue.isRetryable(httpError(500, { success: false }))).toBe(true);
+  expect(
+    sosQueue.isRetryable(
+      httpError(429, { code: 'rate_limited', retryAfterSeconds: 30 }),
+    ),
+  ).toBe(true);
+  expect(sosQueue.isRetryable(httpError(400, { success: false }))).toBe(false);
+});
+
+test('a rate-limited SOS waits for the limit before its next attempt', async () => {
+  const entry = await sosQueue.enqueueSOS(
+    payload,
+    httpError(429, { code: 'rate_limited', retryAfterSeconds: 30 }),
+  );
+
+  expect(entry.nextAttemptAt - Date.now()).toBeGreaterThan(25000);
+});
+
+test('a queued SOS expires after minutes, not hours', async () => {
+  await sosQueue.enqueueSOS(payload, null);
+  const [entry] = await sosQueue.getQueuedSOS();
+  await sosQueue.updateQueuedSOS(entry.id, {
+    queuedAt: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+  });
+
+  expect(await sosQueue.getQueuedSOS()).toEqual([]);
+});
@@ -0,0 +1,121 @@
+package com.saferaastaai
+
+import android.content.Intent
+import android.util.Base64
+import androidx.core.content.ContextCompat
+import com.facebook.react.bridge.Arguments
+import com.facebook.react.bridge.Promise
+import com.facebook.react.bridge.ReactApplicationContext
+import com.facebook.react.bridge.ReactContextBaseJavaModule
+import com.facebook.react.bridge.ReactMethod
+import com.facebook.react.modules.core.DeviceEventManagerModule
+import java.io.File
+
+/**
+ * JS side of [EvidenceRecordingService]. Emits "EvidenceChunk"
+ * ({ incidentId, sequence, path, iv, startedAt, durationMs, mimeType }) for every encrypted
+ * chunk and "EvidenceError" ({ message }) when recording fails.
+ */
+class EvidenceRecorderModule(private val reactContext: ReactApplicationContext) :
+    ReactContextBaseJavaModule(reactContext) {
+
+  override fun getName(): String = NAME
+
+  override fun initialize() {
+    super.initialize()
+    instance = this
+  }
+
+  override fun invalidate() {
+    if (instance === this) instance = null
+    super.invalidate()
+  }
+
+  @ReactMethod
+  fun start(incidentId: String, keyBase64: String, chunkSeconds: Int, firstSequence: Int) {
+    val intent =
+        Intent(reactContext, EvidenceRecordingService::class.java).apply {
+          putExtra(EvidenceRecordingService.EXTRA_INCIDENT_ID, incidentId)
+          putExtra(EvidenceRecordingService.EXTRA_KEY, keyBase64)
+          putExtra(EvidenceRecordingService.EXTRA_CHUNK_MS, chunkSeconds * 1000L)
+          putExtra(EvidenceRecordingService.EXTRA_FIRST_SEQUENCE, firstSequence)
+        }
+    ContextCompat.startForegroundService(reactContext, intent)
+  }
+
+  @ReactMethod
+  fun stop() {
+    reactContext.stopService(Intent(reactContext, EvidenceRecordingService::class.java))
+  }
+
+  /** Base64 ciphertext of a buffered chunk, for upload */
+  @ReactMethod
+  fun readChunk(path: String, promise: Promise) {
+    try {
+      promise.resolve(Base64.encodeToString(chunkFile(path).readBytes(), Base64.NO_WRAP))
+    } catch (error: Exception) {
+      promise.reject("E_EVIDENCE_READ", error.message, error)
+    }
+  }
+
+  @ReactMethod
+  fun deleteChunk(path: String, promise: Promise) {
+    try {
+      promise.resolve(chunkFile(path).delete())
+    } catch (error: Exception) {
+      promise.reject("E_EVIDENCE_DELETE", error.message, error)
+    }
+  }
+
+  // Required by NativeEventEmitter
+  @ReactMethod fun addListener(eventName: String) {}
+
+  @ReactMethod fun removeListeners(count: Int) {}
+
+  // Only files inside the evidence cache directory can be read or deleted from JS
+  private fun chunkFile(path: String): File {
+    val dir = File(reactContext.cacheDir, "evidence").canonicalFile
+    val file = File(path).canonicalFile
+    require(file.parentFile == dir) { "Not an evidence chunk" }
+    return file
+  }
+
+  private fun emit(eventName: String, params: Any?) {
+    if (!reactContext.hasActiveReactInstance()) return
+    reactContext
+        .getJSModule(DeviceEventManagerModule.RCTDeviceEventEmitter::class.java)
+        .emit(eventName, params)
+  }
+
+  companion object {
+    const val NAME = "EvidenceRecorder"
+
+    private var instance: EvidenceRecorderModule? = null
+
+    fun onChunk(
+        incidentId: String,
+        sequence: Int,
+        path: String,
+        iv: String,
+        startedAt: Long,
+        durationMs: Long
+    ) {
+      val params =
+          Arguments.createMap().apply {
+            putString("incidentId", incidentId)
+            putInt("sequence", sequence)
+            putString("path", path)
+            putString("iv", iv)
+            putDouble("startedAt", startedAt.toDouble())
+            putDouble("durationMs", durationMs.toDouble())
+            putString("mimeType", "audio/mp4")
+          }
+      // With JS gone the file stays in the cache; the buffer only knows chunks JS has seen
+      instance?.emit("EvidenceChunk", params)
+    }
+
+    fun onError(message: String) {
+      instance?.emit("EvidenceError", Arguments.createMap().apply { putString("message", message) })
+    }
+  }
+}
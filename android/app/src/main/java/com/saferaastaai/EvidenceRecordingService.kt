@@ -0,0 +1,178 @@
+package com.saferaastaai
+
+import android.app.NotificationChannel
+import android.app.NotificationManager
+import android.app.Service
+import android.content.Intent
+import android.content.pm.ServiceInfo
+import android.media.MediaRecorder
+import android.os.Build
+import android.os.Handler
+import android.os.IBinder
+import android.os.Looper
+import android.util.Base64
+import androidx.core.app.NotificationCompat
+import java.io.File
+import java.security.SecureRandom
+import javax.crypto.Cipher
+import javax.crypto.spec.GCMParameterSpec
+import javax.crypto.spec.SecretKeySpec
+
+/**
+ * Foreground service that records the microphone in fixed-length chunks while an SOS is open,
+ * so recording carries on with the screen off or the app in the background.
+ *
+ * Every finished chunk is encrypted with AES-256-GCM using the incident key from the backend;
+ * the plain recording is deleted straight away and only "<name>.enc" stays in the cache until
+ * JS has uploaded it. Finished chunks are handed to [EvidenceRecorderModule.onChunk].
+ */
+class EvidenceRecordingService : Service() {
+
+  private val handler = Handler(Looper.getMainLooper())
+  private var recorder: MediaRecorder? = null
+  private var currentFile: File? = null
+  private var chunkStartedAt = 0L
+
+  private var incidentId = ""
+  private var key: ByteArray = ByteArray(0)
+  private var chunkMs = DEFAULT_CHUNK_MS
+  private var sequence = 0
+
+  private val rollOver = Runnable { finishChunk(startNext = true) }
+
+  override fun onBind(intent: Intent?): IBinder? = null
+
+  override fun onStartCommand(intent: Intent?, flags: Int, startId: Int): Int {
+    if (intent == null) {
+      // Restarted by the system without the incident key: nothing can be encrypted
+      stopSelf()
+      return START_NOT_STICKY
+    }
+
+    startInForeground()
+    finishChunk(startNext = false)
+
+    incidentId = intent.getStringExtra(EXTRA_INCIDENT_ID) ?: ""
+    key = Base64.decode(intent.getStringExtra(EXTRA_KEY) ?: "", Base64.DEFAULT)
+    chunkMs = intent.getLongExtra(EXTRA_CHUNK_MS, DEFAULT_CHUNK_MS)
+    sequence = intent.getIntExtra(EXTRA_FIRST_SEQUENCE, 0)
+
+    startChunk()
+    return START_NOT_STICKY
+  }
+
+  override fun onDestroy() {
+    finishChunk(startNext = false)
+    super.onDestroy()
+  }
+
+  // Neutral wording: during a silent SOS whoever holds the phone may read the notification
+  private fun startInForeground() {
+    val manager = getSystemService(NotificationManager::class.java)
+    if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.O) {
+      manager.createNotificationChannel(
+          NotificationChannel(CHANNEL_ID, "Safety", NotificationManager.IMPORTANCE_MIN))
+    }
+    val notification =
+        NotificationCompat.Builder(this, CHANNEL_ID)
+            .setContentTitle("SafeRaasta")
+            .setContentText("Safety session active")
+            .setSmallIcon(R.mipmap.ic_launcher)
+            .setPriority(NotificationCompat.PRIORITY_MIN)
+            .setOngoing(true)
+            .build()
+
+    if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.Q) {
+      startForeground(NOTIFICATION_ID, notification, ServiceInfo.FOREGROUND_SERVICE_TYPE_MICROPHONE)
+    } else {
+      startForeground(NOTIFICATION_ID, notification)
+    }
+  }
+
+  private fun startChunk() {
+    val dir = File(cacheDir, "evidence").apply { mkdirs() }
+    val file = File(dir, "$incidentId-$sequence.m4a")
+
+    @Suppress("DEPRECATION")
+    val next =
+        if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.S) MediaRecorder(this) else MediaRecorder()
+    try {
+      next.apply {
+        setAudioSource(MediaRecorder.AudioSource.MIC)
+        setOutputFormat(MediaRecorder.OutputFormat.MPEG_4)
+        setAudioEncoder(MediaRecorder.AudioEncoder.AAC)
+        setAudioChannels(1)
+        setAudioSamplingRate(22050)
+        setAudioEncodingBitRate(32000)
+        setOutputFile(file.absolutePath)
+        prepare()
+        start()
+      }
+    } catch (error: Exception) {
+      next.release()
+      file.delete()
+      EvidenceRecorderModule.onError("Could not start recording: ${error.message}")
+      stopSelf()
+      return
+    }
+
+    recorder = next
+    currentFile = file
+    chunkStartedAt = System.currentTimeMillis()
+    handler.postDelayed(rollOver, chunkMs)
+  }
+
+  private fun finishChunk(startNext: Boolean) {
+    handler.removeCallbacks(rollOver)
+    val active = recorder ?: return
+    val file = currentFile ?: return
+    recorder = null
+    currentFile = null
+
+    val durationMs = System.currentTimeMillis() - chunkStartedAt
+    val recorded =
+        try {
+          active.stop()
+          true
+        } catch (error: RuntimeException) {
+          // stop() throws when nothing was captured yet
+          false
+        } finally {
+          active.release()
+        }
+
+    if (recorded) {
+      try {
+        val encrypted = File(file.parentFile, "${file.nameWithoutExtension}.enc")
+        val iv = encrypt(file, encrypted)
+        EvidenceRecorderModule.onChunk(
+            incidentId, sequence, encrypted.absolutePath, iv, chunkStartedAt, durationMs)
+      } catch (error: Exception) {
+        EvidenceRecorderModule.onError("Could not encrypt recording: ${error.message}")
+      }
+    }
+    file.delete()
+    sequence += 1
+
+    if (startNext) startChunk()
+  }
+
+  /** Writes ciphertext + GCM tag to [target]; returns the base64 IV */
+  private fun encrypt(source: File, target: File): String {
+    val iv = ByteArray(12).also { SecureRandom().nextBytes(it) }
+    val cipher = Cipher.getInstance("AES/GCM/NoPadding")
+    cipher.init(Cipher.ENCRYPT_MODE, SecretKeySpec(key, "AES"), GCMParameterSpec(128, iv))
+    target.writeBytes(cipher.doFinal(source.readBytes()))
+    return Base64.encodeToString(iv, Base64.NO_WRAP)
+  }
+
+  companion object {
+    const val EXTRA_INCIDENT_ID = "incidentId"
+    const val EXTRA_KEY = "key"
+    const val EXTRA_CHUNK_MS = "chunkMs"
+    const val EXTRA_FIRST_SEQUENCE = "firstSequence"
+    private const val DEFAULT_CHUNK_MS = 30_000L
+    private const val CHANNEL_ID = "safety_session"
+    private const val NOTIFICATION_ID = 4711
+  }
+}
@@ -1,5 +1,6 @@
 package com.saferaastaai
 
+import android.view.KeyEvent
 import com.facebook.react.ReactActivity
 import com.facebook.react.ReactActivityDelegate
 import com.facebook.react.defaults.DefaultNewArchitectureEntryPoint.fabricEnabled
@@ -19,4 +20,10 @@ class MainActivity : ReactActivity() {
    */
   override fun createReactActivityDelegate(): ReactActivityDelegate =
       DefaultReactActivityDelegate(this, mainComponentName, fabricEnabled)
+
+  /** Forwards volume key presses to the hands-free SOS trigger; the volume still changes as usual */
+  override fun onKeyDown(keyCode: Int, event: KeyEvent): Boolean {
+    if (event.repeatCount == 0) SosTriggerModule.onHardwareKey(keyCode)
+    return super.onKeyDown(keyCode, event)
+  }
 }
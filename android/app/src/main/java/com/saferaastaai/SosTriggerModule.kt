@@ -0,0 +1,151 @@
+package com.saferaastaai
+
+import android.content.BroadcastReceiver
+import android.content.Context
+import android.content.Intent
+import android.content.IntentFilter
+import android.hardware.Sensor
+import android.hardware.SensorEvent
+import android.hardware.SensorEventListener
+import android.hardware.SensorManager
+import android.view.KeyEvent
+import com.facebook.react.bridge.Arguments
+import com.facebook.react.bridge.ReactApplicationContext
+import com.facebook.react.bridge.ReactContextBaseJavaModule
+import com.facebook.react.bridge.ReactMethod
+import com.facebook.react.modules.core.DeviceEventManagerModule
+import kotlin.math.sqrt
+
+/**
+ * Hands-free SOS triggers. Emits "SosTriggerShake" when the phone is shaken hard enough,
+ * and "SosTriggerKey" ({ key: "volume_up" | "volume_down" | "power" }) for hardware key presses.
+ * Volume keys come from MainActivity.onKeyDown, so they are only seen while the app is in the
+ * foreground; power presses (screen on/off) are seen while the app process is running.
+ * Matching key presses to a sequence is left to JS.
+ */
+class SosTriggerModule(private val reactContext: ReactApplicationContext) :
+    ReactContextBaseJavaModule(reactContext), SensorEventListener {
+
+  private val sensorManager =
+      reactContext.getSystemService(Context.SENSOR_SERVICE) as SensorManager
+
+  // Shake detection: peaks above thresholdG, at least SHAKE_MIN_GAP_MS apart,
+  // requiredShakes of them within SHAKE_WINDOW_MS
+  private var thresholdG = 2.7
+  private var requiredShakes = 3
+  private val shakeTimes = ArrayDeque<Long>()
+  private var lastShakeEventAt = 0L
+
+  // The power button never reaches apps; each press turns the screen off or on instead
+  private val screenReceiver =
+      object : BroadcastReceiver() {
+        override fun onReceive(context: Context, intent: Intent) {
+          emitKey("power")
+        }
+      }
+  private var listeningForPower = false
+
+  override fun getName(): String = NAME
+
+  override fun initialize() {
+    super.initialize()
+    instance = this
+  }
+
+  override fun invalidate() {
+    stopShakeDetection()
+    stopPowerKeyDetection()
+    if (instance === this) instance = null
+    super.invalidate()
+  }
+
+  @ReactMethod
+  fun startShakeDetection(threshold: Double, shakes: Int) {
+    thresholdG = threshold
+    requiredShakes = shakes
+    shakeTimes.clear()
+    sensorManager.unregisterListener(this)
+    sensorManager.getDefaultSensor(Sensor.TYPE_ACCELEROMETER)?.let {
+      sensorManager.registerListener(this, it, SensorManager.SENSOR_DELAY_GAME)
+    }
+  }
+
+  @ReactMethod
+  fun stopShakeDetection() {
+    sensorManager.unregisterListener(this)
+    shakeTimes.clear()
+  }
+
+  @ReactMethod
+  fun startPowerKeyDetection() {
+    if (listeningForPower) return
+    val filter =
+        IntentFilter().apply {
+          addAction(Intent.ACTION_SCREEN_OFF)
+          addAction(Intent.ACTION_SCREEN_ON)
+        }
+    reactContext.registerReceiver(screenReceiver, filter)
+    listeningForPower = true
+  }
+
+  @ReactMethod
+  fun stopPowerKeyDetection() {
+    if (!listeningForPower) return
+    reactContext.unregisterReceiver(screenReceiver)
+    listeningForPower = false
+  }
+
+  // Required by NativeEventEmitter
+  @ReactMethod fun addListener(eventName: String) {}
+
+  @ReactMethod fun removeListeners(count: Int) {}
+
+  override fun onSensorChanged(event: SensorEvent) {
+    val (x, y, z) = event.values
+    val gForce = sqrt(x * x + y * y + z * z) / SensorManager.GRAVITY_EARTH
+    if (gForce < thresholdG) return
+
+    val now = System.currentTimeMillis()
+    if (shakeTimes.isNotEmpty() && now - shakeTimes.last() < SHAKE_MIN_GAP_MS) return
+
+    shakeTimes.addLast(now)
+    while (now - shakeTimes.first() > SHAKE_WINDOW_MS) shakeTimes.removeFirst()
+
+    if (shakeTimes.size >= requiredShakes && now - lastShakeEventAt > SHAKE_COOLDOWN_MS) {
+      lastShakeEventAt = now
+      shakeTimes.clear()
+      emit("SosTriggerShake", null)
+    }
+  }
+
+  override fun onAccuracyChanged(sensor: Sensor, accuracy: Int) {}
+
+  private fun emitKey(key: String) {
+    val params = Arguments.createMap().apply { putString("key", key) }
+    emit("SosTriggerKey", params)
+  }
+
+  private fun emit(eventName: String, params: Any?) {
+    if (!reactContext.hasActiveReactInstance()) return
+    reactContext
+        .getJSModule(DeviceEventManagerModule.RCTDeviceEventEmitter::class.java)
+        .emit(eventName, params)
+  }
+
+  companion object {
+    const val NAME = "SosTrigger"
+    private const val SHAKE_MIN_GAP_MS = 250L
+    private const val SHAKE_WINDOW_MS = 1500L
+    private const val SHAKE_COOLDOWN_MS = 3000L
+
+    private var instance: SosTriggerModule? = null
+
+    /** Called from MainActivity for every key press while the app is in the foreground */
+    fun onHardwareKey(keyCode: Int) {
+      when (keyCode) {
+        KeyEvent.KEYCODE_VOLUME_UP -> instance?.emitKey("volume_up")
+        KeyEvent.KEYCODE_VOLUME_DOWN -> instance?.emitKey("volume_down")
+      }
+    }
+  }
+}
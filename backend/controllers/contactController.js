@@ -0,0 +1,208 @@
+/**
+ * SafeRaasta Contact Controller
+ * Emergency contact invitations: the user invites a contact, the contact accepts
+ * through a public opt-in page or by reading their one-time code back to the user
+ */
+
+import {
+  isE164,
+  listContactConsents,
+  inviteContact as sendContactInvite,
+  getContactInvite,
+  respondToInvite,
+  verifyContactCode,
+} from '../services/contactService.js';
+import { escapeHtml, renderPage } from '../views/page.js';
+
+function buildConsentLink(req, token) {
+  const baseUrl =
+    process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl.replace(/\/$/, '')}/api/contacts/consent/${token}`;
+}
+
+/**
+ * Consent status of each contact in the user's profile. Only the backend records consent,
+ * so this is the app's source for it.
+ */
+export async function listContacts(req, res) {
+  try {
+    const contacts = await listContactConsents(req.uid);
+    if (!contacts) {
+      return res
+        .status(503)
+        .json({ success: false, error: 'Emergency contacts unavailable' });
+    }
+
+    return res.status(200).json({ success: true, contacts });
+  } catch (error) {
+    console.error('Contact list error', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+    });
+  }
+}
+
+/**
+ * Send (or resend) an invitation to a contact stored in the user's profile
+ */
+export async function inviteContact(req, res) {
+  try {
+    const phone =
+      typeof req.body?.phone === 'string' ? req.body.phone.trim() : '';
+    if (!isE164(phone)) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Phone number is not in E.164 format' });
+    }
+
+    const result = await sendContactInvite(req.uid, phone, token =>
+      buildConsentLink(req, token),
+    );
+    if (!result) {
+      return res
+        .status(503)
+        .json({ success: false, error: 'Emergency contacts unavailable' });
+    }
+    if (!result.ok) {
+      return res
+        .status(result.status)
+        .json({ success: false, error: result.error });
+    }
+
+    return res
+      .status(200)
+      .json({ success: true, status: 'pending', channel: result.channel });
+  } catch (error) {
+    console.error('Contact invite error', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+    });
+  }
+}
+
+/**
+ * The user enters the one-time code their contact received
+ */
+export async function verifyContact(req, res) {
+  try {
+    const { phone, code } = req.body || {};
+    if (!isE164(phone) || !code) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Missing phone or code' });
+    }
+
+    const result = await verifyContactCode(req.uid, phone, code);
+    if (!result) {
+      return res
+        .status(503)
+        .json({ success: false, error: 'Emergency contacts unavailable' });
+    }
+    if (!result.ok) {
+      return res
+        .status(result.status)
+        .json({ success: false, error: result.error });
+    }
+
+    return res.status(200).json({ success: true, status: 'verified' });
+  } catch (error) {
+    console.error('Contact verification error', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+    });
+  }
+}
+
+/**
+ * Public opt-in page linked from the invitation SMS
+ */
+export async function showConsentPage(req, res) {
+  try {
+    const invite = await getContactInvite(req.params.token);
+    if (!invite) {
+      return res
+        .status(404)
+        .send(
+          renderPage(
+            'Invitation not found',
+            '<p>This invitation has expired or was already answered.</p>',
+          ),
+        );
+    }
+
+    return res.status(200).send(
+      renderPage(
+        'Be an emergency contact?',
+        `<p>${escapeHtml(invite.userName)} wants to add you (${escapeHtml(
+          invite.name,
+        )}) as an emergency contact on SafeRaasta.</p>
+  <p>If they trigger an SOS, you may get an automated call and a message with their live location.</p>
+  <form method="post">
+    <button class="accept" name="decision" value="accept">Accept</button>
+    <button class="decline" name="decision" value="decline">Decline</button>
+  </form>`,
+      ),
+    );
+  } catch (error) {
+    console.error('Consent page error', error);
+    return res.status(500).send('Unable to load this invitation right now.');
+  }
+}
+
+export async function submitConsent(req, res) {
+  try {
+    const decision = req.body?.decision;
+    if (decision !== 'accept' && decision !== 'decline') {
+      return res
+        .status(400)
+        .send(
+          renderPage(
+            'Invalid answer',
+            '<p>Please use the Accept or Decline button.</p>',
+          ),
+        );
+    }
+
+    const invite = await getContactInvite(req.params.token);
+    if (!invite) {
+      return res
+        .status(404)
+        .send(
+          renderPage(
+            'Invitation not found',
+            '<p>This invitation has expired or was already answered.</p>',
+          ),
+        );
+    }
+
+    await respondToInvite(invite, decision);
+    console.log('Emergency contact answered invitation', {
+      uid: invite.uid,
+      decision,
+    });
+
+    return res
+      .status(200)
+      .send(
+        decision === 'accept'
+          ? renderPage(
+              'Thank you',
+              `<p>You are now an emergency contact for ${escapeHtml(
+                invite.userName,
+              )}.</p>`,
+            )
+          : renderPage(
+              'Declined',
+              `<p>You will not be contacted for ${escapeHtml(
+                invite.userName,
+              )}'s SOS alerts.</p>`,
+            ),
+      );
+  } catch (error) {
+    console.error('Consent submit error', error);
+    return res.status(500).send('Unable to save your answer right now.');
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * SafeRaasta Dataset Controller
+ * Measured evidence for route scoring: how many street lights, police stations, hospitals
+ * and 24x7 businesses from the loaded open datasets lie along each route segment, and the safe
+ * havens (police, hospitals, petrol pumps, 24x7 stores) someone can head to from the route
+ */
+
+import {
+  listDatasets,
+  countAlongSegments,
+  listPointsAlong,
+  HAVEN_KINDS,
+} from '../services/geoDatasetStore.js';
+import { isPoint, spanMeters } from '../services/routeProgress.js';
+
+const DEFAULT_BUFFER_M = 50;
+const MAX_BUFFER_M = 200;
+// Enough for a few alternative city routes cut into ~500 m segments
+const MAX_SEGMENTS = 300;
+const MAX_POINTS_PER_SEGMENT = 500;
+// The app cuts routes into ~500 m segments; a wider one is not a route segment
+const MAX_SEGMENT_SPAN_M = 5000;
+// Safe havens: a short detour off the route, at most this far
+const DEFAULT_HAVEN_BUFFER_M = 500;
+const MAX_HAVEN_BUFFER_M = 2000;
+const MAX_ROUTE_POINTS = 1000;
+// A city trip; a wider box is not a route the app would send
+const MAX_ROUTE_SPAN_M = 50000;
+const MAX_HAVENS = 100;
+
+/**
+ * Loaded datasets with their point counts and bounds
+ */
+export async function getDatasets(req, res) {
+  try {
+    return res.status(200).json({ success: true, datasets: listDatasets() });
+  } catch (error) {
+    console.error('Dataset list error', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+    });
+  }
+}
+
+/**
+ * { segments: [{ id, coords: [{ latitude, longitude }] }], bufferMeters? }
+ * -> { coverage: { streetlight: true, ... }, routeCounts: { streetlight: 30, ... },
+ *      segments: [{ id, counts: { streetlight: 12, ... } }] }
+ */
+export async function countRoutePoints(req, res) {
+  try {
+    const { segments, bufferMeters = DEFAULT_BUFFER_M } = req.body || {};
+
+    if (
+      !Array.isArray(segments) ||
+      segments.length === 0 ||
+      segments.length > MAX_SEGMENTS
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `segments must list 1-${MAX_SEGMENTS} segments`,
+      });
+    }
+    const valid = segments.every(
+      s =>
+        typeof s?.id === 'string' &&
+        Array.isArray(s.coords) &&
+        s.coords.length > 0 &&
+        s.coords.length <= MAX_POINTS_PER_SEGMENT &&
+        s.coords.every(isPoint),
+    );
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        error: `Each segment needs an id and 1-${MAX_POINTS_PER_SEGMENT} coords`,
+      });
+    }
+    if (segments.some(s => spanMeters(s.coords) > MAX_SEGMENT_SPAN_M)) {
+      return res.status(400).json({
+        success: false,
+        error: `Each segment must span at most ${MAX_SEGMENT_SPAN_M} m`,
+      });
+    }
+    if (
+      !Number.isFinite(bufferMeters) ||
+      bufferMeters <= 0 ||
+      bufferMeters > MAX_BUFFER_M
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `bufferMeters must be between 1 and ${MAX_BUFFER_M}`,
+      });
+    }
+
+    const {
+      coverage,
+      routeCounts,
+      segments: counted,
+    } = countAlongSegments(
+      segments.map(s => ({
+        id: s.id,
+        coords: s.coords.map(p => ({
+          latitude: p.latitude,
+          longitude: p.longitude,
+        })),
+      })),
+      bufferMeters,
+    );
+
+    return res.status(200).json({
+      success: true,
+      bufferMeters,
+      coverage,
+      routeCounts,
+      segments: counted,
+    });
+  } catch (error) {
+    console.error('Route point count error', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+    });
+  }
+}
+
+/**
+ * { coords: [{ latitude, longitude }], bufferMeters? }
+ * -> { havens: [{ kind, name, latitude, longitude, distanceFromRoute }] }, closest to the route first
+ */
+export async function listSafeHavens(req, res) {
+  try {
+    const { coords, bufferMeters = DEFAULT_HAVEN_BUFFER_M } = req.body || {};
+
+    if (
+      !Array.isArray(coords) ||
+      coords.length === 0 ||
+      coords.length > MAX_ROUTE_POINTS ||
+      !coords.every(isPoint)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `coords must list 1-${MAX_ROUTE_POINTS} route points`,
+      });
+    }
+    if (spanMeters(coords) > MAX_ROUTE_SPAN_M) {
+      return res.status(400).json({
+        success: false,
+        error: `The route must span at most ${MAX_ROUTE_SPAN_M} m`,
+      });
+    }
+    if (
+      !Number.isFinite(bufferMeters) ||
+      bufferMeters <= 0 ||
+      bufferMeters > MAX_HAVEN_BUFFER_M
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `bufferMeters must be between 1 and ${MAX_HAVEN_BUFFER_M}`,
+      });
+    }
+
+    const havens = listPointsAlong(
+      coords.map(p => ({ latitude: p.latitude, longitude: p.longitude })),
+      bufferMeters,
+      HAVEN_KINDS,
+    );
+
+    return res.status(200).json({
+      success: true,
+      bufferMeters,
+      havens: havens.slice(0, MAX_HAVENS),
+    });
+  } catch (error) {
+    console.error('Safe haven list error', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+    });
+  }
+}
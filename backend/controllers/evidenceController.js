@@ -0,0 +1,228 @@
+/**
+ * SafeRaasta Evidence Controller
+ * Encrypted audio chunks uploaded by the app during an SOS, and the expiring
+ * public links through which contacts and authorities can listen to them
+ */
+
+import {
+  getIncident,
+  addTimelineEvent,
+  updateIncident,
+} from '../services/incidentStore.js';
+import {
+  storeEvidenceChunk,
+  listEvidenceChunks,
+  decryptEvidenceChunk,
+  createEvidenceLink,
+  findEvidenceLink,
+  isAudioMimeType,
+} from '../services/evidenceService.js';
+import { escapeHtml, renderPage } from '../views/page.js';
+
+async function getOwnIncident(req) {
+  const incident = await getIncident(req.params.incidentId);
+  return incident && incident.uid === req.uid ? incident : null;
+}
+
+function buildEvidenceLink(req, token) {
+  const baseUrl =
+    process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl.replace(/\/$/, '')}/api/evidence/${token}`;
+}
+
+/**
+ * One encrypted audio chunk from the app: { sequence, iv, data, mimeType, startedAt, durationMs }
+ */
+export async function uploadEvidence(req, res) {
+  try {
+    const incident = await getOwnIncident(req);
+    if (!incident) {
+      return res
+        .status(404)
+        .json({ success: false, error: 'Incident not found' });
+    }
+    if (!incident.wrappedEvidenceKey) {
+      return res.status(409).json({
+        success: false,
+        error: 'This incident does not accept evidence',
+      });
+    }
+
+    const { sequence, iv, data, mimeType, startedAt, durationMs } =
+      req.body || {};
+    if (
+      !Number.isInteger(sequence) ||
+      sequence < 0 ||
+      typeof iv !== 'string' ||
+      typeof data !== 'string'
+    ) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Missing sequence, iv or data' });
+    }
+
+    const result = await storeEvidenceChunk(incident, {
+      sequence,
+      iv,
+      data,
+      mimeType,
+      startedAt,
+      durationMs,
+    });
+    if (!result.ok) {
+      return res
+        .status(result.status)
+        .json({ success: false, error: result.error });
+    }
+
+    if (!incident.evidence) {
+      addTimelineEvent(incident.id, 'evidence_recording_started', {
+        startedAt,
+      });
+    }
+    updateIncident(incident.id, {
+      evidence: {
+        chunkCount: result.chunkCount,
+        totalDurationMs: result.totalDurationMs,
+        lastChunkAt: new Date().toISOString(),
+      },
+    });
+
+    return res
+      .status(200)
+      .json({ success: true, sequence, chunkCount: result.chunkCount });
+  } catch (error) {
+    console.error('Evidence upload error', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+    });
+  }
+}
+
+/**
+ * The user creates a link to share the recording, e.g. with a contact or the police
+ */
+export async function shareEvidence(req, res) {
+  try {
+    const incident = await getOwnIncident(req);
+    if (!incident) {
+      return res
+        .status(404)
+        .json({ success: false, error: 'Incident not found' });
+    }
+
+    const { expiresInHours, label } = req.body || {};
+    const { token, expiresAt } = await createEvidenceLink(incident.id, {
+      expiresInHours,
+      label,
+    });
+    addTimelineEvent(incident.id, 'evidence_link_created', {
+      label: label || null,
+      expiresAt,
+    });
+
+    return res
+      .status(200)
+      .json({ success: true, url: buildEvidenceLink(req, token), expiresAt });
+  } catch (error) {
+    console.error('Evidence link error', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+    });
+  }
+}
+
+async function resolveEvidenceLink(token) {
+  const link = await findEvidenceLink(token);
+  if (!link) {
+    return null;
+  }
+  const incident = await getIncident(link.incidentId);
+  return incident ? { link, incident } : null;
+}
+
+/**
+ * Public page behind an evidence link: one player per chunk
+ */
+export async function showEvidencePage(req, res) {
+  try {
+    const resolved = await resolveEvidenceLink(req.params.token);
+    if (!resolved) {
+      return res
+        .status(404)
+        .send(
+          renderPage(
+            'Link expired',
+            '<p>This evidence link has expired or is not valid.</p>',
+          ),
+        );
+    }
+
+    const { link, incident } = resolved;
+    const stored = await listEvidenceChunks(incident.id);
+    const players = stored
+      .map(
+        chunk => `<p class="meta">${escapeHtml(
+          new Date(chunk.startedAt || chunk.receivedAt).toUTCString(),
+        )}</p>
+  <audio controls preload="none" src="${escapeHtml(req.params.token)}/chunks/${
+          chunk.sequence
+        }"></audio>`,
+      )
+      .join('\n  ');
+
+    res.set('Cache-Control', 'no-store');
+    return res.status(200).send(
+      renderPage(
+        'SOS audio recording',
+        `<p>Recorded on ${escapeHtml(
+          incident.userName,
+        )}'s phone during an SOS. This link expires ${escapeHtml(
+          new Date(link.expiresAt).toUTCString(),
+        )}.</p>
+  ${players || '<p>No audio has been uploaded yet.</p>'}`,
+      ),
+    );
+  } catch (error) {
+    console.error('Evidence page error', error);
+    return res.status(500).send('Unable to load this recording right now.');
+  }
+}
+
+/**
+ * Decrypted audio of one chunk, for the players on the evidence page
+ */
+export async function streamEvidenceChunk(req, res) {
+  try {
+    const resolved = await resolveEvidenceLink(req.params.token);
+    if (!resolved) {
+      return res
+        .status(404)
+        .send('This evidence link has expired or is not valid.');
+    }
+
+    const stored = await listEvidenceChunks(resolved.incident.id);
+    const chunk = stored.find(c => c.sequence === Number(req.params.sequence));
+    if (!chunk) {
+      return res.status(404).send('Recording not found.');
+    }
+
+    // Never let a browser render the chunk as a page, whatever type it was stored with
+    res.set({
+      'Cache-Control': 'no-store',
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Disposition': `attachment; filename="sos-audio-${chunk.sequence}"`,
+    });
+    res.type(
+      isAudioMimeType(chunk.mimeType)
+        ? chunk.mimeType
+        : 'application/octet-stream',
+    );
+    return res.status(200).send(decryptEvidenceChunk(resolved.incident, chunk));
+  } catch (error) {
+    console.error('Evidence stream error', error);
+    return res.status(500).send('Unable to play this recording right now.');
+  }
+}
@@ -0,0 +1,426 @@
+/**
+ * SafeRaasta Report Controller
+ * Community safety layer: users report unsafe spots, see the ones near them, and flag
+ * reports that look wrong. Route scoring in the app uses the reports along each route.
+ *
+ * Moderation: a report enough users flag is hidden until a moderator reviews it. Moderators
+ * authenticate with the REPORT_MODERATION_TOKEN shared secret, sent as X-Moderation-Token.
+ */
+
+import { timingSafeEqual } from 'crypto';
+import { Buffer } from 'buffer';
+import {
+  REPORT_CATEGORIES,
+  createReport,
+  getReport,
+  updateReport,
+  listReportsNear,
+  listReportsAlong,
+  listFlaggedReports,
+} from '../services/reportStore.js';
+import {
+  isCoordinate,
+  isPoint,
+  spanMeters,
+} from '../services/routeProgress.js';
+
+const MAX_NOTE_LENGTH = 280;
+// A new report this close to a live one of the same category confirms it instead
+const DUPLICATE_RADIUS_M = 50;
+const DEFAULT_RADIUS_M = 2000;
+const MAX_RADIUS_M = 20000;
+const MAX_RESULTS = 500;
+// Reports along routes: the alternatives of one trip, each a simplified polyline
+const MAX_ROUTES = 5;
+const MAX_ROUTE_POINTS = 1000;
+// A city trip; a wider box is not a route the app would send
+const MAX_ROUTE_SPAN_M = 50000;
+// Reports just beside the route still count
+const DEFAULT_ROUTE_BUFFER_M = 200;
+const MAX_ROUTE_BUFFER_M = 1000;
+
+function getHideFlagCount() {
+  const value = Number(process.env.REPORT_HIDE_FLAGS);
+  return Number.isInteger(value) && value > 0 ? value : 3;
+}
+
+function isModerator(req) {
+  const expected = process.env.REPORT_MODERATION_TOKEN;
+  // Fail closed: without a token nobody can moderate
+  if (!expected) {
+    return false;
+  }
+
+  // Compare byte lengths: a multibyte token can match in characters but not in bytes
+  const provided = Buffer.from(String(req.get('x-moderation-token') || ''));
+  const wanted = Buffer.from(expected);
+  return provided.length === wanted.length && timingSafeEqual(provided, wanted);
+}
+
+/**
+ * What other users may see. No uids of the reporter, flaggers or confirmers.
+ */
+function toPublicView(report, weight, uid) {
+  return {
+    id: report.id,
+    category: report.category,
+    latitude: report.latitude,
+    longitude: report.longitude,
+    note: report.note,
+    createdAt: report.createdAt,
+    lastConfirmedAt: report.lastConfirmedAt,
+    confirmations: report.confirmedBy.length,
+    weight: Math.round(weight * 100) / 100,
+    mine: report.uid === uid,
+  };
+}
+
+/**
+ * New report at a location: { category, latitude, longitude, note? }
+ */
+export async function submitReport(req, res) {
+  try {
+    const { category, latitude, longitude, note } = req.body || {};
+
+    if (!Object.hasOwn(REPORT_CATEGORIES, category || '')) {
+      return res.status(400).json({
+        success: false,
+        error: `category must be one of: ${Object.keys(REPORT_CATEGORIES).join(
+          ', ',
+        )}`,
+      });
+    }
+    if (!isCoordinate(latitude, 90) || !isCoordinate(longitude, 180)) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid coordinates' });
+    }
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'note must be text' });
+    }
+    const trimmedNote = (note || '').trim();
+    if (trimmedNote.length > MAX_NOTE_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `note must be at most ${MAX_NOTE_LENGTH} characters`,
+      });
+    }
+
+    const point = { latitude, longitude };
+    const nearby = await listReportsNear(
+      point,
+      DUPLICATE_RADIUS_M,
+      MAX_RESULTS,
+    );
+    const duplicate = nearby.find(({ report }) => report.category === category);
+
+    if (duplicate) {
+      const { report, weight } = duplicate;
+      // Someone else seeing the same problem keeps the report fresh; the reporter repeating it does not
+      if (report.uid !== req.uid && !report.confirmedBy.includes(req.uid)) {
+        updateReport(report.id, {
+          confirmedBy: [...report.confirmedBy, req.uid],
+          lastConfirmedAt: new Date().toISOString(),
+        });
+        console.log('Report confirmed', { reportId: report.id, category });
+      }
+      return res.status(200).json({
+        success: true,
+        confirmed: true,
+        report: toPublicView(report, weight, req.uid),
+      });
+    }
+
+    const report = createReport({
+      uid: req.uid,
+      category,
+      latitude,
+      longitude,
+      note: trimmedNote || null,
+    });
+
+    console.log('Report submitted', { reportId: report.id, category });
+
+    return res.status(201).json({
+      success: true,
+      confirmed: false,
+      report: toPublicView(report, 1, req.uid),
+    });
+  } catch (error) {
+    console.error('Report submit error', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+    });
+  }
+}
+
+/**
+ * Reports around a point: ?latitude=&longitude=&radius= (meters, up to 20 km)
+ */
+export async function listReports(req, res) {
+  try {
+    const latitude = Number(req.query.latitude);
+    const longitude = Number(req.query.longitude);
+    const radius =
+      req.query.radius === undefined
+        ? DEFAULT_RADIUS_M
+        : Number(req.query.radius);
+
+    if (!isCoordinate(latitude, 90) || !isCoordinate(longitude, 180)) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid coordinates' });
+    }
+    if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_M) {
+      return res.status(400).json({
+        success: false,
+        error: `radius must be between 1 and ${MAX_RADIUS_M} meters`,
+      });
+    }
+
+    const nearby = await listReportsNear(
+      { latitude, longitude },
+      radius,
+      MAX_RESULTS,
+    );
+
+    return res.status(200).json({
+      success: true,
+      reports: nearby.map(({ report, weight }) =>
+        toPublicView(report, weight, req.uid),
+      ),
+    });
+  } catch (error) {
+    console.error('Report list error', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+    });
+  }
+}
+
+/**
+ * { routes: [{ coords: [{ latitude, longitude }] }], bufferMeters? } -> live reports within
+ * bufferMeters of any route, strongest first
+ */
+export async function listReportsAlongRoutes(req, res) {
+  try {
+    const { routes, bufferMeters = DEFAULT_ROUTE_BUFFER_M } = req.body || {};
+
+    if (
+      !Array.isArray(routes) ||
+      routes.length === 0 ||
+      routes.length > MAX_ROUTES
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `routes must list 1-${MAX_ROUTES} routes`,
+      });
+    }
+    if (
+      !routes.every(
+        r =>
+          Array.isArray(r?.coords) &&
+          r.coords.length > 0 &&
+          r.coords.length <= MAX_ROUTE_POINTS &&
+          r.coords.every(isPoint),
+      )
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `Each route needs 1-${MAX_ROUTE_POINTS} coords`,
+      });
+    }
+    if (spanMeters(routes.flatMap(r => r.coords)) > MAX_ROUTE_SPAN_M) {
+      return res.status(400).json({
+        success: false,
+        error: `The routes must span at most ${MAX_ROUTE_SPAN_M} m`,
+      });
+    }
+    if (
+      !Number.isFinite(bufferMeters) ||
+      bufferMeters <= 0 ||
+      bufferMeters > MAX_ROUTE_BUFFER_M
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `bufferMeters must be between 1 and ${MAX_ROUTE_BUFFER_M}`,
+      });
+    }
+
+    const along = await listReportsAlong(
+      routes.map(r =>
+        r.coords.map(p => ({ latitude: p.latitude, longitude: p.longitude })),
+      ),
+      bufferMeters,
+      MAX_RESULTS,
+    );
+
+    return res.status(200).json({
+      success: true,
+      reports: along.map(({ report, weight }) =>
+        toPublicView(report, weight, req.uid),
+      ),
+    });
+  } catch (error) {
+    console.error('Report route list error', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+    });
+  }
+}
+
+/**
+ * "This looks wrong": enough flags from different users hide the report until it is reviewed
+ */
+export async function flagReport(req, res) {
+  try {
+    const report = await getReport(req.params.reportId);
+    if (!report || report.status === 'removed') {
+      return res
+        .status(404)
+        .json({ success: false, error: 'Report not found' });
+    }
+    if (report.uid === req.uid) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'You cannot flag your own report' });
+    }
+
+    if (!report.flaggedBy.includes(req.uid)) {
+      const flaggedBy = [...report.flaggedBy, req.uid];
+      // A moderator's decision stands; later flags are still recorded for the queue
+      const hide =
+        !report.moderatedAt &&
+        report.status === 'visible' &&
+        flaggedBy.length >= getHideFlagCount();
+      updateReport(report.id, {
+        flaggedBy,
+        ...(hide ? { status: 'hidden' } : {}),
+      });
+      if (hide) {
+        console.log('Report hidden pending review', {
+          reportId: report.id,
+          flags: flaggedBy.length,
+        });
+      }
+    }
+
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Report flag error', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+    });
+  }
+}
+
+/**
+ * The reporter takes their own report down
+ */
+export async function deleteReport(req, res) {
+  try {
+    const report = await getReport(req.params.reportId);
+    if (!report || report.uid !== req.uid || report.status === 'removed') {
+      return res
+        .status(404)
+        .json({ success: false, error: 'Report not found' });
+    }
+
+    updateReport(report.id, {
+      status: 'removed',
+      removedAt: new Date().toISOString(),
+    });
+    console.log('Report removed by reporter', { reportId: report.id });
+
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Report delete error', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+    });
+  }
+}
+
+/**
+ * Moderation queue: flagged reports not yet reviewed
+ */
+export async function listModerationQueue(req, res) {
+  try {
+    if (!isModerator(req)) {
+      return res
+        .status(401)
+        .json({ success: false, error: 'Invalid moderation token' });
+    }
+
+    const flagged = await listFlaggedReports();
+
+    return res.status(200).json({
+      success: true,
+      reports: flagged.map(report => ({
+        id: report.id,
+        category: report.category,
+        latitude: report.latitude,
+        longitude: report.longitude,
+        note: report.note,
+        status: report.status,
+        createdAt: report.createdAt,
+        flags: report.flaggedBy.length,
+        confirmations: report.confirmedBy.length,
+      })),
+    });
+  } catch (error) {
+    console.error('Report moderation queue error', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+    });
+  }
+}
+
+/**
+ * Moderator decision: { action: "approve" } shows the report again, "remove" takes it down
+ */
+export async function moderateReport(req, res) {
+  try {
+    if (!isModerator(req)) {
+      return res
+        .status(401)
+        .json({ success: false, error: 'Invalid moderation token' });
+    }
+
+    const { action } = req.body || {};
+    if (action !== 'approve' && action !== 'remove') {
+      return res
+        .status(400)
+        .json({ success: false, error: 'action must be approve or remove' });
+    }
+
+    const report = await getReport(req.params.reportId);
+    if (!report) {
+      return res
+        .status(404)
+        .json({ success: false, error: 'Report not found' });
+    }
+
+    updateReport(report.id, {
+      status: action === 'approve' ? 'visible' : 'removed',
+      moderatedAt: new Date().toISOString(),
+    });
+    console.log('Report moderated', { reportId: report.id, action });
+
+    return res.status(200).json({ success: true, status: report.status });
+  } catch (error) {
+    console.error('Report moderation error', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+    });
+  }
+}
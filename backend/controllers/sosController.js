@@ -1,120 +1,378 @@
 /**
  * SafeRaasta SOS Controller
- * Triggers Retell AI emergency call
+ * Starts the emergency call escalation for every emergency contact
  */
 
-import fetch from "node-fetch";
+import { placeSafeFollowUpCall } from '../services/notificationService.js';
+import { hashSafetyPins, matchPin } from '../services/pinService.js';
+import { launchSOS } from '../services/sosLauncher.js';
+import {
+  addTimelineEvent,
+  getIncident,
+  recordLocation,
+  updateIncident,
+  findIncidentByTrackingToken,
+  findOpenIncidentForUser,
+} from '../services/incidentStore.js';
+import { stopEscalation } from '../services/escalationService.js';
 
+// Wrong PINs allowed before cancelling is locked for the incident
+const MAX_PIN_ATTEMPTS = 5;
+
+// SOS requests still being processed, by uid, so a burst of taps opens a single incident
+const triggersInFlight = new Map();
+
+function getDedupeWindowMs() {
+  const value = Number(process.env.SOS_DEDUPE_WINDOW_MS);
+  return Number.isFinite(value) && value >= 0 ? value : 2 * 60 * 1000;
+}
+
+/**
+ * Load an incident for the signed-in user. Other users' incidents look exactly like missing ones.
+ */
+async function getOwnIncident(req) {
+  const incident = await getIncident(req.params.incidentId);
+  return incident && incident.uid === req.uid ? incident : null;
+}
+
+function isCoordinate(value, limit) {
+  return (
+    typeof value === 'number' &&
+    Number.isFinite(value) &&
+    Math.abs(value) <= limit
+  );
+}
+
+function getBaseUrl(req) {
+  return process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Public link that always redirects to the incident's latest location fix
+ */
+function buildTrackingLink(req, trackingToken) {
+  return `${getBaseUrl(req).replace(/\/$/, '')}/api/sos/track/${trackingToken}`;
+}
+
+/**
+ * Repeated SOS requests while one is open join that incident instead of calling everyone again
+ */
 export async function triggerSOS(req, res) {
+  while (triggersInFlight.has(req.uid)) {
+    await triggersInFlight.get(req.uid);
+  }
+
+  const openIncident = findOpenIncidentForUser(req.uid, getDedupeWindowMs());
+  if (openIncident) {
+    return joinOpenIncident(req, res, openIncident);
+  }
+
+  const started = startSOS(req, res);
+  triggersInFlight.set(req.uid, started);
   try {
-    const { userName, latitude, longitude, timestamp, contacts } = req.body;
+    return await started;
+  } finally {
+    triggersInFlight.delete(req.uid);
+  }
+}
+
+function joinOpenIncident(req, res, incident) {
+  const { latitude, longitude, timestamp } = req.body || {};
+  if (isCoordinate(latitude, 90) && isCoordinate(longitude, 180)) {
+    recordLocation(incident.id, {
+      latitude,
+      longitude,
+      accuracy: null,
+      timestamp: timestamp || new Date().toISOString(),
+    });
+  }
+  addTimelineEvent(incident.id, 'sos_deduplicated');
+  console.log('SOS request joined open incident', {
+    incidentId: incident.id,
+    uid: req.uid,
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: 'SOS already in progress',
+    deduplicated: true,
+    incidentId: incident.id,
+    state: incident.status,
+    cancellable: Boolean(incident.pinHashes),
+    strategy: incident.strategy,
+    contacts: incident.contacts || [],
+    sms: incident.sms || null,
+    silent: Boolean(incident.silent),
+  });
+}
+
+async function startSOS(req, res) {
+  try {
+    const {
+      userName,
+      latitude,
+      longitude,
+      timestamp,
+      strategy,
+      safetyPin,
+      duressPin,
+    } = req.body;
 
     if (!userName || !latitude || !longitude || !timestamp) {
-      return res.status(400).json({ success: false, error: "Missing required fields" });
+      return res
+        .status(400)
+        .json({ success: false, error: 'Missing required fields' });
     }
 
-    if (!contacts || !Array.isArray(contacts) || contacts.length === 0) {
-      return res.status(400).json({ success: false, error: "No emergency contacts provided" });
+    // Contacts always come from the user's stored profile; any "contacts" in the body are ignored
+    const { status, body, incident } = await launchSOS({
+      uid: req.uid,
+      baseUrl: getBaseUrl(req),
+      userName,
+      latitude,
+      longitude,
+      timestamp,
+      strategy,
+      pinHashes: hashSafetyPins({ safetyPin, duressPin }),
+      // Set when the app queued this SOS offline and delivered it later
+      origin: { queuedAt: req.body.queuedAt },
+    });
+    if (incident) {
+      res.locals.incidentCreated = true;
     }
 
-    const firstContact = contacts[0];
-    if (!firstContact.phone || !firstContact.name) {
-      return res.status(400).json({ success: false, error: "Invalid contact data" });
-    }
+    return res.status(status).json(body);
+  } catch (error) {
+    console.error('Unhandled SOS error', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+    });
+  }
+}
 
-    // Format location as address
-    const mapsLink = `https://maps.google.com/?q=${latitude},${longitude}`;
-    const address = `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`;
+/**
+ * Live view of an incident for the app to poll
+ */
+function toIncidentView(req, incident) {
+  return {
+    id: incident.id,
+    // A duress cancel must look exactly like a real one to whoever holds the phone
+    status: incident.duress ? 'cancelled' : incident.status,
+    cancelledAt: incident.cancelledAt || null,
+    cancellable: Boolean(incident.pinHashes),
+    silent: Boolean(incident.silent),
+    createdAt: incident.createdAt,
+    updatedAt: incident.updatedAt,
+    resolvedAt: incident.resolvedAt || null,
+    userName: incident.userName,
+    lastLocation: incident.location,
+    trackingLink: buildTrackingLink(req, incident.trackingToken),
+    contacts: incident.contacts || [],
+    fallback: incident.fallback || null,
+    sms: incident.sms || null,
+    evidence: incident.evidence || null,
+    reachedContacts: incident.reachedContacts,
+    calls: incident.callIds.map(callId => ({
+      callId,
+      ...incident.calls[callId],
+    })),
+    timeline: incident.timeline,
+  };
+}
+
+export async function getSOSIncident(req, res) {
+  try {
+    const incident = await getOwnIncident(req);
+    if (!incident) {
+      return res
+        .status(404)
+        .json({ success: false, error: 'Incident not found' });
+    }
 
-    // Format timestamp to readable format (e.g., "2:30 PM")
-    const dateObj = new Date(timestamp);
-    const timeStr = dateObj.toLocaleTimeString('en-US', {
-      hour: '2-digit',
-      minute: '2-digit',
-      hour12: true,
+    return res
+      .status(200)
+      .json({ success: true, incident: toIncidentView(req, incident) });
+  } catch (error) {
+    console.error('SOS incident lookup error', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error',
     });
+  }
+}
+
+/**
+ * Live location update from the app while an SOS is open
+ */
+export async function updateSOSLocation(req, res) {
+  try {
+    const { latitude, longitude, accuracy, timestamp } = req.body || {};
 
-    const retellApiKey = process.env.RETELL_API_KEY;
-    const retellAgentId = process.env.RETELL_AGENT_ID;
-    const retellFromNumber = process.env.RETELL_FROM_NUMBER;
+    if (!isCoordinate(latitude, 90) || !isCoordinate(longitude, 180)) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid coordinates' });
+    }
 
-    if (!retellApiKey || !retellAgentId) {
-      return res.status(500).json({ success: false, error: "Missing Retell credentials" });
+    const incident = await getOwnIncident(req);
+    if (!incident) {
+      return res
+        .status(404)
+        .json({ success: false, error: 'Incident not found' });
     }
 
-    if (!retellFromNumber) {
-      return res.status(500).json({ success: false, error: "Missing Retell from_number" });
+    if (incident.status === 'cancelled') {
+      return res
+        .status(409)
+        .json({ success: false, error: 'SOS has been cancelled' });
     }
 
-    const retellResponse = await fetch("https://api.retellai.com/v2/create-phone-call", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${retellApiKey}`,
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify({
-        agent_id: retellAgentId,
-        to_number: firstContact.phone,
-        from_number: retellFromNumber,
-        // Pass variables that Retell agent can use in the script
-        override_agent_config: {
-          general_prompt_override: `You are responding to an emergency alert for {name} at {address} at {time}.`
-        },
-        // Send metadata with the actual values for the script
-        metadata: {
-          name: userName,
-          address: address,
-          time: timeStr,
-          mapsLink: mapsLink,
-          timestamp: timestamp,
-          contactName: firstContact.name,
-          latitude: latitude,
-          longitude: longitude
-        }
-      })
+    const fix = {
+      latitude,
+      longitude,
+      accuracy: typeof accuracy === 'number' ? accuracy : null,
+      timestamp: timestamp || new Date().toISOString(),
+    };
+    recordLocation(incident.id, fix);
+
+    return res.status(200).json({ success: true, lastLocation: fix });
+  } catch (error) {
+    console.error('SOS location update error', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error',
     });
+  }
+}
 
-    const retellData = await retellResponse.json();
+/**
+ * Tracking link shared with contacts: redirects to the latest fix on Google Maps
+ */
+export async function trackSOSLocation(req, res) {
+  try {
+    const incident = await findIncidentByTrackingToken(
+      req.params.trackingToken,
+    );
+    if (!incident?.location) {
+      return res.status(404).send('This tracking link is not valid.');
+    }
+
+    const { latitude, longitude } = incident.location;
+    res.set('Cache-Control', 'no-store');
+    return res.redirect(
+      302,
+      `https://maps.google.com/?q=${latitude},${longitude}`,
+    );
+  } catch (error) {
+    console.error('SOS tracking link error', error);
+    return res.status(500).send('Unable to load location right now.');
+  }
+}
 
-    if (!retellResponse.ok) {
-      console.error("Retell call failed", {
-        status: retellResponse.status,
-        statusText: retellResponse.statusText,
-        body: retellData,
+/**
+ * Let everyone who already got a call know the user is safe
+ */
+async function sendSafeFollowUps(incident) {
+  const called = [...(incident.contacts || []), incident.fallback].filter(
+    c => c?.callId,
+  );
+
+  await Promise.all(
+    called.map(async contact => {
+      const call = await placeSafeFollowUpCall({
+        contact,
+        incidentId: incident.id,
+        userName: incident.userName,
       });
-      return res.status(500).json({
-        success: false,
-        error: retellData?.error || retellData?.message || "Failed to trigger emergency call",
-        details: retellData,
+      addTimelineEvent(
+        incident.id,
+        call.ok ? 'safe_followup_sent' : 'safe_followup_failed',
+        {
+          name: contact.name,
+          phone: contact.phone,
+          callId: call.callId,
+          error: call.error,
+        },
+      );
+    }),
+  );
+}
+
+/**
+ * Cancel an SOS with the user's safety PIN.
+ * The duress PIN gets the same response but leaves the escalation and location sharing running.
+ */
+export async function cancelSOS(req, res) {
+  try {
+    const { pin } = req.body || {};
+
+    const incident = await getOwnIncident(req);
+    if (!incident) {
+      return res
+        .status(404)
+        .json({ success: false, error: 'Incident not found' });
+    }
+
+    if (incident.cancelledAt) {
+      return res
+        .status(409)
+        .json({ success: false, error: 'SOS already cancelled' });
+    }
+
+    if (!incident.pinHashes) {
+      return res
+        .status(409)
+        .json({ success: false, error: 'No safety PIN was set for this SOS' });
+    }
+
+    if ((incident.failedPinAttempts || 0) >= MAX_PIN_ATTEMPTS) {
+      return res
+        .status(423)
+        .json({ success: false, error: 'Too many incorrect PIN attempts' });
+    }
+
+    const match = matchPin(incident.pinHashes, String(pin ?? ''));
+    if (!match) {
+      updateIncident(incident.id, {
+        failedPinAttempts: (incident.failedPinAttempts || 0) + 1,
       });
+      addTimelineEvent(incident.id, 'cancel_rejected', {
+        reason: 'incorrect_pin',
+      });
+      return res.status(403).json({ success: false, error: 'Incorrect PIN' });
     }
 
-    console.log("SOS call initiated successfully", {
-      callId: retellData.call_id,
-      toNumber: firstContact.phone,
-      userName: userName,
-      address: address,
-      time: timeStr
-    });
+    const cancelledAt = new Date().toISOString();
 
-    return res.status(200).json({
-      success: true,
-      message: "SOS triggered successfully",
-      called: firstContact.phone,
-      callId: retellData.call_id,
-      emergencyDetails: {
-        userName,
-        address,
-        time: timeStr,
-        mapsLink
-      }
-    });
+    if (match === 'duress') {
+      updateIncident(incident.id, { duress: true, cancelledAt });
+      addTimelineEvent(incident.id, 'duress_cancel');
+      console.warn('SOS duress PIN used - escalation continues', {
+        incidentId: incident.id,
+      });
+    } else {
+      stopEscalation(incident.id);
+      updateIncident(incident.id, { status: 'cancelled', cancelledAt });
+      addTimelineEvent(incident.id, 'sos_cancelled');
+      console.log('SOS cancelled by user', { incidentId: incident.id });
+
+      sendSafeFollowUps(incident).catch(error => {
+        console.error('Safe follow-up error', {
+          incidentId: incident.id,
+          error: error.message,
+        });
+      });
+    }
 
+    return res
+      .status(200)
+      .json({ success: true, status: 'cancelled', cancelledAt });
   } catch (error) {
-    console.error("Unhandled SOS error", error);
+    console.error('SOS cancel error', error);
     return res.status(500).json({
       success: false,
-      error: error.message || "Internal server error"
+      error: error.message || 'Internal server error',
     });
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,530 @@
+/**
+ * SafeRaasta Trip Controller
+ * "Track my ride": the app opens a trip when navigation starts, streams its position,
+ * and ends it when navigation stops. Family follow along through a public share link.
+ *
+ * Every trip must be checked in by its ETA (see checkInScheduler.js): arriving near the
+ * destination or confirming "I'm safe" does it; otherwise the server raises an SOS.
+ * Ending the trip does not: stopping navigation early is no sign the user got there safely.
+ */
+
+import {
+  createTrip,
+  getTrip,
+  findTripByShareToken,
+  updateTrip,
+  recordTripLocation,
+  listTripsAwaitingCheckIn,
+} from '../services/tripStore.js';
+import {
+  isCoordinate,
+  isPoint,
+  simplifyPolyline,
+  remainingFraction,
+  distanceMeters,
+} from '../services/routeProgress.js';
+import { hashSafetyPins } from '../services/pinService.js';
+import { getCheckInGraceMinutes } from '../services/checkInScheduler.js';
+import { escapeHtml, renderPage } from '../views/page.js';
+
+// Enough for a smooth line on the viewer while keeping the trip record small
+const MAX_POLYLINE_POINTS = 1000;
+// A forgotten trip stops being shown as live after this long
+const MAX_TRIP_MS = 12 * 60 * 60 * 1000;
+// A position this close to the end of the route counts as arrived
+const ARRIVAL_RADIUS_M = 100;
+const MAX_CHECK_IN_EXTENSION_MINUTES = 120;
+
+async function getOwnTrip(req) {
+  const trip = await getTrip(req.params.tripId);
+  return trip && trip.uid === req.uid ? trip : null;
+}
+
+function getBaseUrl(req) {
+  return process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+function buildShareLink(req, shareToken) {
+  return `${getBaseUrl(req).replace(/\/$/, '')}/api/trips/share/${shareToken}`;
+}
+
+function toCheckInView(checkIn) {
+  return {
+    status: checkIn.status,
+    dueAt: checkIn.dueAt,
+    graceMinutes: checkIn.graceMinutes,
+    incidentId: checkIn.incidentId || null,
+  };
+}
+
+function isExpired(trip) {
+  return Date.now() - new Date(trip.createdAt).getTime() > MAX_TRIP_MS;
+}
+
+/**
+ * What the shared viewer may see. No uid, contacts or location history.
+ */
+function toSharedView(trip) {
+  const ended = trip.status === 'ended' || isExpired(trip);
+  return {
+    status: ended ? 'ended' : 'active',
+    userName: trip.userName,
+    destinationName: trip.destinationName,
+    polyline: trip.polyline,
+    location: trip.location,
+    eta: trip.eta,
+    distanceMeters: trip.distanceMeters,
+    safetyScore: trip.safetyScore,
+    safetyCategory: trip.safetyCategory,
+    startedAt: trip.createdAt,
+    updatedAt: trip.updatedAt,
+    endedAt: trip.endedAt || null,
+    checkIn: { status: trip.checkIn.status, dueAt: trip.checkIn.dueAt },
+  };
+}
+
+/**
+ * The route fields a trip is opened or rerouted with, or { error } when they are unusable
+ */
+function readRoute({
+  destinationName,
+  polyline,
+  distanceMeters: routeDistance,
+  durationSeconds,
+  safetyScore,
+  safetyCategory,
+}) {
+  if (
+    !Array.isArray(polyline) ||
+    polyline.length < 2 ||
+    !polyline.every(isPoint)
+  ) {
+    return { error: 'Missing or invalid route polyline' };
+  }
+  if (!Number.isFinite(durationSeconds) || durationSeconds <= 0) {
+    return { error: 'Missing route duration' };
+  }
+
+  return {
+    route: {
+      destinationName:
+        typeof destinationName === 'string' ? destinationName : null,
+      polyline: simplifyPolyline(
+        polyline.map(p => ({ latitude: p.latitude, longitude: p.longitude })),
+        MAX_POLYLINE_POINTS,
+      ),
+      distanceMeters: Number.isFinite(routeDistance) ? routeDistance : null,
+      durationSeconds,
+      safetyScore: Number.isFinite(safetyScore) ? safetyScore : null,
+      safetyCategory:
+        typeof safetyCategory === 'string' ? safetyCategory : null,
+    },
+  };
+}
+
+/**
+ * Navigation started: open a trip for the selected route
+ */
+export async function startTrip(req, res) {
+  try {
+    const { userName, safetyPin, duressPin } = req.body || {};
+    const { route, error } = readRoute(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const startedAt = Date.now();
+    const eta = new Date(
+      startedAt + route.durationSeconds * 1000,
+    ).toISOString();
+    const trip = createTrip({
+      uid: req.uid,
+      userName: typeof userName === 'string' ? userName : 'SafeRaasta user',
+      ...route,
+      eta,
+      // The deadline stays at the planned ETA: a live ETA would keep moving while the phone stands still
+      checkIn: {
+        status: 'pending',
+        dueAt: eta,
+        graceMinutes: getCheckInGraceMinutes(),
+      },
+      // For the SOS the server raises if the check-in is missed, so the user can still cancel it
+      pinHashes: hashSafetyPins({ safetyPin, duressPin }),
+      publicBaseUrl: getBaseUrl(req),
+    });
+
+    console.log('Trip started', { tripId: trip.id, uid: req.uid });
+
+    return res.status(200).json({
+      success: true,
+      tripId: trip.id,
+      shareLink: buildShareLink(req, trip.shareToken),
+      eta: trip.eta,
+      checkIn: toCheckInView(trip.checkIn),
+    });
+  } catch (error) {
+    console.error('Trip start error', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+    });
+  }
+}
+
+/**
+ * Live position during the trip. The ETA follows the share of the route still ahead.
+ */
+export async function updateTripLocation(req, res) {
+  try {
+    const { latitude, longitude, accuracy, timestamp } = req.body || {};
+
+    if (!isCoordinate(latitude, 90) || !isCoordinate(longitude, 180)) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Invalid coordinates' });
+    }
+
+    const trip = await getOwnTrip(req);
+    if (!trip) {
+      return res.status(404).json({ success: false, error: 'Trip not found' });
+    }
+    if (trip.status !== 'active') {
+      return res.status(409).json({ success: false, error: 'Trip has ended' });
+    }
+
+    const fix = {
+      latitude,
+      longitude,
+      accuracy: typeof accuracy === 'number' ? accuracy : null,
+      timestamp: timestamp || new Date().toISOString(),
+    };
+    recordTripLocation(trip.id, fix);
+
+    const remainingSeconds =
+      remainingFraction(trip.polyline, fix) * trip.durationSeconds;
+    updateTrip(trip.id, {
+      eta: new Date(Date.now() + remainingSeconds * 1000).toISOString(),
+    });
+
+    const destination = trip.polyline[trip.polyline.length - 1];
+    if (
+      trip.checkIn.status === 'pending' &&
+      distanceMeters(fix, destination) <= ARRIVAL_RADIUS_M
+    ) {
+      updateTrip(trip.id, {
+        checkIn: {
+          ...trip.checkIn,
+          status: 'arrived',
+          checkedInAt: new Date().toISOString(),
+        },
+      });
+      console.log('Trip arrived', { tripId: trip.id });
+    }
+
+    return res.status(200).json({
+      success: true,
+      eta: trip.eta,
+      checkIn: toCheckInView(trip.checkIn),
+    });
+  } catch (error) {
+    console.error('Trip location update error', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+    });
+  }
+}
+
+/**
+ * The user changed course mid-trip, e.g. to the nearest safe haven: arrival, the ETA and the
+ * shared map follow the new route. A pending check-in is due no earlier than the new ETA.
+ */
+export async function rerouteTrip(req, res) {
+  try {
+    const { route, error } = readRoute(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const trip = await getOwnTrip(req);
+    if (!trip) {
+      return res.status(404).json({ success: false, error: 'Trip not found' });
+    }
+    if (trip.status !== 'active') {
+      return res.status(409).json({ success: false, error: 'Trip has ended' });
+    }
+
+    const eta = new Date(Date.now() + route.durationSeconds * 1000);
+    const extendCheckIn =
+      trip.checkIn.status === 'pending' && new Date(trip.checkIn.dueAt) < eta;
+    updateTrip(trip.id, {
+      ...route,
+      eta: eta.toISOString(),
+      checkIn: extendCheckIn
+        ? { ...trip.checkIn, dueAt: eta.toISOString() }
+        : trip.checkIn,
+    });
+    console.log('Trip rerouted', {
+      tripId: trip.id,
+      dueAt: trip.checkIn.dueAt,
+    });
+
+    return res.status(200).json({
+      success: true,
+      eta: trip.eta,
+      checkIn: toCheckInView(trip.checkIn),
+    });
+  } catch (error) {
+    console.error('Trip reroute error', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+    });
+  }
+}
+
+/**
+ * "I'm safe" (no body), or more time before the check-in is due ({ extendMinutes })
+ */
+export async function checkInTrip(req, res) {
+  try {
+    const { extendMinutes } = req.body || {};
+
+    const trip = await getOwnTrip(req);
+    if (!trip) {
+      return res.status(404).json({ success: false, error: 'Trip not found' });
+    }
+    if (trip.checkIn.status === 'missed') {
+      // Too late: the SOS is already running and can only be stood down with the safety PIN
+      return res.status(409).json({
+        success: false,
+        error: 'Check-in missed, SOS already started',
+        checkIn: toCheckInView(trip.checkIn),
+      });
+    }
+
+    if (extendMinutes !== undefined) {
+      if (
+        !Number.isInteger(extendMinutes) ||
+        extendMinutes < 1 ||
+        extendMinutes > MAX_CHECK_IN_EXTENSION_MINUTES
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: `extendMinutes must be between 1 and ${MAX_CHECK_IN_EXTENSION_MINUTES}`,
+        });
+      }
+      if (trip.checkIn.status !== 'pending') {
+        return res.status(409).json({
+          success: false,
+          error: 'Already checked in',
+          checkIn: toCheckInView(trip.checkIn),
+        });
+      }
+      const from = Math.max(Date.now(), new Date(trip.checkIn.dueAt).getTime());
+      updateTrip(trip.id, {
+        checkIn: {
+          ...trip.checkIn,
+          dueAt: new Date(from + extendMinutes * 60 * 1000).toISOString(),
+        },
+      });
+      console.log('Trip check-in extended', {
+        tripId: trip.id,
+        dueAt: trip.checkIn.dueAt,
+      });
+    } else if (trip.checkIn.status === 'pending') {
+      updateTrip(trip.id, {
+        checkIn: {
+          ...trip.checkIn,
+          status: 'confirmed',
+          checkedInAt: new Date().toISOString(),
+        },
+      });
+      console.log('Trip checked in', { tripId: trip.id });
+    }
+
+    return res
+      .status(200)
+      .json({ success: true, checkIn: toCheckInView(trip.checkIn) });
+  } catch (error) {
+    console.error('Trip check-in error', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+    });
+  }
+}
+
+/**
+ * The user's trips whose check-in is still due, soonest first. The app loads them on launch, so
+ * "I'm safe" stays reachable after a restart or a new sign-in while the server would still raise an SOS.
+ */
+export async function listPendingCheckIns(req, res) {
+  try {
+    const trips = (await listTripsAwaitingCheckIn())
+      .filter(trip => trip.uid === req.uid)
+      .sort((a, b) => new Date(a.checkIn.dueAt) - new Date(b.checkIn.dueAt))
+      .map(trip => ({
+        tripId: trip.id,
+        destinationName: trip.destinationName,
+        status: trip.status,
+        checkIn: toCheckInView(trip.checkIn),
+      }));
+
+    return res.status(200).json({ success: true, trips });
+  } catch (error) {
+    console.error('Pending check-ins error', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+    });
+  }
+}
+
+/**
+ * Navigation stopped (or the user arrived): the share link shows the trip as ended.
+ * A pending check-in stays pending, so the app still has to check in and the scheduler
+ * still escalates a missed one.
+ */
+export async function endTrip(req, res) {
+  try {
+    const trip = await getOwnTrip(req);
+    if (!trip) {
+      return res.status(404).json({ success: false, error: 'Trip not found' });
+    }
+
+    if (trip.status === 'active') {
+      updateTrip(trip.id, {
+        status: 'ended',
+        endedAt: new Date().toISOString(),
+      });
+      console.log('Trip ended', {
+        tripId: trip.id,
+        checkIn: trip.checkIn.status,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      status: trip.status,
+      endedAt: trip.endedAt,
+      checkIn: toCheckInView(trip.checkIn),
+    });
+  } catch (error) {
+    console.error('Trip end error', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+    });
+  }
+}
+
+/**
+ * Public JSON polled by the viewer page
+ */
+export async function getSharedTrip(req, res) {
+  try {
+    const trip = await findTripByShareToken(req.params.shareToken);
+    if (!trip) {
+      return res.status(404).json({ success: false, error: 'Trip not found' });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    return res.status(200).json({ success: true, trip: toSharedView(trip) });
+  } catch (error) {
+    console.error('Shared trip lookup error', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+    });
+  }
+}
+
+/**
+ * Public viewer: the planned route, live position, ETA and safety score on a map
+ */
+export async function showTripViewer(req, res) {
+  try {
+    const trip = await findTripByShareToken(req.params.shareToken);
+    if (!trip) {
+      return res
+        .status(404)
+        .send(
+          renderPage('Trip not found', '<p>This trip link is not valid.</p>'),
+        );
+    }
+
+    const stateUrl = `${escapeHtml(req.params.shareToken)}/state`;
+    return res.status(200).send(
+      renderPage(
+        `${trip.userName}'s trip`,
+        `<p id="summary" class="meta">Loading…</p>
+  <div id="map" style="height: 60vh; border-radius: 8px;"></div>
+  <p id="updated" class="meta"></p>
+  <script src="https://unpkg.com/leaflet@1.9.4/dist/leaflet.js"></script>
+  <script>
+    const map = L.map("map");
+    L.tileLayer("https://tile.openstreetmap.org/{z}/{x}/{y}.png", { attribution: "&copy; OpenStreetMap" }).addTo(map);
+    let route = null;
+    let marker = null;
+
+    function time(iso) {
+      return new Date(iso).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+    }
+
+    async function refresh() {
+      const summary = document.getElementById("summary");
+      let response;
+      let trip;
+      try {
+        response = await fetch("${stateUrl}", { cache: "no-store" });
+        trip = (await response.json()).trip;
+      } catch (error) {
+        summary.textContent = "Unable to reach SafeRaasta, retrying…";
+        setTimeout(refresh, 10000);
+        return;
+      }
+      if (!trip) {
+        // Gone for good: say so instead of leaving the last state on screen
+        if (response.status === 404) {
+          summary.textContent = "This trip has ended or the link is no longer valid.";
+          return;
+        }
+        summary.textContent = "Unable to load this trip, retrying…";
+        setTimeout(refresh, 10000);
+        return;
+      }
+
+      if (!route && trip.polyline) {
+        route = L.polyline(trip.polyline.map(p => [p.latitude, p.longitude]), { color: "#1a73e8", weight: 5 }).addTo(map);
+        map.fitBounds(route.getBounds(), { padding: [20, 20] });
+      }
+      if (trip.location) {
+        const at = [trip.location.latitude, trip.location.longitude];
+        marker = marker ? marker.setLatLng(at) : L.circleMarker(at, { radius: 8, color: "#fff", fillColor: "#FF3B30", fillOpacity: 1 }).addTo(map);
+      }
+
+      const safety = trip.safetyScore != null ? " · Safety score " + trip.safetyScore + " (" + trip.safetyCategory + ")" : "";
+      const checkIn = {
+        arrived: " · Arrived",
+        confirmed: " · Checked in safe",
+        missed: " · Missed check-in, emergency contacts alerted"
+      }[trip.checkIn.status] || "";
+      summary.textContent = (trip.status === "ended"
+        ? "This trip has ended" + (trip.endedAt ? " at " + time(trip.endedAt) : "")
+        : "On the way" + (trip.destinationName ? " to " + trip.destinationName : "") + " · ETA " + time(trip.eta) + safety) + checkIn;
+      document.getElementById("updated").textContent = "Last update " + time(trip.updatedAt);
+
+      if (trip.status !== "ended") setTimeout(refresh, 10000);
+    }
+
+    refresh();
+  </script>`,
+        '<link rel="stylesheet" href="https://unpkg.com/leaflet@1.9.4/dist/leaflet.css">',
+      ),
+    );
+  } catch (error) {
+    console.error('Trip viewer error', error);
+    return res.status(500).send('Unable to load this trip right now.');
+  }
+}
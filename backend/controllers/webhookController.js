@@ -0,0 +1,146 @@
+/**
+ * SafeRaasta Webhook Controller
+ * Receives Retell call events (call_started, call_ended, call_analyzed)
+ * and records them on the matching SOS incident
+ */
+
+import { timingSafeEqual } from 'crypto';
+import { Buffer } from 'buffer';
+import { classifyCall } from '../providers/retellProvider.js';
+import { reportCallOutcome } from '../services/escalationService.js';
+import {
+  getIncident,
+  findIncidentByCallId,
+  recordCall,
+  addTimelineEvent,
+  markContactReached,
+} from '../services/incidentStore.js';
+
+/**
+ * The webhook URL configured in Retell must carry ?token=<RETELL_WEBHOOK_TOKEN>
+ */
+function isAuthorizedWebhook(req) {
+  const expected = Buffer.from(process.env.RETELL_WEBHOOK_TOKEN);
+  // Compare byte lengths: a multibyte token can match in characters but not in bytes
+  const provided = Buffer.from(String(req.query.token || ''));
+  return (
+    provided.length === expected.length && timingSafeEqual(provided, expected)
+  );
+}
+
+async function findIncidentForCall(call) {
+  const incidentId = call.metadata?.incidentId;
+  if (incidentId) {
+    const incident = await getIncident(incidentId);
+    if (incident) {
+      return incident;
+    }
+  }
+  return findIncidentByCallId(call.call_id);
+}
+
+function toIso(timestampMs) {
+  return timestampMs ? new Date(timestampMs).toISOString() : null;
+}
+
+export async function handleRetellWebhook(req, res) {
+  try {
+    if (!process.env.RETELL_WEBHOOK_TOKEN) {
+      // Fail closed: a forged call_ended could otherwise end a real escalation early
+      console.error(
+        'Rejecting Retell webhook - RETELL_WEBHOOK_TOKEN not configured',
+      );
+      return res
+        .status(503)
+        .json({ success: false, error: 'Webhook verification unavailable' });
+    }
+    if (!isAuthorizedWebhook(req)) {
+      return res
+        .status(401)
+        .json({ success: false, error: 'Invalid webhook token' });
+    }
+
+    const { event, call } = req.body || {};
+    if (!event || !call?.call_id) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Missing event or call' });
+    }
+
+    const incident = await findIncidentForCall(call);
+    if (!incident) {
+      console.warn('Retell webhook for unknown call', {
+        event,
+        callId: call.call_id,
+      });
+      // Acknowledge anyway so Retell does not keep retrying calls we do not track
+      return res.status(204).end();
+    }
+
+    const callId = call.call_id;
+    const known = incident.calls[callId] || {};
+
+    if (event === 'call_started') {
+      recordCall(incident.id, callId, {
+        status: 'ongoing',
+        startedAt: toIso(call.start_timestamp),
+      });
+      addTimelineEvent(incident.id, 'call_started', {
+        callId,
+        name: known.name,
+        phone: known.phone,
+      });
+    } else if (event === 'call_ended') {
+      const outcome = classifyCall('ended', call.disconnection_reason);
+      const durationMs =
+        call.duration_ms ??
+        (call.start_timestamp && call.end_timestamp
+          ? call.end_timestamp - call.start_timestamp
+          : 0);
+
+      recordCall(incident.id, callId, {
+        status: 'ended',
+        outcome,
+        startedAt: known.startedAt || toIso(call.start_timestamp),
+        endedAt: toIso(call.end_timestamp),
+        durationMs,
+        disconnectionReason: call.disconnection_reason || null,
+      });
+      addTimelineEvent(incident.id, 'call_ended', {
+        callId,
+        name: known.name,
+        phone: known.phone,
+        outcome,
+        durationMs,
+        disconnectionReason: call.disconnection_reason || null,
+      });
+      if (outcome === 'answered') {
+        markContactReached(incident.id, known);
+      }
+
+      reportCallOutcome(callId, outcome);
+    } else if (event === 'call_analyzed') {
+      const analysis = call.call_analysis || {};
+      recordCall(incident.id, callId, {
+        summary: analysis.call_summary || null,
+        userSentiment: analysis.user_sentiment || null,
+        inVoicemail: analysis.in_voicemail ?? null,
+      });
+      addTimelineEvent(incident.id, 'call_analyzed', {
+        callId,
+        name: known.name,
+        summary: analysis.call_summary || null,
+      });
+    } else {
+      console.log('Ignoring Retell webhook event', { event, callId });
+    }
+
+    return res.status(204).end();
+  } catch (error) {
+    console.error('Retell webhook error', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error',
+    });
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * SafeRaasta Auth Middleware
+ * Verifies the Firebase ID token sent as "Authorization: Bearer <token>"
+ * and exposes the caller's uid as req.uid
+ */
+
+import admin from 'firebase-admin';
+import { getFirebaseApp } from '../services/firebaseAdmin.js';
+
+export async function requireAuth(req, res, next) {
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return res
+      .status(401)
+      .json({ success: false, error: 'Missing authentication token' });
+  }
+
+  const firebaseApp = getFirebaseApp();
+  if (!firebaseApp) {
+    // Fail closed: without Firebase Admin no caller can be verified
+    console.error(
+      'Rejecting authenticated request - Firebase Admin not configured',
+    );
+    return res
+      .status(503)
+      .json({ success: false, error: 'Authentication unavailable' });
+  }
+
+  try {
+    const decoded = await admin.auth(firebaseApp).verifyIdToken(token);
+    req.uid = decoded.uid;
+    return next();
+  } catch (error) {
+    console.warn('Rejected Firebase ID token', {
+      code: error.code,
+      path: req.path,
+    });
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or expired authentication token',
+    });
+  }
+}
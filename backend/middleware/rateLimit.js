@@ -0,0 +1,56 @@
+/**
+ * SafeRaasta Rate Limit Middleware
+ * Rejects a request with a structured 429 once its key is over the sliding-window limit:
+ * { success: false, error, code: "rate_limited", scope, retryAfterSeconds } plus a Retry-After header.
+ */
+
+import { createSlidingWindow } from '../services/rateLimitService.js';
+
+/**
+ * scope:   label reported to the client ("user", "ip", ...)
+ * key:     req => string, the identity being limited
+ * countIf: (req, res) => boolean, decided once the response is sent; by default every request counts
+ *
+ * The slot is reserved before the handler runs, so concurrent requests cannot all pass the check,
+ * and handed back when countIf rejects the finished request.
+ */
+export function rateLimit({
+  scope,
+  windowMs,
+  max,
+  key,
+  countIf = () => true,
+  message = 'Too many requests',
+}) {
+  const limiter = createSlidingWindow({ windowMs, max });
+
+  return function rateLimitMiddleware(req, res, next) {
+    const id = `${scope}:${key(req)}`;
+    const reservedAt = Date.now();
+    const { allowed, retryAfterMs } = limiter.hit(id, reservedAt);
+
+    if (!allowed) {
+      const retryAfterSeconds = Math.ceil(retryAfterMs / 1000);
+      console.warn('Rate limit hit', {
+        scope,
+        path: req.path,
+        retryAfterSeconds,
+      });
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        error: message,
+        code: 'rate_limited',
+        scope,
+        retryAfterSeconds,
+      });
+    }
+
+    res.on('finish', () => {
+      if (!countIf(req, res)) {
+        limiter.release(id, reservedAt);
+      }
+    });
+    return next();
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * SafeRaasta Fake Provider
+ * Local stand-in for every channel: nothing leaves the server, every message is
+ * logged and kept in an in-memory outbox. Lets the escalation ladder run end to end
+ * without Retell or Twilio.
+ *
+ * Call outcomes are scripted per number:
+ * - FAKE_ANSWERING_NUMBERS: comma-separated numbers that pick up
+ * - FAKE_FAILING_NUMBERS:   comma-separated numbers whose calls are rejected
+ * Every other number rings out (no_answer).
+ */
+
+import { randomUUID } from 'crypto';
+
+const outbox = [];
+
+function readNumberList(name) {
+  return (process.env[name] || '')
+    .split(',')
+    .map(n => n.trim())
+    .filter(Boolean);
+}
+
+async function send(channel, message) {
+  if (
+    channel === 'voice' &&
+    readNumberList('FAKE_FAILING_NUMBERS').includes(message.to)
+  ) {
+    return { ok: false, error: 'Fake provider rejected the call' };
+  }
+
+  const entry = {
+    id: `fake-${randomUUID()}`,
+    channel,
+    sentAt: new Date().toISOString(),
+    ...message,
+  };
+  outbox.push(entry);
+  console.log(`Fake ${channel} sent`, { id: entry.id, to: message.to });
+  return { ok: true, id: entry.id };
+}
+
+async function getCallOutcome(callId) {
+  const call = outbox.find(entry => entry.id === callId);
+  if (!call) {
+    return null;
+  }
+  return readNumberList('FAKE_ANSWERING_NUMBERS').includes(call.to)
+    ? 'answered'
+    : 'no_answer';
+}
+
+/**
+ * Everything the fake provider has sent since start (or the last reset)
+ */
+export function getFakeOutbox() {
+  return [...outbox];
+}
+
+export function resetFakeOutbox() {
+  outbox.length = 0;
+}
+
+export const fakeProvider = {
+  name: 'fake',
+  channels: ['voice', 'sms', 'whatsapp', 'email', 'push'],
+  getMissingConfig: () => null,
+  send,
+  getCallOutcome,
+};
@@ -0,0 +1,30 @@
+/**
+ * SafeRaasta FCM Provider
+ * Push notifications to device registration tokens through Firebase Cloud Messaging
+ */
+
+import admin from 'firebase-admin';
+import { getFirebaseApp } from '../services/firebaseAdmin.js';
+
+function getMissingConfig() {
+  return getFirebaseApp() ? null : 'Firebase Admin not configured';
+}
+
+async function send(channel, { to, title, body, data }) {
+  const messageId = await admin.messaging(getFirebaseApp()).send({
+    token: to,
+    notification: { title, body },
+    // FCM data values must be strings
+    data: Object.fromEntries(
+      Object.entries(data || {}).map(([key, value]) => [key, String(value)]),
+    ),
+  });
+  return { ok: true, id: messageId };
+}
+
+export const fcmProvider = {
+  name: 'fcm',
+  channels: ['push'],
+  getMissingConfig,
+  send,
+};
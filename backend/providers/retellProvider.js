@@ -0,0 +1,116 @@
+/**
+ * SafeRaasta Retell Provider
+ * Voice calls through Retell AI and classification of their outcome
+ */
+
+import fetch from 'node-fetch';
+
+const RETELL_CREATE_CALL_URL = 'https://api.retellai.com/v2/create-phone-call';
+
+function getMissingConfig() {
+  if (!process.env.RETELL_API_KEY || !process.env.RETELL_AGENT_ID) {
+    return 'Missing Retell credentials';
+  }
+  if (!process.env.RETELL_FROM_NUMBER) {
+    return 'Missing Retell from_number';
+  }
+  return null;
+}
+
+/**
+ * POST create-phone-call for a voice message { to, prompt, metadata }
+ */
+async function send(channel, { to, prompt, metadata }) {
+  const retellResponse = await fetch(RETELL_CREATE_CALL_URL, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${process.env.RETELL_API_KEY}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      agent_id: process.env.RETELL_AGENT_ID,
+      to_number: to,
+      from_number: process.env.RETELL_FROM_NUMBER,
+      // Pass variables that Retell agent can use in the script
+      override_agent_config: {
+        general_prompt_override: prompt,
+      },
+      // Send metadata with the actual values for the script
+      metadata,
+    }),
+  });
+
+  const retellData = await retellResponse.json();
+
+  if (!retellResponse.ok) {
+    console.error('Retell call failed', {
+      status: retellResponse.status,
+      statusText: retellResponse.statusText,
+      to,
+      body: retellData,
+    });
+    return {
+      ok: false,
+      error:
+        retellData?.error ||
+        retellData?.message ||
+        'Failed to trigger emergency call',
+      details: retellData,
+    };
+  }
+
+  return { ok: true, id: retellData.call_id };
+}
+
+// Disconnection reasons that mean nobody actually picked up
+const UNANSWERED_REASONS = new Set([
+  'dial_no_answer',
+  'dial_busy',
+  'dial_failed',
+  'voicemail_reached',
+  'machine_detected',
+  'invalid_destination',
+]);
+
+/**
+ * Map a Retell call_status / disconnection_reason pair onto an escalation outcome.
+ * An ongoing call is only 'connected': voicemail and answering machines pick up too, and Retell
+ * tells them apart from a person by the disconnection reason once the call ends.
+ */
+export function classifyCall(callStatus, disconnectionReason) {
+  if (callStatus === 'ongoing') {
+    return 'connected';
+  }
+  if (callStatus === 'error') {
+    return 'failed';
+  }
+  if (callStatus === 'ended') {
+    return UNANSWERED_REASONS.has(disconnectionReason)
+      ? 'no_answer'
+      : 'answered';
+  }
+  return null;
+}
+
+async function getCallOutcome(callId) {
+  const response = await fetch(
+    `https://api.retellai.com/v2/get-call/${encodeURIComponent(callId)}`,
+    {
+      headers: { Authorization: `Bearer ${process.env.RETELL_API_KEY}` },
+    },
+  );
+  if (!response.ok) {
+    return null;
+  }
+
+  const call = await response.json();
+  return classifyCall(call.call_status, call.disconnection_reason);
+}
+
+export const retellProvider = {
+  name: 'retell',
+  channels: ['voice'],
+  getMissingConfig,
+  send,
+  getCallOutcome,
+};
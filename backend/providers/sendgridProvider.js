@@ -0,0 +1,49 @@
+/**
+ * SafeRaasta SendGrid Provider
+ * Email through the SendGrid v3 Mail Send API (SENDGRID_API_KEY, EMAIL_FROM)
+ */
+
+import fetch from 'node-fetch';
+
+function getMissingConfig() {
+  if (!process.env.SENDGRID_API_KEY) {
+    return 'Missing SendGrid API key';
+  }
+  if (!process.env.EMAIL_FROM) {
+    return 'Missing email sender';
+  }
+  return null;
+}
+
+async function send(channel, { to, subject, body }) {
+  const response = await fetch('https://api.sendgrid.com/v3/mail/send', {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${process.env.SENDGRID_API_KEY}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      personalizations: [{ to: [{ email: to }] }],
+      from: { email: process.env.EMAIL_FROM },
+      subject,
+      content: [{ type: 'text/plain', value: body }],
+    }),
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => null);
+    return {
+      ok: false,
+      error: data?.errors?.[0]?.message || 'Failed to send email',
+    };
+  }
+  // SendGrid answers 202 with an empty body; the message id is a header
+  return { ok: true, id: response.headers.get('x-message-id') };
+}
+
+export const sendgridProvider = {
+  name: 'sendgrid',
+  channels: ['email'],
+  getMissingConfig,
+  send,
+};
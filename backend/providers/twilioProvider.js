@@ -0,0 +1,68 @@
+/**
+ * SafeRaasta Twilio Provider
+ * SMS and WhatsApp messages through the Twilio Messages API
+ * (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER, TWILIO_WHATSAPP_FROM)
+ */
+
+import { Buffer } from 'buffer';
+import fetch from 'node-fetch';
+
+function getSender(channel) {
+  if (channel === 'whatsapp') {
+    return process.env.TWILIO_WHATSAPP_FROM
+      ? `whatsapp:${process.env.TWILIO_WHATSAPP_FROM}`
+      : null;
+  }
+  return process.env.TWILIO_FROM_NUMBER || null;
+}
+
+function getMissingConfig(channel) {
+  if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN) {
+    return 'Missing Twilio credentials';
+  }
+  if (!getSender(channel)) {
+    return channel === 'whatsapp'
+      ? 'Missing Twilio WhatsApp sender'
+      : 'Missing Twilio from number';
+  }
+  return null;
+}
+
+async function send(channel, { to, body }) {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+  const response = await fetch(
+    `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+    {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${Buffer.from(
+          `${accountSid}:${authToken}`,
+        ).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: new URLSearchParams({
+        To: channel === 'whatsapp' ? `whatsapp:${to}` : to,
+        From: getSender(channel),
+        Body: body,
+      }).toString(),
+    },
+  );
+
+  const data = await response.json();
+  if (!response.ok) {
+    return {
+      ok: false,
+      error: data?.message || `Failed to send ${channel} message`,
+    };
+  }
+  return { ok: true, id: data.sid };
+}
+
+export const twilioProvider = {
+  name: 'twilio',
+  channels: ['sms', 'whatsapp'],
+  getMissingConfig,
+  send,
+};
@@ -1,10 +1,164 @@
-import express from "express";
-import { triggerSOS } from "./controllers/sosController.js";
+import express from 'express';
+import {
+  triggerSOS,
+  getSOSIncident,
+  updateSOSLocation,
+  trackSOSLocation,
+  cancelSOS,
+} from './controllers/sosController.js';
+import { handleRetellWebhook } from './controllers/webhookController.js';
+import {
+  listContacts,
+  inviteContact,
+  verifyContact,
+  showConsentPage,
+  submitConsent,
+} from './controllers/contactController.js';
+import {
+  uploadEvidence,
+  shareEvidence,
+  showEvidencePage,
+  streamEvidenceChunk,
+} from './controllers/evidenceController.js';
+import {
+  startTrip,
+  updateTripLocation,
+  rerouteTrip,
+  endTrip,
+  checkInTrip,
+  listPendingCheckIns,
+  getSharedTrip,
+  showTripViewer,
+} from './controllers/tripController.js';
+import {
+  submitReport,
+  listReports,
+  listReportsAlongRoutes,
+  flagReport,
+  deleteReport,
+  listModerationQueue,
+  moderateReport,
+} from './controllers/reportController.js';
+import {
+  getDatasets,
+  countRoutePoints,
+  listSafeHavens,
+} from './controllers/datasetController.js';
+import { requireAuth } from './middleware/auth.js';
+import { rateLimit } from './middleware/rateLimit.js';
+import { readLimitEnv } from './services/rateLimitService.js';
 
 const router = express.Router();
 
-router.post("/sos", triggerSOS);
+// Only requests that open a new incident count; repeated taps deduplicated into an open one do not.
+// The per-IP cap is well above the per-user one, since users behind one carrier NAT or campus
+// network share an IP.
+const sosWindowMs = readLimitEnv('SOS_RATE_LIMIT_WINDOW_MS', 10 * 60 * 1000);
+const opensIncident = (req, res) => Boolean(res.locals.incidentCreated);
+const sosLimits = [
+  rateLimit({
+    scope: 'user',
+    windowMs: sosWindowMs,
+    max: readLimitEnv('SOS_RATE_LIMIT_PER_USER', 5),
+    key: req => req.uid,
+    countIf: opensIncident,
+    message: 'Too many SOS requests',
+  }),
+  rateLimit({
+    scope: 'ip',
+    windowMs: sosWindowMs,
+    max: readLimitEnv('SOS_RATE_LIMIT_PER_IP', 30),
+    key: req => req.ip,
+    countIf: opensIncident,
+    message: 'Too many SOS requests',
+  }),
+];
+// Routes open without a login: tracking and trip links, evidence pages, consent pages, moderation.
+// Viewers poll every 10 seconds, so the default leaves room for a family sharing one network.
+const publicLimit = rateLimit({
+  scope: 'ip',
+  windowMs: 60 * 1000,
+  max: readLimitEnv('PUBLIC_RATE_LIMIT_PER_IP', 120),
+  key: req => req.ip,
+});
+// Retell sends every call's events from its own few addresses, so the webhook gets a separate budget
+const webhookLimit = rateLimit({
+  scope: 'ip',
+  windowMs: 60 * 1000,
+  max: readLimitEnv('WEBHOOK_RATE_LIMIT_PER_IP', 600),
+  key: req => req.ip,
+});
+const inviteLimit = rateLimit({
+  scope: 'user',
+  windowMs: 60 * 60 * 1000,
+  max: readLimitEnv('CONTACT_INVITE_LIMIT_PER_HOUR', 10),
+  key: req => req.uid,
+  message: 'Too many invitations',
+});
+const reportLimit = rateLimit({
+  scope: 'user',
+  windowMs: 60 * 60 * 1000,
+  max: readLimitEnv('REPORT_LIMIT_PER_HOUR', 10),
+  key: req => req.uid,
+  message: 'Too many reports',
+});
+
+router.post('/sos', requireAuth, sosLimits, triggerSOS);
 // Alias kept for legacy docs/clients
-router.post("/sos-trigger", triggerSOS);
+router.post('/sos-trigger', requireAuth, sosLimits, triggerSOS);
+// Retell call status events (configure this URL as the agent's webhook); public, see RETELL_WEBHOOK_TOKEN
+router.post('/sos/webhook/retell', webhookLimit, handleRetellWebhook);
+// Live incident state for the app to poll
+router.get('/sos/:incidentId', requireAuth, getSOSIncident);
+// Live location stream from the app, and the public link contacts receive (no login needed)
+router.post('/sos/:incidentId/location', requireAuth, updateSOSLocation);
+router.get('/sos/track/:trackingToken', publicLimit, trackSOSLocation);
+// Stand down an SOS with the safety PIN
+router.post('/sos/:incidentId/cancel', requireAuth, cancelSOS);
+
+// Encrypted audio recorded during an SOS, and the expiring links that let others listen (no login needed)
+router.post('/sos/:incidentId/evidence', requireAuth, uploadEvidence);
+router.post('/sos/:incidentId/evidence/links', requireAuth, shareEvidence);
+router.get('/evidence/:token', publicLimit, showEvidencePage);
+router.get(
+  '/evidence/:token/chunks/:sequence',
+  publicLimit,
+  streamEvidenceChunk,
+);
+
+// Journey sharing: the app opens a trip when navigation starts; family follow the public link
+router.post('/trips', requireAuth, startTrip);
+// Check-ins still due, so the app can offer "I'm safe" again after a restart or sign-in
+router.get('/trips/check-ins', requireAuth, listPendingCheckIns);
+router.post('/trips/:tripId/location', requireAuth, updateTripLocation);
+// Rerouting (e.g. to a safe haven) moves the trip's destination, so arriving there checks it in
+router.post('/trips/:tripId/route', requireAuth, rerouteTrip);
+router.post('/trips/:tripId/end', requireAuth, endTrip);
+// "I'm safe" or more time; without it the server raises an SOS after the ETA and grace period
+router.post('/trips/:tripId/check-in', requireAuth, checkInTrip);
+router.get('/trips/share/:shareToken', publicLimit, showTripViewer);
+router.get('/trips/share/:shareToken/state', publicLimit, getSharedTrip);
+
+// Community reports of unsafe spots; moderators use the X-Moderation-Token header instead of a login
+router.post('/reports', requireAuth, reportLimit, submitReport);
+router.get('/reports', requireAuth, listReports);
+router.post('/reports/along-routes', requireAuth, listReportsAlongRoutes);
+router.get('/reports/moderation', publicLimit, listModerationQueue);
+router.post('/reports/:reportId/flag', requireAuth, flagReport);
+router.delete('/reports/:reportId', requireAuth, deleteReport);
+router.post('/reports/:reportId/moderate', publicLimit, moderateReport);
+
+// Open geo datasets: what the server has loaded, counts along route segments for scoring, and
+// the safe havens shown along the route being navigated
+router.get('/datasets', requireAuth, getDatasets);
+router.post('/datasets/route-counts', requireAuth, countRoutePoints);
+router.post('/datasets/havens', requireAuth, listSafeHavens);
+
+// Emergency contact consent: invite from the app, answer by code or public opt-in page
+router.get('/contacts', requireAuth, listContacts);
+router.post('/contacts/invite', requireAuth, inviteLimit, inviteContact);
+router.post('/contacts/verify', requireAuth, verifyContact);
+router.get('/contacts/consent/:token', publicLimit, showConsentPage);
+router.post('/contacts/consent/:token', publicLimit, submitConsent);
 
 export default router;
@@ -0,0 +1,64 @@
+/**
+ * SafeRaasta Dataset Ingestion
+ * Validates a downloaded open dataset and stores it where the server loads datasets from.
+ *
+ *   npm run ingest -- <kind> <file.geojson|file.csv> [name]
+ *
+ * kind is one of streetlight, police_station, hospital, petrol_pump, open_24x7. The points are
+ * written as GeoJSON to <GEO_DATASETS_DIR>/<kind>/<name>.geojson; restart the server to load them.
+ */
+
+import 'dotenv/config';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { parseDataset } from '../services/datasetParser.js';
+import { DATASET_KINDS, getDatasetsDir } from '../services/geoDatasetStore.js';
+
+async function main() {
+  const [kind, file, name = path.parse(file || '').name] =
+    process.argv.slice(2);
+
+  if (!DATASET_KINDS.includes(kind) || !file) {
+    console.error(
+      `Usage: npm run ingest -- <${DATASET_KINDS.join(
+        '|',
+      )}> <file.geojson|file.csv> [name]`,
+    );
+    process.exit(1);
+  }
+  if (!/^[\w-]+$/.test(name)) {
+    console.error('Dataset name may only contain letters, digits, - and _');
+    process.exit(1);
+  }
+
+  const { points, skipped } = parseDataset(file, await readFile(file, 'utf8'));
+  if (points.length === 0) {
+    console.error(`No usable points in ${file} (${skipped} skipped)`);
+    process.exit(1);
+  }
+
+  const collection = {
+    type: 'FeatureCollection',
+    features: points.map(p => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [p.longitude, p.latitude] },
+      properties: p.name ? { name: p.name } : {},
+    })),
+  };
+
+  const dir = path.join(getDatasetsDir(), kind);
+  await mkdir(dir, { recursive: true });
+  const target = path.join(dir, `${name}.geojson`);
+  await writeFile(target, JSON.stringify(collection));
+
+  console.log(
+    `Ingested ${points.length} ${kind} points into ${target}${
+      skipped ? ` (${skipped} skipped)` : ''
+    }`,
+  );
+}
+
+main().catch(error => {
+  console.error('Ingestion failed:', error.message);
+  process.exit(1);
+});
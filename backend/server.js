@@ -1,17 +1,20 @@
-import express from "express";
-import dotenv from "dotenv";
-import cors from "cors";
-import routes from "./routes.js";
-
-// Load environment variables
-dotenv.config();
+// Load environment variables before any module reads them
+import 'dotenv/config';
+import express from 'express';
+import cors from 'cors';
+import routes from './routes.js';
+import { startCheckInScheduler } from './services/checkInScheduler.js';
+import { loadDatasets } from './services/geoDatasetStore.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Render (and most hosts) sit behind one proxy; needed for the real client IP in rate limits
+app.set('trust proxy', 1);
+
 // Middleware
 app.use(cors()); // Enable CORS for React Native app
-app.use(express.json()); // Parse JSON bodies
+app.use(express.json({ limit: '1mb' })); // Parse JSON bodies (SOS audio chunks arrive base64-encoded)
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 
 // Request logging middleware
@@ -21,38 +24,77 @@ app.use((req, res, next) => {
 });
 
 // Health check endpoint (root level for quick testing)
-app.get("/health", (req, res) => {
-  res.json({ 
-    status: "ok", 
-    message: "SafeRaasta SOS Backend is running",
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    message: 'SafeRaasta SOS Backend is running',
     timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
   });
 });
 
 // Routes
-app.use("/api", routes);
+app.use('/api', routes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error("Unhandled error:", err);
-  res.status(500).json({ error: "Internal server error", details: err.message });
+  console.error('Unhandled error:', err);
+  res
+    .status(500)
+    .json({ error: 'Internal server error', details: err.message });
 });
 
 // Start server
-app.listen(PORT, "0.0.0.0", () => {
-  console.log(`\n${"=".repeat(50)}`);
-  console.log(`SafeRaasta SOS Backend started`);
-  console.log(`${"=".repeat(50)}`);
+app.listen(PORT, '0.0.0.0', () => {
+  console.log(`\n${'='.repeat(50)}`);
+  console.log('SafeRaasta SOS Backend started');
+  console.log(`${'='.repeat(50)}`);
   console.log(`🚀 Server running on http://0.0.0.0:${PORT}`);
   console.log(`🌍 Accessible at: http://localhost:${PORT}`);
-  console.log(`📱 On same WiFi: http://192.168.x.x:${PORT} (replace with your IP)`);
-  console.log(`${"=".repeat(50)}`);
-  console.log(`Environment: ${process.env.NODE_ENV || "development"}`);
-  console.log(`Retell API Key: ${process.env.RETELL_API_KEY ? "✓ Configured" : "✗ Missing"}`);
-  console.log(`Retell Agent ID: ${process.env.RETELL_AGENT_ID ? "✓ Configured" : "✗ Missing"}`);
-  console.log(`Retell From Number: ${process.env.RETELL_FROM_NUMBER ? "✓ Configured" : "✗ Missing"}`);
-  console.log(`${"=".repeat(50)}\n`);
+  console.log(
+    `📱 On same WiFi: http://192.168.x.x:${PORT} (replace with your IP)`,
+  );
+  console.log(`${'='.repeat(50)}`);
+  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  console.log(
+    `Retell API Key: ${
+      process.env.RETELL_API_KEY ? '✓ Configured' : '✗ Missing'
+    }`,
+  );
+  console.log(
+    `Retell Agent ID: ${
+      process.env.RETELL_AGENT_ID ? '✓ Configured' : '✗ Missing'
+    }`,
+  );
+  console.log(
+    `Retell From Number: ${
+      process.env.RETELL_FROM_NUMBER ? '✓ Configured' : '✗ Missing'
+    }`,
+  );
+  console.log(`Voice provider: ${process.env.VOICE_PROVIDER || 'retell'}`);
+  console.log(`SMS provider: ${process.env.SMS_PROVIDER || '✗ None'}`);
+  console.log(
+    `Firebase Admin: ${
+      process.env.FIREBASE_SERVICE_ACCOUNT ||
+      process.env.GOOGLE_APPLICATION_CREDENTIALS
+        ? '✓ Configured'
+        : '✗ Missing (incidents kept in memory)'
+    }`,
+  );
+  console.log(`${'='.repeat(50)}\n`);
+
+  // Trip check-ins are watched by the server so a dead phone still triggers the SOS
+  startCheckInScheduler();
+
+  loadDatasets().then(loaded => {
+    console.log(
+      `Geo datasets: ${
+        loaded.length
+          ? loaded.map(d => `${d.kind}/${d.name}`).join(', ')
+          : '✗ None (route scores use no local evidence)'
+      }`,
+    );
+  });
 });
 
 export default app;
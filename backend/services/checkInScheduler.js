@@ -0,0 +1,126 @@
+/**
+ * SafeRaasta Check-in Scheduler
+ * Every trip carries a "check in by" deadline (the route ETA). When the user neither arrives
+ * nor confirms they are safe within the grace period, the server starts the SOS escalation
+ * on its own, so it still happens if the phone is dead or offline.
+ *
+ * Overdue trips are found by a periodic sweep rather than per-trip timers, so pending
+ * check-ins restored from Firestore after a restart are handled the same way.
+ */
+
+import { listTripsAwaitingCheckIn, updateTrip } from './tripStore.js';
+import { findOpenIncidentForUser, addTimelineEvent } from './incidentStore.js';
+import { launchSOS } from './sosLauncher.js';
+
+const SWEEP_INTERVAL_MS = 30 * 1000;
+// An SOS the user opened within this window already covers a missed check-in
+const OPEN_INCIDENT_WINDOW_MS = 60 * 60 * 1000;
+
+let sweeping = false;
+
+export function getCheckInGraceMinutes() {
+  const value = Number(process.env.CHECK_IN_GRACE_MINUTES);
+  return Number.isFinite(value) && value >= 0 ? value : 15;
+}
+
+function isOverdue(trip, now) {
+  return (
+    now >
+    new Date(trip.checkIn.dueAt).getTime() +
+      trip.checkIn.graceMinutes * 60 * 1000
+  );
+}
+
+async function escalateMissedCheckIn(trip) {
+  // Marked first so an escalation that takes a while is never started twice
+  updateTrip(trip.id, {
+    checkIn: {
+      ...trip.checkIn,
+      status: 'missed',
+      missedAt: new Date().toISOString(),
+    },
+  });
+  console.log('Trip check-in missed', {
+    tripId: trip.id,
+    uid: trip.uid,
+    dueAt: trip.checkIn.dueAt,
+  });
+
+  const openIncident = findOpenIncidentForUser(
+    trip.uid,
+    OPEN_INCIDENT_WINDOW_MS,
+  );
+  if (openIncident) {
+    addTimelineEvent(openIncident.id, 'check_in_missed', { tripId: trip.id });
+    updateTrip(trip.id, {
+      checkIn: { ...trip.checkIn, incidentId: openIncident.id },
+    });
+    return;
+  }
+
+  // The last position the phone sent, or the start of the route if it never sent one
+  const { latitude, longitude } = trip.location || trip.polyline[0];
+  const { status, body, incident } = await launchSOS({
+    uid: trip.uid,
+    baseUrl: trip.publicBaseUrl,
+    userName: trip.userName,
+    latitude,
+    longitude,
+    timestamp: new Date().toISOString(),
+    pinHashes: trip.pinHashes || null,
+    origin: { tripId: trip.id },
+    missedCheckIn: true,
+  });
+
+  if (incident) {
+    updateTrip(trip.id, {
+      checkIn: { ...trip.checkIn, incidentId: incident.id },
+    });
+  } else if (status === 503) {
+    // Contacts could not be loaded right now; the next sweep tries again
+    updateTrip(trip.id, { checkIn: { ...trip.checkIn, status: 'pending' } });
+  }
+  if (status !== 200) {
+    console.error('Missed check-in SOS failed', {
+      tripId: trip.id,
+      status,
+      error: body.error,
+    });
+  }
+}
+
+async function sweep() {
+  if (sweeping) {
+    return;
+  }
+  sweeping = true;
+
+  try {
+    const now = Date.now();
+    for (const trip of await listTripsAwaitingCheckIn()) {
+      if (!isOverdue(trip, now)) {
+        continue;
+      }
+      try {
+        await escalateMissedCheckIn(trip);
+      } catch (error) {
+        console.error('Missed check-in escalation error', {
+          tripId: trip.id,
+          error: error.message,
+        });
+      }
+    }
+  } catch (error) {
+    console.error('Check-in sweep error', error);
+  } finally {
+    sweeping = false;
+  }
+}
+
+/**
+ * Start sweeping for overdue check-ins. Called once when the server starts.
+ */
+export function startCheckInScheduler() {
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+  sweep();
+}
@@ -0,0 +1,334 @@
+/**
+ * SafeRaasta Contact Service
+ * Loads a user's emergency contacts from their Firestore profile (users/{uid}),
+ * the same document the app edits. The server only ever dials numbers stored there.
+ *
+ * New contacts are invited by SMS (or a call when no SMS provider is set up) with an
+ * opt-in link and a one-time code. Their consent (status: pending | verified | declined) is kept
+ * in contactConsents/{uid}_{phone}, which only the backend writes: the app edits the profile, so
+ * a status saved there could be forged.
+ */
+
+import { createHash, randomBytes, randomInt, timingSafeEqual } from 'crypto';
+import { Buffer } from 'buffer';
+import { getFirestore } from './firebaseAdmin.js';
+import {
+  sendNotification,
+  isChannelConfigured,
+} from './notificationService.js';
+
+// "+" then country code and subscriber number, 8-15 digits in total, no leading zero
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+const INVITES = 'contactInvites';
+const CONSENTS = 'contactConsents';
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Wrong codes allowed before an invite has to be resent
+const MAX_CODE_ATTEMPTS = 5;
+
+export function isE164(phone) {
+  return typeof phone === 'string' && E164_PATTERN.test(phone);
+}
+
+function consentRef(db, uid, phone) {
+  return db.collection(CONSENTS).doc(`${uid}_${phone}`);
+}
+
+async function setConsent(uid, phone, patch) {
+  await consentRef(getFirestore(), uid, phone).set(
+    { uid, phone, ...patch },
+    { merge: true },
+  );
+}
+
+/**
+ * Consent records of a user's contacts, keyed by phone: { status, invitedAt, respondedAt }
+ */
+async function loadConsents(db, uid) {
+  const query = await db.collection(CONSENTS).where('uid', '==', uid).get();
+  return new Map(query.docs.map(doc => [doc.data().phone, doc.data()]));
+}
+
+/**
+ * Sort stored profile entries using the backend's consent records; a status on the profile entry
+ * itself is ignored. contacts carry verified: true once they accepted. rejected lists entries with
+ * a missing name, a non-E.164 number, or that declined.
+ */
+export function classifyContacts(stored, consents) {
+  const contacts = [];
+  const rejected = [];
+  for (const entry of stored) {
+    const name = typeof entry?.name === 'string' ? entry.name.trim() : '';
+    const phone = typeof entry?.phone === 'string' ? entry.phone.trim() : '';
+
+    if (!name) {
+      rejected.push({
+        name: null,
+        phone: phone || null,
+        error: 'Missing contact name',
+      });
+    } else if (!isE164(phone)) {
+      rejected.push({
+        name,
+        phone: phone || null,
+        error: 'Phone number is not in E.164 format',
+      });
+    } else if (consents.get(phone)?.status === 'declined') {
+      rejected.push({
+        name,
+        phone,
+        error: 'Contact declined to be an emergency contact',
+      });
+    } else {
+      contacts.push({
+        name,
+        phone,
+        verified: consents.get(phone)?.status === 'verified',
+      });
+    }
+  }
+
+  return { contacts, rejected };
+}
+
+/**
+ * Resolves to { profile, contacts, rejected } (see classifyContacts), or null when Firestore is
+ * not configured
+ */
+export async function loadEmergencyContacts(uid) {
+  const db = getFirestore();
+  if (!db) {
+    return null;
+  }
+
+  const snap = await db.collection('users').doc(uid).get();
+  const profile = snap.exists ? snap.data() : {};
+  const stored = Array.isArray(profile.emergencyContacts)
+    ? profile.emergencyContacts
+    : [];
+
+  return { profile, ...classifyContacts(stored, await loadConsents(db, uid)) };
+}
+
+/**
+ * Consent status of each contact in the user's profile, for the app to show:
+ * [{ phone, status, invitedAt, respondedAt }]; status is null for contacts never invited.
+ * Resolves to null when Firestore is not configured.
+ */
+export async function listContactConsents(uid) {
+  const db = getFirestore();
+  if (!db) {
+    return null;
+  }
+
+  const snap = await db.collection('users').doc(uid).get();
+  const stored =
+    snap.exists && Array.isArray(snap.data().emergencyContacts)
+      ? snap.data().emergencyContacts
+      : [];
+  const consents = await loadConsents(db, uid);
+
+  return stored
+    .map(entry => (typeof entry?.phone === 'string' ? entry.phone.trim() : ''))
+    .filter(Boolean)
+    .map(phone => {
+      const consent = consents.get(phone);
+      return {
+        phone,
+        status: consent?.status ?? null,
+        invitedAt: consent?.invitedAt ?? null,
+        respondedAt: consent?.respondedAt ?? null,
+      };
+    });
+}
+
+function hashCode(token, code) {
+  return createHash('sha256').update(`${token}:${code}`).digest('hex');
+}
+
+function buildInviteText({ userName, contactName, code, consentLink }) {
+  return (
+    `Hi ${contactName}, ${userName} wants to add you as an emergency contact on SafeRaasta. ` +
+    'If they trigger an SOS you may receive an automated call with their location.\n' +
+    `Accept or decline: ${consentLink}\n` +
+    `Or tell ${userName} this code: ${code}`
+  );
+}
+
+/**
+ * Invite a contact already stored in the user's profile.
+ * buildConsentLink(token) turns the invite token into the public opt-in URL.
+ * Resolves to { ok, channel } or { ok: false, status, error }; null when Firestore is not configured.
+ */
+export async function inviteContact(uid, phone, buildConsentLink) {
+  const db = getFirestore();
+  if (!db) {
+    return null;
+  }
+
+  const profileSnap = await db.collection('users').doc(uid).get();
+  const profile = profileSnap.exists ? profileSnap.data() : {};
+  const contact = (profile.emergencyContacts || []).find(
+    c => c?.phone?.trim() === phone,
+  );
+  if (!contact) {
+    return {
+      ok: false,
+      status: 404,
+      error: 'Add the contact to your profile first',
+    };
+  }
+
+  // A new invite replaces any earlier one for the same contact
+  const previous = await db
+    .collection(INVITES)
+    .where('uid', '==', uid)
+    .where('phone', '==', phone)
+    .get();
+  await Promise.all(previous.docs.map(doc => doc.ref.delete()));
+
+  const userName = profile.name || 'A SafeRaasta user';
+  const token = randomBytes(24).toString('base64url');
+  const code = String(randomInt(0, 1000000)).padStart(6, '0');
+  const now = Date.now();
+  await db
+    .collection(INVITES)
+    .doc(token)
+    .set({
+      uid,
+      phone,
+      name: contact.name,
+      userName,
+      codeHash: hashCode(token, code),
+      codeAttempts: 0,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + INVITE_TTL_MS).toISOString(),
+    });
+
+  // SMS carries the opt-in link; without an SMS provider a call reads out the code instead
+  const channel = isChannelConfigured('sms', phone) ? 'sms' : 'voice';
+  const sent =
+    channel === 'sms'
+      ? await sendNotification('sms', {
+          to: phone,
+          body: buildInviteText({
+            userName,
+            contactName: contact.name,
+            code,
+            consentLink: buildConsentLink(token),
+          }),
+        })
+      : await sendNotification('voice', {
+          to: phone,
+          prompt:
+            'You are calling {contactName} on behalf of SafeRaasta. {name} wants to add them as an emergency contact. ' +
+            "Explain that they may receive an automated call with {name}'s location during an emergency, " +
+            'and ask them to tell {name} the code {code} if they agree. Read the code digit by digit twice.',
+          metadata: {
+            invite: true,
+            contactName: contact.name,
+            name: userName,
+            code: code.split('').join(' '),
+          },
+        });
+
+  if (!sent.ok) {
+    await db.collection(INVITES).doc(token).delete();
+    return {
+      ok: false,
+      status: 502,
+      error: sent.error || 'Failed to send invitation',
+    };
+  }
+
+  await setConsent(uid, phone, {
+    status: 'pending',
+    invitedAt: new Date(now).toISOString(),
+    respondedAt: null,
+  });
+  return { ok: true, channel };
+}
+
+/**
+ * Invite details for the public opt-in page, or null when unknown or expired
+ */
+export async function getContactInvite(token) {
+  const db = getFirestore();
+  if (!db || !token) {
+    return null;
+  }
+
+  const snap = await db.collection(INVITES).doc(token).get();
+  if (!snap.exists) {
+    return null;
+  }
+
+  const invite = snap.data();
+  return new Date(invite.expiresAt).getTime() > Date.now()
+    ? { token, ...invite }
+    : null;
+}
+
+async function resolveInvite(invite, status) {
+  await setConsent(invite.uid, invite.phone, {
+    status,
+    respondedAt: new Date().toISOString(),
+  });
+  await getFirestore().collection(INVITES).doc(invite.token).delete();
+}
+
+/**
+ * The contact answered through the opt-in link. decision: "accept" | "decline"
+ */
+export async function respondToInvite(invite, decision) {
+  return resolveInvite(invite, decision === 'accept' ? 'verified' : 'declined');
+}
+
+/**
+ * The user entered the code the contact gave them.
+ * Resolves to { ok } or { ok: false, status, error }; null when Firestore is not configured.
+ */
+export async function verifyContactCode(uid, phone, code) {
+  const db = getFirestore();
+  if (!db) {
+    return null;
+  }
+
+  const query = await db
+    .collection(INVITES)
+    .where('uid', '==', uid)
+    .where('phone', '==', phone)
+    .limit(1)
+    .get();
+  const invite = query.empty ? null : await getContactInvite(query.docs[0].id);
+  if (!invite) {
+    return {
+      ok: false,
+      status: 404,
+      error: 'No open invitation for this contact',
+    };
+  }
+
+  if (invite.codeAttempts >= MAX_CODE_ATTEMPTS) {
+    return {
+      ok: false,
+      status: 423,
+      error: 'Too many incorrect codes - send a new invitation',
+    };
+  }
+
+  const expected = Buffer.from(invite.codeHash, 'hex');
+  const actual = Buffer.from(
+    hashCode(invite.token, String(code ?? '').trim()),
+    'hex',
+  );
+  if (!timingSafeEqual(expected, actual)) {
+    await db
+      .collection(INVITES)
+      .doc(invite.token)
+      .update({ codeAttempts: invite.codeAttempts + 1 });
+    return { ok: false, status: 403, error: 'Incorrect code' };
+  }
+
+  await resolveInvite(invite, 'verified');
+  return { ok: true };
+}
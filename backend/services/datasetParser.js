@@ -0,0 +1,160 @@
+/**
+ * SafeRaasta Dataset Parser
+ * Reads open point datasets (street lights, police stations, ...) into
+ * [{ latitude, longitude, name }]. GeoJSON Point and MultiPoint features are used, other
+ * geometries are skipped. CSV files need a header row with latitude and longitude columns.
+ */
+
+import { isPoint } from './routeProgress.js';
+
+const LATITUDE_COLUMNS = ['latitude', 'lat', 'y'];
+const LONGITUDE_COLUMNS = ['longitude', 'lng', 'lon', 'long', 'x'];
+const NAME_COLUMNS = ['name', 'title', 'label'];
+
+function toPoint(latitude, longitude, name) {
+  // Number("") is 0, which would put a blank cell in the Gulf of Guinea
+  if (
+    latitude === '' ||
+    longitude === '' ||
+    latitude == null ||
+    longitude == null
+  ) {
+    return null;
+  }
+  const point = {
+    latitude: Number(latitude),
+    longitude: Number(longitude),
+    name: name ? String(name) : null,
+  };
+  return isPoint(point) ? point : null;
+}
+
+/**
+ * GeoJSON FeatureCollection, Feature or bare geometry. Coordinates are [longitude, latitude].
+ */
+export function parseGeoJSON(text) {
+  const json = JSON.parse(text);
+  const features =
+    json.type === 'FeatureCollection'
+      ? json.features
+      : json.type === 'Feature'
+      ? [json]
+      : [{ type: 'Feature', geometry: json, properties: {} }];
+
+  if (!Array.isArray(features)) {
+    throw new Error('GeoJSON has no features');
+  }
+
+  const points = [];
+  let skipped = 0;
+  for (const feature of features) {
+    const { geometry, properties } = feature || {};
+    const name = properties?.name || properties?.title || null;
+    const positions =
+      geometry?.type === 'Point'
+        ? [geometry.coordinates]
+        : geometry?.type === 'MultiPoint'
+        ? geometry.coordinates
+        : [];
+
+    if (positions.length === 0) {
+      skipped++;
+    }
+    for (const position of positions) {
+      const point = Array.isArray(position)
+        ? toPoint(position[1], position[0], name)
+        : null;
+      if (point) {
+        points.push(point);
+      } else {
+        skipped++;
+      }
+    }
+  }
+  return { points, skipped };
+}
+
+/**
+ * Split one CSV line, honouring double-quoted fields ("a, b" and "" escapes)
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map(f => f.trim());
+}
+
+export function parseCSV(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length === 0) {
+    throw new Error('CSV is empty');
+  }
+
+  const header = splitCsvLine(lines[0]).map(h => h.toLowerCase());
+  const column = names => header.findIndex(h => names.includes(h));
+  const latIndex = column(LATITUDE_COLUMNS);
+  const lngIndex = column(LONGITUDE_COLUMNS);
+  const nameIndex = column(NAME_COLUMNS);
+
+  if (latIndex === -1 || lngIndex === -1) {
+    throw new Error(
+      `CSV header needs a latitude (${LATITUDE_COLUMNS.join(
+        '/',
+      )}) and a longitude (${LONGITUDE_COLUMNS.join('/')}) column`,
+    );
+  }
+
+  const points = [];
+  let skipped = 0;
+  for (const line of lines.slice(1)) {
+    const fields = splitCsvLine(line);
+    const point = toPoint(
+      fields[latIndex],
+      fields[lngIndex],
+      nameIndex === -1 ? null : fields[nameIndex],
+    );
+    if (point) {
+      points.push(point);
+    } else {
+      skipped++;
+    }
+  }
+  return { points, skipped };
+}
+
+/**
+ * Pick the parser from the file name: .geojson/.json or .csv
+ */
+export function parseDataset(fileName, text) {
+  if (/\.(geo)?json$/i.test(fileName)) {
+    return parseGeoJSON(text);
+  }
+  if (/\.csv$/i.test(fileName)) {
+    return parseCSV(text);
+  }
+  throw new Error(
+    `Unsupported dataset file: ${fileName} (use .geojson, .json or .csv)`,
+  );
+}
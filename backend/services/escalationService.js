@@ -0,0 +1,601 @@
+/**
+ * SafeRaasta SOS Escalation Service
+ * Works through the emergency contact ladder until somebody answers:
+ * call, wait for the outcome, retry unanswered contacts, move on,
+ * fall back to the configured escalation number, and text everyone if no call got through.
+ * Contacts who accepted their invitation are called and texted first; unverified ones only after
+ * them, so an SOS still reaches somebody when no invitation has been accepted yet.
+ */
+
+import {
+  placeEmergencyCall,
+  fetchCallOutcome,
+  sendNotification,
+  isChannelConfigured,
+} from './notificationService.js';
+import { buildEmergencyMessage } from './messageBuilder.js';
+import { isE164 } from './contactService.js';
+import {
+  addTimelineEvent,
+  updateIncident,
+  recordCall,
+  markContactReached,
+} from './incidentStore.js';
+
+const CALL_STRATEGIES = ['parallel', 'sequential'];
+const MESSAGE_CHANNELS = ['sms', 'whatsapp'];
+
+const escalations = new Map();
+// Calls placed by an escalation that will wait on their outcome. Only these are remembered when the
+// webhook reports before the wait starts; other calls (fallback, follow-ups, invitations) are ignored.
+const awaitedCalls = new Set();
+// Outcomes reported by the Retell webhook, keyed by callId, consumed by waitForCallOutcome
+const reportedOutcomes = new Map();
+const outcomeListeners = new Map();
+
+function readNumberEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function getEscalationConfig() {
+  return {
+    answerTimeoutMs: readNumberEnv('SOS_ANSWER_TIMEOUT_MS', 45000),
+    connectedTimeoutMs: readNumberEnv('SOS_CONNECTED_TIMEOUT_MS', 180000),
+    pollIntervalMs: readNumberEnv('SOS_CALL_POLL_INTERVAL_MS', 5000),
+    retryDelayMs: readNumberEnv('SOS_RETRY_DELAY_MS', 30000),
+    maxAttempts: Math.max(1, readNumberEnv('SOS_MAX_ATTEMPTS_PER_CONTACT', 2)),
+    fallbackNumber: process.env.SOS_ESCALATION_NUMBER || null,
+    fallbackName: process.env.SOS_ESCALATION_NAME || 'Emergency Helpline',
+  };
+}
+
+/**
+ * Text channels used when no call gets through, from SOS_MESSAGE_CHANNELS (default "sms")
+ */
+function getMessageChannels() {
+  const configured = (process.env.SOS_MESSAGE_CHANNELS || 'sms')
+    .split(',')
+    .map(c => c.trim());
+  return configured.filter(c => MESSAGE_CHANNELS.includes(c));
+}
+
+/**
+ * Whether an SOS to these numbers can still go out as a text message when no call can be placed.
+ * Providers can differ per dialling prefix, so each number is checked.
+ */
+export function isMessageFallbackConfigured(phones) {
+  return getMessageChannels().some(channel =>
+    phones.some(phone => isChannelConfigured(channel, phone)),
+  );
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Strategy comes from the request when valid, otherwise from SOS_CALL_STRATEGY (default "parallel").
+ * - parallel:   call every contact at once, then retry whoever did not answer
+ * - sequential: call contacts in order, retrying each before moving on to the next
+ */
+export function resolveCallStrategy(requested) {
+  if (CALL_STRATEGIES.includes(requested)) {
+    return requested;
+  }
+  const configured = process.env.SOS_CALL_STRATEGY;
+  return CALL_STRATEGIES.includes(configured) ? configured : 'parallel';
+}
+
+export function isValidContact(contact) {
+  return Boolean(contact && contact.name && isE164(contact.phone));
+}
+
+export function getEscalation(escalationId) {
+  return escalations.get(escalationId) || null;
+}
+
+/**
+ * Valid contacts in the order they are tried: verified first, then unverified
+ */
+function preferVerified(contacts) {
+  const valid = contacts.filter(isValidContact);
+  return [valid.filter(c => c.verified), valid.filter(c => !c.verified)];
+}
+
+/**
+ * Stop placing new calls for an incident (the user cancelled the SOS).
+ * Calls already ringing are left to finish. Returns the escalation, or null if unknown.
+ */
+export function stopEscalation(escalationId) {
+  const escalation = escalations.get(escalationId);
+  if (!escalation) {
+    return null;
+  }
+
+  escalation.stopped = true;
+  escalation.state = 'cancelled';
+  escalation.contacts
+    .filter(c => c.status === 'pending')
+    .forEach(c => {
+      c.status = 'skipped';
+    });
+  escalation.resolvedAt = escalation.resolvedAt || new Date().toISOString();
+  syncIncident(escalation);
+  return escalation;
+}
+
+/**
+ * Called by the voice provider's webhook so a waiting escalation does not have to wait for its next poll
+ */
+export function reportCallOutcome(callId, outcome) {
+  if (!outcome) {
+    return;
+  }
+  const listener = outcomeListeners.get(callId);
+  if (listener) {
+    listener(outcome);
+  } else if (awaitedCalls.has(callId)) {
+    reportedOutcomes.set(callId, outcome);
+  }
+}
+
+/**
+ * Wait until a placed call is answered, goes unanswered, or the answer timeout expires.
+ * Resolves from whichever comes first: a webhook report or a provider poll.
+ * A connected call may be a voicemail box, so polling goes on until it ends. One still live
+ * after connectedTimeoutMs is a conversation, not a greeting, and counts as answered.
+ */
+async function waitForCallOutcome({ callId, provider }, config) {
+  let reported = reportedOutcomes.get(callId) || null;
+  outcomeListeners.set(callId, outcome => {
+    reported = outcome;
+  });
+
+  try {
+    if (reported) {
+      return reported;
+    }
+    let deadline = Date.now() + config.answerTimeoutMs;
+    let connected = false;
+    while (Date.now() < deadline) {
+      await sleep(
+        Math.min(config.pollIntervalMs, Math.max(0, deadline - Date.now())),
+      );
+      if (reported) {
+        return reported;
+      }
+      const outcome = await fetchCallOutcome(provider, callId);
+      if (outcome === 'connected') {
+        if (!connected) {
+          connected = true;
+          deadline = Date.now() + config.connectedTimeoutMs;
+        }
+      } else if (outcome) {
+        return outcome;
+      }
+      if (reported) {
+        return reported;
+      }
+    }
+    return connected ? 'answered' : 'no_answer';
+  } finally {
+    outcomeListeners.delete(callId);
+    awaitedCalls.delete(callId);
+    reportedOutcomes.delete(callId);
+  }
+}
+
+/**
+ * Mirror the escalation's live state onto its incident record
+ */
+function syncIncident(escalation) {
+  updateIncident(escalation.id, {
+    status: escalation.state,
+    contacts: summarizeContacts(escalation),
+    fallback: escalation.fallback ? summarizeEntry(escalation.fallback) : null,
+    sms: escalation.sms,
+    resolvedAt: escalation.resolvedAt,
+  });
+}
+
+/**
+ * Place one call to a contact and record the attempt. Returns true when the call was placed.
+ * awaitOutcome: false for calls nobody waits on, so their webhook reports are not kept.
+ */
+async function placeAttempt(
+  escalation,
+  entry,
+  callDetails,
+  { awaitOutcome = true } = {},
+) {
+  const attempt = {
+    callId: null,
+    provider: null,
+    status: 'calling',
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+  };
+  entry.attempts.push(attempt);
+
+  const call = await placeEmergencyCall({
+    ...callDetails,
+    incidentId: escalation.id,
+    contact: entry,
+  });
+  if (!call.ok) {
+    attempt.status = 'failed';
+    attempt.endedAt = new Date().toISOString();
+    entry.status = 'failed';
+    entry.error = call.error;
+    addTimelineEvent(escalation.id, 'call_failed', {
+      name: entry.name,
+      phone: entry.phone,
+      error: call.error,
+    });
+    syncIncident(escalation);
+    return false;
+  }
+
+  attempt.callId = call.callId;
+  attempt.provider = call.provider;
+  if (awaitOutcome) {
+    awaitedCalls.add(call.callId);
+  }
+  entry.status = 'called';
+  entry.callId = call.callId;
+  recordCall(escalation.id, call.callId, {
+    name: entry.name,
+    phone: entry.phone,
+    attempt: entry.attempts.length,
+    status: 'registered',
+    provider: call.provider,
+    placedAt: attempt.startedAt,
+  });
+  addTimelineEvent(escalation.id, 'call_placed', {
+    name: entry.name,
+    phone: entry.phone,
+    callId: call.callId,
+    attempt: entry.attempts.length,
+  });
+  syncIncident(escalation);
+  return true;
+}
+
+async function awaitAttempt(escalation, entry, config) {
+  const attempt = entry.attempts[entry.attempts.length - 1];
+  const outcome = await waitForCallOutcome(attempt, config);
+
+  attempt.status = outcome;
+  attempt.endedAt = new Date().toISOString();
+  entry.status = outcome;
+
+  console.log('SOS call outcome', {
+    escalationId: escalation.id,
+    contact: entry.phone,
+    attempt: entry.attempts.length,
+    outcome,
+  });
+
+  recordCall(escalation.id, attempt.callId, { outcome });
+  if (outcome === 'answered') {
+    markContactReached(escalation.id, entry);
+  }
+  addTimelineEvent(escalation.id, 'call_outcome', {
+    name: entry.name,
+    phone: entry.phone,
+    callId: attempt.callId,
+    outcome,
+  });
+  syncIncident(escalation);
+
+  return outcome;
+}
+
+function markAnswered(escalation, entry) {
+  if (escalation.stopped) {
+    return;
+  }
+  escalation.state = 'answered';
+  escalation.answeredBy = { name: entry.name, phone: entry.phone };
+  escalation.contacts
+    .filter(c => c.status === 'pending')
+    .forEach(c => {
+      c.status = 'skipped';
+    });
+}
+
+async function runParallel(
+  escalation,
+  entries,
+  callDetails,
+  config,
+  onFirstCallsPlaced,
+) {
+  let round = entries.filter(c => c.status === 'pending');
+
+  for (
+    let attempt = 1;
+    attempt <= config.maxAttempts && round.length > 0;
+    attempt++
+  ) {
+    if (attempt > 1) {
+      await sleep(config.retryDelayMs);
+    }
+    if (escalation.stopped) {
+      return;
+    }
+
+    const placed = await Promise.all(
+      round.map(entry => placeAttempt(escalation, entry, callDetails)),
+    );
+    if (placed.some(Boolean)) {
+      onFirstCallsPlaced();
+    }
+
+    const ringing = round.filter((_, i) => placed[i]);
+    const outcomes = await Promise.all(
+      ringing.map(entry => awaitAttempt(escalation, entry, config)),
+    );
+
+    const answeredIndex = outcomes.indexOf('answered');
+    if (answeredIndex !== -1) {
+      markAnswered(escalation, ringing[answeredIndex]);
+      return;
+    }
+
+    round = ringing.filter(entry => entry.status === 'no_answer');
+  }
+}
+
+async function runSequential(
+  escalation,
+  entries,
+  callDetails,
+  config,
+  onFirstCallsPlaced,
+) {
+  const ladder = entries.filter(c => c.status === 'pending');
+
+  for (const entry of ladder) {
+    for (let attempt = 1; attempt <= config.maxAttempts; attempt++) {
+      if (attempt > 1) {
+        await sleep(config.retryDelayMs);
+      }
+      if (escalation.stopped) {
+        return;
+      }
+
+      // Rejected calls are not retried: a provider refusing a number will not change on a retry
+      if (!(await placeAttempt(escalation, entry, callDetails))) {
+        break;
+      }
+      onFirstCallsPlaced();
+
+      if ((await awaitAttempt(escalation, entry, config)) === 'answered') {
+        markAnswered(escalation, entry);
+        return;
+      }
+    }
+  }
+}
+
+async function callFallback(escalation, callDetails, config) {
+  if (!config.fallbackNumber) {
+    escalation.state = 'exhausted';
+    addTimelineEvent(escalation.id, 'escalation_exhausted');
+    return;
+  }
+
+  const fallback = {
+    name: config.fallbackName,
+    phone: config.fallbackNumber,
+    status: 'pending',
+    attempts: [],
+  };
+  escalation.fallback = fallback;
+
+  const placed = await placeAttempt(escalation, fallback, callDetails, {
+    awaitOutcome: false,
+  });
+  escalation.state = placed ? 'escalated' : 'exhausted';
+  addTimelineEvent(
+    escalation.id,
+    placed ? 'escalated_to_fallback' : 'escalation_exhausted',
+    {
+      phone: config.fallbackNumber,
+    },
+  );
+
+  console.log('SOS escalated to fallback', {
+    escalationId: escalation.id,
+    phone: config.fallbackNumber,
+    placed,
+  });
+}
+
+/**
+ * Text every contact on each message channel when the call path could not reach anybody,
+ * verified contacts first
+ */
+async function sendSmsFallback(escalation, callDetails) {
+  const recipients = preferVerified(escalation.contacts).flat();
+  const deliveries = getMessageChannels().flatMap(channel =>
+    recipients
+      .filter(entry => isChannelConfigured(channel, entry.phone))
+      .map(entry => ({ channel, entry })),
+  );
+  if (deliveries.length === 0) {
+    escalation.sms = {
+      status: 'skipped',
+      reason: 'No message provider configured',
+    };
+    return;
+  }
+
+  const message = buildEmergencyMessage({
+    userName: callDetails.userName,
+    locationUrl: callDetails.mapsLink,
+    time: callDetails.time,
+    silent: callDetails.silent,
+    missedCheckIn: callDetails.missedCheckIn,
+  });
+
+  const results = await Promise.all(
+    deliveries.map(async ({ channel, entry }) => {
+      const sent = await sendNotification(
+        channel,
+        { to: entry.phone, body: message },
+        { sos: true },
+      );
+      return {
+        name: entry.name,
+        phone: entry.phone,
+        channel,
+        status: sent.ok ? 'sent' : 'failed',
+        error: sent.error,
+      };
+    }),
+  );
+
+  const sent = results.filter(r => r.status === 'sent').length;
+  escalation.sms = {
+    status: sent > 0 ? 'sent' : 'failed',
+    sentAt: new Date().toISOString(),
+    results,
+  };
+  addTimelineEvent(
+    escalation.id,
+    sent > 0 ? 'sms_fallback_sent' : 'sms_fallback_failed',
+    {
+      sent,
+      total: results.length,
+    },
+  );
+
+  console.log('SOS SMS fallback', {
+    escalationId: escalation.id,
+    sent,
+    total: results.length,
+  });
+}
+
+async function runLadder(escalation, callDetails, onFirstCallsPlaced) {
+  const config = getEscalationConfig();
+
+  const run =
+    escalation.strategy === 'sequential' ? runSequential : runParallel;
+  const tiers = preferVerified(escalation.contacts).filter(
+    tier => tier.length > 0,
+  );
+
+  for (const tier of tiers) {
+    await run(escalation, tier, callDetails, config, onFirstCallsPlaced);
+    if (escalation.stopped || escalation.state === 'answered') {
+      break;
+    }
+  }
+
+  if (escalation.stopped) {
+    return;
+  }
+
+  if (escalation.state !== 'answered') {
+    await callFallback(escalation, callDetails, config);
+  }
+
+  if (escalation.state === 'exhausted') {
+    await sendSmsFallback(escalation, callDetails);
+  }
+
+  escalation.resolvedAt = new Date().toISOString();
+  syncIncident(escalation);
+}
+
+/**
+ * Start the escalation for an incident and resolve once the first call has been placed
+ * (or the ladder has finished without placing any). The ladder keeps running in the background.
+ *
+ * States: active -> answered | escalated (fallback called) | exhausted (nobody reachable) | cancelled
+ */
+export async function startEscalation({
+  incidentId,
+  contacts,
+  strategy,
+  callDetails,
+}) {
+  const escalation = {
+    id: incidentId,
+    strategy,
+    state: 'active',
+    startedAt: new Date().toISOString(),
+    resolvedAt: null,
+    answeredBy: null,
+    fallback: null,
+    sms: null,
+    contacts: contacts.map(contact => {
+      if (!isValidContact(contact)) {
+        return {
+          name: contact?.name ?? null,
+          phone: contact?.phone ?? null,
+          status: 'skipped',
+          error: 'Invalid contact data',
+          attempts: [],
+        };
+      }
+      return {
+        name: contact.name,
+        phone: contact.phone,
+        verified: Boolean(contact.verified),
+        status: 'pending',
+        attempts: [],
+      };
+    }),
+  };
+  escalations.set(escalation.id, escalation);
+  syncIncident(escalation);
+
+  let markFirstCallsPlaced;
+  const firstCallsPlaced = new Promise(resolve => {
+    markFirstCallsPlaced = resolve;
+  });
+
+  runLadder(escalation, callDetails, markFirstCallsPlaced)
+    .catch(error => {
+      console.error('SOS escalation error', {
+        escalationId: escalation.id,
+        error: error.message,
+      });
+      escalation.state = 'exhausted';
+      escalation.resolvedAt = new Date().toISOString();
+      syncIncident(escalation);
+    })
+    .finally(markFirstCallsPlaced);
+
+  await firstCallsPlaced;
+  return escalation;
+}
+
+function summarizeEntry(entry) {
+  const result = {
+    name: entry.name,
+    phone: entry.phone,
+    status: entry.status,
+    attempts: entry.attempts.length,
+  };
+  if (entry.verified !== undefined) {
+    result.verified = entry.verified;
+  }
+  if (entry.callId) {
+    result.callId = entry.callId;
+  }
+  if (entry.error) {
+    result.error = entry.error;
+  }
+  return result;
+}
+
+/**
+ * Public per-contact view of an escalation, without the raw attempt history
+ */
+export function summarizeContacts(escalation) {
+  return escalation.contacts.map(summarizeEntry);
+}
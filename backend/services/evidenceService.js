@@ -0,0 +1,257 @@
+/**
+ * SafeRaasta Evidence Service
+ * Audio recorded by the app during an SOS, uploaded in chunks.
+ *
+ * Each incident gets a random AES-256-GCM key when it is created. The app encrypts
+ * every chunk on the phone with that key, so chunks stay encrypted in transit, in the
+ * phone's upload buffer and at rest. Chunks are kept in memory and written through to
+ * the incident's "evidence" subcollection in Firestore when it is configured.
+ *
+ * The incident only keeps its key wrapped with EVIDENCE_MASTER_KEY, which lives in the
+ * server's environment and never in Firestore, so a copy of the database cannot play the audio.
+ *
+ * Contacts and authorities listen through share links that expire; only a hash of
+ * each link token is stored (Firestore "evidenceLinks").
+ */
+
+import {
+  createCipheriv,
+  createDecipheriv,
+  createHash,
+  randomBytes,
+} from 'crypto';
+import { Buffer } from 'buffer';
+import { getFirestore } from './firebaseAdmin.js';
+
+const INCIDENTS = 'sosIncidents';
+const LINKS = 'evidenceLinks';
+const AUTH_TAG_BYTES = 16;
+const IV_BYTES = 12;
+// Firestore documents are capped at 1 MiB; a 30s AAC chunk is ~120 KB
+const MAX_CHUNK_BYTES = 512 * 1024;
+// Chunks are served back with their type, so anything but plain audio (e.g. text/html) is refused
+const AUDIO_MIME_TYPE = /^audio\/[a-z0-9.+-]+$/i;
+
+const chunks = new Map();
+const links = new Map();
+
+function readEnvNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+// 32 bytes, base64; null when unset or malformed
+function getMasterKey() {
+  const master = Buffer.from(process.env.EVIDENCE_MASTER_KEY || '', 'base64');
+  return master.length === 32 ? master : null;
+}
+
+function seal(key, plaintext) {
+  const iv = randomBytes(IV_BYTES);
+  const cipher = createCipheriv('aes-256-gcm', key, iv);
+  return Buffer.concat([
+    iv,
+    cipher.update(plaintext),
+    cipher.final(),
+    cipher.getAuthTag(),
+  ]);
+}
+
+function unseal(key, iv, payload) {
+  const decipher = createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(payload.subarray(payload.length - AUTH_TAG_BYTES));
+  return Buffer.concat([
+    decipher.update(payload.subarray(0, payload.length - AUTH_TAG_BYTES)),
+    decipher.final(),
+  ]);
+}
+
+/**
+ * New per-incident key: { key, wrappedKey }, both base64. key goes to the app once, in the
+ * SOS response; only wrappedKey is stored on the incident. Null without EVIDENCE_MASTER_KEY:
+ * the incident then takes no evidence.
+ */
+export function createEvidenceKey() {
+  const master = getMasterKey();
+  if (!master) {
+    return null;
+  }
+  const key = randomBytes(32);
+  return {
+    key: key.toString('base64'),
+    wrappedKey: seal(master, key).toString('base64'),
+  };
+}
+
+function unwrapEvidenceKey(wrappedKey) {
+  const master = getMasterKey();
+  if (!master) {
+    throw new Error('EVIDENCE_MASTER_KEY is not configured');
+  }
+  const sealed = Buffer.from(wrappedKey, 'base64');
+  return unseal(
+    master,
+    sealed.subarray(0, IV_BYTES),
+    sealed.subarray(IV_BYTES),
+  );
+}
+
+export function isAudioMimeType(mimeType) {
+  return typeof mimeType === 'string' && AUDIO_MIME_TYPE.test(mimeType);
+}
+
+/**
+ * Store one encrypted chunk. Uploading the same sequence again (a retry) replaces it.
+ * Resolves to { ok, chunkCount, totalDurationMs } or { ok: false, status, error }.
+ */
+export async function storeEvidenceChunk(
+  incident,
+  { sequence, iv, data, mimeType, startedAt, durationMs },
+) {
+  if (mimeType !== undefined && !isAudioMimeType(mimeType)) {
+    return {
+      ok: false,
+      status: 415,
+      error: 'Only audio recordings are accepted',
+    };
+  }
+
+  const ciphertext = Buffer.from(data, 'base64');
+  if (
+    ciphertext.length <= AUTH_TAG_BYTES ||
+    ciphertext.length > MAX_CHUNK_BYTES
+  ) {
+    return { ok: false, status: 413, error: 'Chunk is empty or too large' };
+  }
+
+  const stored = await listEvidenceChunks(incident.id);
+  const maxChunks = readEnvNumber('EVIDENCE_MAX_CHUNKS', 240);
+  if (
+    stored.length >= maxChunks &&
+    !stored.some(c => c.sequence === sequence)
+  ) {
+    return {
+      ok: false,
+      status: 409,
+      error: 'Evidence limit reached for this incident',
+    };
+  }
+
+  const chunk = {
+    sequence,
+    iv,
+    data,
+    mimeType: mimeType || 'audio/mp4',
+    startedAt,
+    durationMs,
+    receivedAt: new Date().toISOString(),
+  };
+  const next = [...stored.filter(c => c.sequence !== sequence), chunk].sort(
+    (a, b) => a.sequence - b.sequence,
+  );
+  chunks.set(incident.id, next);
+
+  const db = getFirestore();
+  if (db) {
+    await db
+      .collection(INCIDENTS)
+      .doc(incident.id)
+      .collection('evidence')
+      .doc(String(sequence))
+      .set(chunk);
+  }
+  const totalDurationMs = next.reduce(
+    (sum, c) => sum + (Number(c.durationMs) || 0),
+    0,
+  );
+  return { ok: true, chunkCount: next.length, totalDurationMs };
+}
+
+/**
+ * Memory first, then Firestore (e.g. after a restart). Oldest first.
+ */
+export async function listEvidenceChunks(incidentId) {
+  if (chunks.has(incidentId)) {
+    return chunks.get(incidentId);
+  }
+
+  const db = getFirestore();
+  if (!db) {
+    return [];
+  }
+
+  const snap = await db
+    .collection(INCIDENTS)
+    .doc(incidentId)
+    .collection('evidence')
+    .orderBy('sequence')
+    .get();
+  const stored = snap.docs.map(doc => doc.data());
+  chunks.set(incidentId, stored);
+  return stored;
+}
+
+/**
+ * Decrypted audio of one chunk. Throws when the ciphertext does not match the incident key.
+ */
+export function decryptEvidenceChunk(incident, chunk) {
+  return unseal(
+    unwrapEvidenceKey(incident.wrappedEvidenceKey),
+    Buffer.from(chunk.iv, 'base64'),
+    Buffer.from(chunk.data, 'base64'),
+  );
+}
+
+/**
+ * Create a share link token for an incident's evidence.
+ * Lifetime defaults to EVIDENCE_LINK_TTL_HOURS and is capped at EVIDENCE_LINK_MAX_HOURS.
+ */
+export async function createEvidenceLink(
+  incidentId,
+  { expiresInHours, label } = {},
+) {
+  const maxHours = readEnvNumber('EVIDENCE_LINK_MAX_HOURS', 7 * 24);
+  const hours = Math.min(
+    Number(expiresInHours) > 0
+      ? Number(expiresInHours)
+      : readEnvNumber('EVIDENCE_LINK_TTL_HOURS', 72),
+    maxHours,
+  );
+
+  const token = randomBytes(24).toString('base64url');
+  const link = {
+    incidentId,
+    label: typeof label === 'string' ? label.slice(0, 80) : null,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000).toISOString(),
+  };
+  links.set(hashToken(token), link);
+
+  const db = getFirestore();
+  if (db) {
+    await db.collection(LINKS).doc(hashToken(token)).set(link);
+  }
+  return { token, expiresAt: link.expiresAt };
+}
+
+/**
+ * Link details for a token, or null when unknown or expired
+ */
+export async function findEvidenceLink(token) {
+  if (!token) {
+    return null;
+  }
+  const tokenHash = hashToken(token);
+
+  let link = links.get(tokenHash);
+  const db = getFirestore();
+  if (!link && db) {
+    const snap = await db.collection(LINKS).doc(tokenHash).get();
+    link = snap.exists ? snap.data() : null;
+  }
+  return link && new Date(link.expiresAt).getTime() > Date.now() ? link : null;
+}
@@ -0,0 +1,55 @@
+/**
+ * SafeRaasta Firebase Admin
+ * Lazily initialises firebase-admin from FIREBASE_SERVICE_ACCOUNT (JSON) or
+ * GOOGLE_APPLICATION_CREDENTIALS. Returns null when neither is configured.
+ */
+
+import admin from 'firebase-admin';
+
+let app = null;
+let initialized = false;
+
+export function getFirebaseApp() {
+  if (initialized) {
+    return app;
+  }
+  initialized = true;
+
+  try {
+    const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
+    if (serviceAccount) {
+      app = admin.initializeApp({
+        credential: admin.credential.cert(JSON.parse(serviceAccount)),
+      });
+    } else if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+      app = admin.initializeApp({
+        credential: admin.credential.applicationDefault(),
+      });
+    } else {
+      console.warn(
+        'Firebase Admin not configured - set FIREBASE_SERVICE_ACCOUNT or GOOGLE_APPLICATION_CREDENTIALS',
+      );
+    }
+  } catch (error) {
+    console.error('Firebase Admin initialisation failed', error.message);
+    app = null;
+  }
+
+  return app;
+}
+
+let firestore = null;
+
+export function getFirestore() {
+  if (firestore) {
+    return firestore;
+  }
+  const firebaseApp = getFirebaseApp();
+  if (!firebaseApp) {
+    return null;
+  }
+
+  firestore = admin.firestore(firebaseApp);
+  firestore.settings({ ignoreUndefinedProperties: true });
+  return firestore;
+}
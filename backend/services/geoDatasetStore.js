@@ -0,0 +1,280 @@
+/**
+ * SafeRaasta Geo Dataset Store
+ * Open point datasets (street lights, police stations, hospitals, petrol pumps, 24x7 businesses)
+ * held in a grid spatial index, so route scoring can count what is actually near each stretch
+ * and the app can list safe havens along a route.
+ *
+ * Datasets are files under GEO_DATASETS_DIR (default backend/data/datasets), one folder per
+ * kind: streetlight/bbmp.geojson, police_station/stations.csv, ... They are loaded when the
+ * server starts; scripts/ingestDataset.js validates a download and puts it in place.
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseDataset } from './datasetParser.js';
+import { distanceToPolyline } from './routeProgress.js';
+
+export const DATASET_KINDS = [
+  'streetlight',
+  'police_station',
+  'hospital',
+  'petrol_pump',
+  'open_24x7',
+];
+// Staffed places someone can walk into for help
+export const HAVEN_KINDS = [
+  'police_station',
+  'hospital',
+  'petrol_pump',
+  'open_24x7',
+];
+
+// About 550 m at Indian latitudes; a route segment plus its buffer spans a handful of cells
+const CELL_DEGREES = 0.005;
+const METERS_PER_DEGREE = 111320;
+// Sparse kinds (a city's few police stations) still cover routes a little outside their bounds
+const COVERAGE_MARGIN_DEGREES = 0.02;
+
+const datasets = [];
+// kind -> Map("row:col" -> points)
+const indexes = new Map(DATASET_KINDS.map(kind => [kind, new Map()]));
+
+export function getDatasetsDir() {
+  return (
+    process.env.GEO_DATASETS_DIR ||
+    path.join(
+      path.dirname(fileURLToPath(import.meta.url)),
+      '..',
+      'data',
+      'datasets',
+    )
+  );
+}
+
+function cellOf(latitude, longitude) {
+  return [
+    Math.floor(latitude / CELL_DEGREES),
+    Math.floor(longitude / CELL_DEGREES),
+  ];
+}
+
+// A loop rather than Math.min(...): city-wide datasets are too large to spread
+function boundsOf(points) {
+  const bounds = {
+    minLat: Infinity,
+    maxLat: -Infinity,
+    minLng: Infinity,
+    maxLng: -Infinity,
+  };
+  for (const { latitude, longitude } of points) {
+    bounds.minLat = Math.min(bounds.minLat, latitude);
+    bounds.maxLat = Math.max(bounds.maxLat, latitude);
+    bounds.minLng = Math.min(bounds.minLng, longitude);
+    bounds.maxLng = Math.max(bounds.maxLng, longitude);
+  }
+  return bounds;
+}
+
+// Bounds grown by a distance in meters on every side
+function padBounds(bounds, meters) {
+  const latPad = meters / METERS_PER_DEGREE;
+  const lngPad =
+    latPad / Math.max(Math.cos((bounds.minLat * Math.PI) / 180), 0.01);
+  return {
+    minLat: bounds.minLat - latPad,
+    maxLat: bounds.maxLat + latPad,
+    minLng: bounds.minLng - lngPad,
+    maxLng: bounds.maxLng + lngPad,
+  };
+}
+
+function overlaps(a, b, margin = 0) {
+  return (
+    a.minLat - margin <= b.maxLat &&
+    b.minLat <= a.maxLat + margin &&
+    a.minLng - margin <= b.maxLng &&
+    b.minLng <= a.maxLng + margin
+  );
+}
+
+/**
+ * Index a parsed dataset: { kind, name, source, points: [{ latitude, longitude, name }] }
+ */
+export function addDataset({ kind, name, source, points }) {
+  if (!DATASET_KINDS.includes(kind)) {
+    throw new Error(
+      `Unknown dataset kind: ${kind} (use ${DATASET_KINDS.join(', ')})`,
+    );
+  }
+  if (points.length === 0) {
+    throw new Error(`Dataset ${name} has no points`);
+  }
+
+  const index = indexes.get(kind);
+  for (const point of points) {
+    const key = cellOf(point.latitude, point.longitude).join(':');
+    if (!index.has(key)) {
+      index.set(key, []);
+    }
+    index.get(key).push(point);
+  }
+
+  const dataset = {
+    kind,
+    name,
+    source,
+    pointCount: points.length,
+    bounds: boundsOf(points),
+    loadedAt: new Date().toISOString(),
+  };
+  datasets.push(dataset);
+  return dataset;
+}
+
+/**
+ * Load every dataset file under the datasets folder. A bad file is logged and skipped.
+ */
+export async function loadDatasets(dir = getDatasetsDir()) {
+  for (const kind of DATASET_KINDS) {
+    let files;
+    try {
+      files = await readdir(path.join(dir, kind));
+    } catch {
+      continue; // No datasets of this kind
+    }
+
+    for (const file of files
+      .filter(f => /\.(geo)?json$|\.csv$/i.test(f))
+      .sort()) {
+      try {
+        const text = await readFile(path.join(dir, kind, file), 'utf8');
+        const { points, skipped } = parseDataset(file, text);
+        const dataset = addDataset({
+          kind,
+          name: path.parse(file).name,
+          source: file,
+          points,
+        });
+        console.log('Geo dataset loaded', {
+          kind,
+          name: dataset.name,
+          points: dataset.pointCount,
+          skipped,
+        });
+      } catch (error) {
+        console.error('Geo dataset failed to load', {
+          kind,
+          file,
+          error: error.message,
+        });
+      }
+    }
+  }
+  return listDatasets();
+}
+
+export function listDatasets() {
+  return datasets.map(({ kind, name, pointCount, bounds, loadedAt }) => ({
+    kind,
+    name,
+    pointCount,
+    bounds,
+    loadedAt,
+  }));
+}
+
+function pointsNear(kind, bounds) {
+  const index = indexes.get(kind);
+  const [minRow, minCol] = cellOf(bounds.minLat, bounds.minLng);
+  const [maxRow, maxCol] = cellOf(bounds.maxLat, bounds.maxLng);
+
+  const found = [];
+  // A wide box covers more cells than the index holds: walk the occupied cells instead, so the
+  // work never exceeds the index size however large the box is
+  if ((maxRow - minRow + 1) * (maxCol - minCol + 1) > index.size) {
+    for (const [key, cell] of index) {
+      const [row, col] = key.split(':').map(Number);
+      if (row >= minRow && row <= maxRow && col >= minCol && col <= maxCol) {
+        found.push(cell);
+      }
+    }
+    return found.flat();
+  }
+
+  for (let row = minRow; row <= maxRow; row++) {
+    for (let col = minCol; col <= maxCol; col++) {
+      const cell = index.get(`${row}:${col}`);
+      if (cell) {
+        found.push(cell);
+      }
+    }
+  }
+  return found.flat();
+}
+
+/**
+ * For each segment ({ id, coords }), how many points of every kind lie within bufferMeters.
+ * routeCounts counts each point once across all segments, where the segments' buffers overlap
+ * at their joints. coverage tells, per kind, whether any dataset reaches the segments at all:
+ * a count of 0 only means "none there" for covered kinds.
+ */
+export function countAlongSegments(segments, bufferMeters) {
+  const allBounds = boundsOf(segments.flatMap(s => s.coords));
+  const coverage = Object.fromEntries(
+    DATASET_KINDS.map(kind => [
+      kind,
+      datasets.some(
+        d =>
+          d.kind === kind &&
+          overlaps(d.bounds, allBounds, COVERAGE_MARGIN_DEGREES),
+      ),
+    ]),
+  );
+
+  const routePoints = Object.fromEntries(
+    DATASET_KINDS.map(kind => [kind, new Set()]),
+  );
+  const counted = segments.map(segment => {
+    const padded = padBounds(boundsOf(segment.coords), bufferMeters);
+
+    const counts = {};
+    for (const kind of DATASET_KINDS) {
+      const near = coverage[kind]
+        ? pointsNear(kind, padded).filter(
+            p => distanceToPolyline(p, segment.coords) <= bufferMeters,
+          )
+        : [];
+      near.forEach(point => routePoints[kind].add(point));
+      counts[kind] = near.length;
+    }
+    return { id: segment.id, counts };
+  });
+
+  const routeCounts = Object.fromEntries(
+    DATASET_KINDS.map(kind => [kind, routePoints[kind].size]),
+  );
+  return { coverage, routeCounts, segments: counted };
+}
+
+/**
+ * Points of the given kinds within bufferMeters of a route polyline, closest to the route first:
+ * [{ kind, name, latitude, longitude, distanceFromRoute }]
+ */
+export function listPointsAlong(polyline, bufferMeters, kinds = DATASET_KINDS) {
+  const padded = padBounds(boundsOf(polyline), bufferMeters);
+  return kinds
+    .flatMap(kind =>
+      pointsNear(kind, padded).map(({ latitude, longitude, name }) => ({
+        kind,
+        name,
+        latitude,
+        longitude,
+        distanceFromRoute: Math.round(
+          distanceToPolyline({ latitude, longitude }, polyline),
+        ),
+      })),
+    )
+    .filter(point => point.distanceFromRoute <= bufferMeters)
+    .sort((a, b) => a.distanceFromRoute - b.distanceFromRoute);
+}
@@ -0,0 +1,241 @@
+/**
+ * SafeRaasta SOS Incident Store
+ * Audit trail for every SOS: timeline, calls, contacts reached and call summaries.
+ *
+ * Live state is kept in memory and written through to the Firestore "sosIncidents"
+ * collection when Firebase Admin is configured. Persistence errors are logged and
+ * never interrupt an emergency.
+ */
+
+import { randomUUID, randomBytes } from 'crypto';
+import { getFirestore } from './firebaseAdmin.js';
+
+const COLLECTION = 'sosIncidents';
+// Older fixes are dropped from the stored history; the latest fix is always kept in `location`
+const MAX_LOCATION_HISTORY = 500;
+
+const incidents = new Map();
+// Per-incident write chain so Firestore never receives an older snapshot after a newer one
+const pendingWrites = new Map();
+
+function persist(incident) {
+  const db = getFirestore();
+  if (!db) {
+    return;
+  }
+
+  const snapshot = JSON.parse(JSON.stringify(incident));
+  const previous = pendingWrites.get(incident.id) || Promise.resolve();
+  const write = previous
+    .then(() => db.collection(COLLECTION).doc(incident.id).set(snapshot))
+    .catch(error => {
+      console.error('Failed to persist SOS incident', {
+        incidentId: incident.id,
+        error: error.message,
+      });
+    });
+  pendingWrites.set(incident.id, write);
+}
+
+function touch(incident) {
+  incident.updatedAt = new Date().toISOString();
+  persist(incident);
+  return incident;
+}
+
+export function createIncident(fields) {
+  const now = new Date().toISOString();
+  const incident = {
+    id: randomUUID(),
+    // Unguessable token for the public tracking link shared with contacts
+    trackingToken: randomBytes(24).toString('base64url'),
+    createdAt: now,
+    updatedAt: now,
+    status: 'active',
+    timeline: [],
+    calls: {},
+    callIds: [],
+    reachedContacts: [],
+    totalCallDurationMs: 0,
+    locationHistory: [],
+    ...fields,
+  };
+  incidents.set(incident.id, incident);
+  return touch(incident);
+}
+
+/**
+ * Memory first, then Firestore (e.g. after a restart)
+ */
+export async function getIncident(incidentId) {
+  if (incidents.has(incidentId)) {
+    return incidents.get(incidentId);
+  }
+
+  const db = getFirestore();
+  if (!db) {
+    return null;
+  }
+
+  const snap = await db.collection(COLLECTION).doc(incidentId).get();
+  if (!snap.exists) {
+    return null;
+  }
+
+  const incident = snap.data();
+  incidents.set(incidentId, incident);
+  return incident;
+}
+
+export async function findIncidentByCallId(callId) {
+  for (const incident of incidents.values()) {
+    if (incident.callIds.includes(callId)) {
+      return incident;
+    }
+  }
+
+  const db = getFirestore();
+  if (!db) {
+    return null;
+  }
+
+  const query = await db
+    .collection(COLLECTION)
+    .where('callIds', 'array-contains', callId)
+    .limit(1)
+    .get();
+  if (query.empty) {
+    return null;
+  }
+
+  const incident = query.docs[0].data();
+  incidents.set(incident.id, incident);
+  return incident;
+}
+
+export async function findIncidentByTrackingToken(trackingToken) {
+  for (const incident of incidents.values()) {
+    if (incident.trackingToken === trackingToken) {
+      return incident;
+    }
+  }
+
+  const db = getFirestore();
+  if (!db) {
+    return null;
+  }
+
+  const query = await db
+    .collection(COLLECTION)
+    .where('trackingToken', '==', trackingToken)
+    .limit(1)
+    .get();
+  if (query.empty) {
+    return null;
+  }
+
+  const incident = query.docs[0].data();
+  incidents.set(incident.id, incident);
+  return incident;
+}
+
+/**
+ * Most recent incident of a user that is still open, i.e. not cancelled and either
+ * still escalating or created within the last windowMs. Only live (in-memory) incidents are checked.
+ */
+export function findOpenIncidentForUser(uid, windowMs) {
+  const now = Date.now();
+  let latest = null;
+  for (const incident of incidents.values()) {
+    if (
+      incident.uid !== uid ||
+      incident.status === 'cancelled' ||
+      incident.cancelledAt
+    ) {
+      continue;
+    }
+    const recent = now - new Date(incident.createdAt).getTime() < windowMs;
+    if (incident.status !== 'active' && !recent) {
+      continue;
+    }
+    if (!latest || incident.createdAt > latest.createdAt) {
+      latest = incident;
+    }
+  }
+  return latest;
+}
+
+export function updateIncident(incidentId, patch) {
+  const incident = incidents.get(incidentId);
+  if (!incident) {
+    return null;
+  }
+  Object.assign(incident, patch);
+  return touch(incident);
+}
+
+export function addTimelineEvent(incidentId, type, details = {}) {
+  const incident = incidents.get(incidentId);
+  if (!incident) {
+    return null;
+  }
+  incident.timeline.push({ at: new Date().toISOString(), type, ...details });
+  return touch(incident);
+}
+
+/**
+ * Create or merge the record for one Retell call
+ */
+export function recordCall(incidentId, callId, fields) {
+  const incident = incidents.get(incidentId);
+  if (!incident) {
+    return null;
+  }
+
+  if (!incident.callIds.includes(callId)) {
+    incident.callIds.push(callId);
+  }
+  incident.calls[callId] = { ...incident.calls[callId], ...fields };
+  incident.totalCallDurationMs = Object.values(incident.calls).reduce(
+    (sum, call) => sum + (call.durationMs || 0),
+    0,
+  );
+  return touch(incident);
+}
+
+export function markContactReached(incidentId, contact) {
+  const incident = incidents.get(incidentId);
+  if (!incident || !contact?.phone) {
+    return null;
+  }
+  if (incident.reachedContacts.some(c => c.phone === contact.phone)) {
+    return incident;
+  }
+
+  incident.reachedContacts.push({
+    name: contact.name,
+    phone: contact.phone,
+    at: new Date().toISOString(),
+  });
+  return touch(incident);
+}
+
+/**
+ * Store a new location fix as the incident's latest known position
+ */
+export function recordLocation(incidentId, fix) {
+  const incident = incidents.get(incidentId);
+  if (!incident) {
+    return null;
+  }
+
+  incident.location = fix;
+  incident.locationHistory.push(fix);
+  if (incident.locationHistory.length > MAX_LOCATION_HISTORY) {
+    incident.locationHistory.splice(
+      0,
+      incident.locationHistory.length - MAX_LOCATION_HISTORY,
+    );
+  }
+  return touch(incident);
+}
@@ -0,0 +1,32 @@
+/**
+ * SafeRaasta Message Builder
+ * Bilingual (English + Hindi) emergency text, same wording as the app's on-device SMS.
+ * A silent SOS adds a warning not to call the user back, and an SOS raised by the server
+ * after a missed trip check-in says so.
+ */
+
+export function buildEmergencyMessage({
+  userName,
+  locationUrl,
+  time,
+  silent,
+  missedCheckIn,
+}) {
+  const displayName = userName || 'User';
+
+  let englishMessage = `🚨 EMERGENCY ALERT\n${displayName} needs immediate help.\nLocation: ${locationUrl}\nTime: ${time}`;
+
+  let hindiMessage = `🚨 आपातकालीन अलर्ट\n${displayName} को तुरंत मदद की आवश्यकता है।\nस्थान: ${locationUrl}\nसमय: ${time}`;
+
+  if (missedCheckIn) {
+    englishMessage += `\n${displayName} did not check in after their trip. This alert was sent automatically; the location is the last one received.`;
+    hindiMessage += `\n${displayName} ने यात्रा के बाद चेक-इन नहीं किया। यह अलर्ट अपने आप भेजा गया है; स्थान आखिरी मिली जानकारी है।`;
+  }
+
+  if (silent) {
+    englishMessage += `\nSilent alert: do NOT call ${displayName} back.`;
+    hindiMessage += `\nसाइलेंट अलर्ट: ${displayName} को वापस कॉल न करें।`;
+  }
+
+  return `${englishMessage}\n\n${hindiMessage}`;
+}
@@ -0,0 +1,240 @@
+/**
+ * SafeRaasta Notification Service
+ * One entry point for every outbound channel: voice, sms, whatsapp, email and push.
+ *
+ * Each channel is served by the provider named in its env variable
+ * (VOICE_PROVIDER, SMS_PROVIDER, WHATSAPP_PROVIDER, EMAIL_PROVIDER, PUSH_PROVIDER).
+ * NOTIFY_REGION_PROVIDERS overrides that per dialling prefix, e.g.
+ * {"+91": {"sms": "twilio"}, "+1": {"voice": "fake"}}; the longest matching prefix wins.
+ */
+
+import { retellProvider } from '../providers/retellProvider.js';
+import { twilioProvider } from '../providers/twilioProvider.js';
+import { sendgridProvider } from '../providers/sendgridProvider.js';
+import { fcmProvider } from '../providers/fcmProvider.js';
+import { fakeProvider } from '../providers/fakeProvider.js';
+import { createSlidingWindow, readLimitEnv } from './rateLimitService.js';
+
+const PROVIDERS = Object.fromEntries(
+  [
+    retellProvider,
+    twilioProvider,
+    sendgridProvider,
+    fcmProvider,
+    fakeProvider,
+  ].map(p => [p.name, p]),
+);
+
+const CHANNEL_ENV = {
+  voice: 'VOICE_PROVIDER',
+  sms: 'SMS_PROVIDER',
+  whatsapp: 'WHATSAPP_PROVIDER',
+  email: 'EMAIL_PROVIDER',
+  push: 'PUSH_PROVIDER',
+};
+
+// Voice has always gone through Retell; the other channels stay off until configured
+const DEFAULT_PROVIDERS = { voice: 'retell' };
+
+// Cap on calls and messages to one destination across all users and channels. SOS traffic has
+// its own, much higher cap, so a busy week of invitations cannot silence the next emergency while
+// one contact still cannot be flooded through repeated SOS requests.
+const notifyWindowMs = readLimitEnv(
+  'NOTIFY_RATE_LIMIT_WINDOW_MS',
+  60 * 60 * 1000,
+);
+const destinationLimit = createSlidingWindow({
+  windowMs: notifyWindowMs,
+  max: readLimitEnv('NOTIFY_RATE_LIMIT_PER_DESTINATION', 10),
+});
+const sosDestinationLimit = createSlidingWindow({
+  windowMs: notifyWindowMs,
+  max: readLimitEnv('NOTIFY_SOS_RATE_LIMIT_PER_DESTINATION', 30),
+});
+
+function getRegionOverrides() {
+  const raw = process.env.NOTIFY_REGION_PROVIDERS;
+  if (!raw) {
+    return {};
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.error('Invalid NOTIFY_REGION_PROVIDERS JSON', error.message);
+    return {};
+  }
+}
+
+function findRegionProvider(channel, to) {
+  if (typeof to !== 'string' || !to.startsWith('+')) {
+    return null;
+  }
+
+  const overrides = getRegionOverrides();
+  const prefix = Object.keys(overrides)
+    .filter(p => to.startsWith(p) && overrides[p]?.[channel])
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? overrides[prefix][channel] : null;
+}
+
+/**
+ * Provider that serves a channel for a recipient, or null when the channel is off
+ */
+export function getProvider(channel, to) {
+  const name =
+    findRegionProvider(channel, to) ||
+    process.env[CHANNEL_ENV[channel]] ||
+    DEFAULT_PROVIDERS[channel];
+  const provider = PROVIDERS[name];
+  return provider && provider.channels.includes(channel) ? provider : null;
+}
+
+/**
+ * Returns why a channel cannot be used, or null when it is ready
+ */
+export function getMissingChannelConfig(channel, to) {
+  const provider = getProvider(channel, to);
+  if (!provider) {
+    return `No ${channel} provider configured`;
+  }
+  return provider.getMissingConfig(channel);
+}
+
+export function isChannelConfigured(channel, to) {
+  return !getMissingChannelConfig(channel, to);
+}
+
+/**
+ * Send one message on a channel.
+ * Resolves to { ok, id, provider } or { ok: false, error, provider }; never throws,
+ * so callers can fan out safely.
+ * sos: true for calls and texts sent for an SOS, which count against the higher SOS cap.
+ */
+export async function sendNotification(channel, message, { sos = false } = {}) {
+  const provider = getProvider(channel, message.to);
+  const configError = getMissingChannelConfig(channel, message.to);
+  if (configError) {
+    return { ok: false, error: configError, provider: provider?.name || null };
+  }
+
+  // The helpline fallback is shared by every user and is never throttled
+  const exempt = message.to === process.env.SOS_ESCALATION_NUMBER;
+  const limit = sos ? sosDestinationLimit : destinationLimit;
+  if (!exempt && !limit.hit(message.to).allowed) {
+    console.warn('Destination rate limit hit', { channel, to: message.to });
+    return {
+      ok: false,
+      error: 'Too many calls and messages to this number',
+      rateLimited: true,
+      provider: provider.name,
+    };
+  }
+
+  try {
+    return {
+      ...(await provider.send(channel, message)),
+      provider: provider.name,
+    };
+  } catch (error) {
+    console.error(`${provider.name} ${channel} error`, {
+      to: message.to,
+      error: error.message,
+    });
+    return {
+      ok: false,
+      error: error.message || `Failed to send ${channel} notification`,
+      provider: provider.name,
+    };
+  }
+}
+
+/**
+ * Ask the provider that placed a call how it went.
+ * Resolves to "answered", "no_answer", "failed", or null while the call is still ringing.
+ */
+export async function fetchCallOutcome(providerName, callId) {
+  const provider = PROVIDERS[providerName];
+  if (!provider?.getCallOutcome) {
+    return null;
+  }
+
+  try {
+    return await provider.getCallOutcome(callId);
+  } catch (error) {
+    console.error(`${providerName} call lookup error`, {
+      callId,
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Place an emergency call to one contact. Resolves to { ok, callId, provider } or { ok: false, error }.
+ * For a silent SOS the contact is told not to call the user back.
+ */
+export async function placeEmergencyCall({
+  contact,
+  incidentId,
+  userName,
+  address,
+  time,
+  mapsLink,
+  timestamp,
+  latitude,
+  longitude,
+  silent,
+  missedCheckIn,
+}) {
+  const call = await sendNotification(
+    'voice',
+    {
+      to: contact.phone,
+      prompt:
+        'You are responding to an emergency alert for {name} at {address} at {time}.' +
+        (missedCheckIn
+          ? ' {name} did not check in after their trip, so this alert was raised automatically and {address} is the last known location.'
+          : '') +
+        (silent
+          ? ' This is a silent alert: tell the contact not to call {name} back, because a ringing phone could put them in danger.'
+          : ''),
+      metadata: {
+        silent: Boolean(silent),
+        missedCheckIn: Boolean(missedCheckIn),
+        incidentId: incidentId,
+        name: userName,
+        address: address,
+        time: time,
+        mapsLink: mapsLink,
+        timestamp: timestamp,
+        contactName: contact.name,
+        latitude: latitude,
+        longitude: longitude,
+      },
+    },
+    { sos: true },
+  );
+  return { ...call, callId: call.id };
+}
+
+/**
+ * Tell a contact who was already called that the user is safe and the SOS was cancelled
+ */
+export async function placeSafeFollowUpCall({ contact, incidentId, userName }) {
+  const call = await sendNotification(
+    'voice',
+    {
+      to: contact.phone,
+      prompt:
+        'You are calling to let {contactName} know that {name} is safe and has cancelled the earlier emergency alert. No action is needed.',
+      metadata: {
+        incidentId: incidentId,
+        followUp: 'safe',
+        name: userName,
+        contactName: contact.name,
+      },
+    },
+    { sos: true },
+  );
+  return { ...call, callId: call.id };
+}
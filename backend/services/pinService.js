@@ -0,0 +1,63 @@
+/**
+ * SafeRaasta Safety PIN Service
+ * Hashes the safety / duress PINs sent with an SOS and checks cancel attempts against them.
+ * Only scrypt hashes are ever stored on the incident.
+ */
+
+import { randomBytes, scryptSync, timingSafeEqual } from 'crypto';
+import { Buffer } from 'buffer';
+
+const PIN_PATTERN = /^\d{4,8}$/;
+const KEY_LENGTH = 32;
+
+export function isValidPin(pin) {
+  return typeof pin === 'string' && PIN_PATTERN.test(pin);
+}
+
+function hashPin(pin, salt) {
+  return scryptSync(pin, salt, KEY_LENGTH).toString('hex');
+}
+
+/**
+ * Returns { salt, safety, duress } or null when no valid safety PIN was supplied
+ */
+export function hashSafetyPins({ safetyPin, duressPin }) {
+  if (!isValidPin(safetyPin)) {
+    return null;
+  }
+
+  const salt = randomBytes(16).toString('hex');
+  return {
+    salt,
+    safety: hashPin(safetyPin, salt),
+    duress:
+      isValidPin(duressPin) && duressPin !== safetyPin
+        ? hashPin(duressPin, salt)
+        : null,
+  };
+}
+
+function matches(hash, pin, salt) {
+  if (!hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = Buffer.from(hashPin(pin, salt), 'hex');
+  return timingSafeEqual(expected, actual);
+}
+
+/**
+ * Resolves which PIN was entered: "safety", "duress" or null
+ */
+export function matchPin(pinHashes, pin) {
+  if (!pinHashes || !isValidPin(pin)) {
+    return null;
+  }
+  if (matches(pinHashes.safety, pin, pinHashes.salt)) {
+    return 'safety';
+  }
+  if (matches(pinHashes.duress, pin, pinHashes.salt)) {
+    return 'duress';
+  }
+  return null;
+}
@@ -0,0 +1,92 @@
+/**
+ * SafeRaasta Rate Limit Service
+ * In-memory sliding-window counters: a key may record at most `max` events in any
+ * `windowMs` span. Each limiter keeps only the timestamps still inside its window.
+ */
+
+const limiters = [];
+
+export function createSlidingWindow({ windowMs, max }) {
+  const events = new Map();
+
+  function recent(key, now) {
+    const kept = (events.get(key) || []).filter(at => now - at < windowMs);
+    if (kept.length > 0) {
+      events.set(key, kept);
+    } else {
+      events.delete(key);
+    }
+    return kept;
+  }
+
+  const limiter = {
+    windowMs,
+    max,
+
+    /**
+     * Resolves whether one more event is allowed, and when the oldest counted event expires
+     */
+    check(key, now = Date.now()) {
+      const kept = recent(key, now);
+      if (kept.length < max) {
+        return { allowed: true, remaining: max - kept.length, retryAfterMs: 0 };
+      }
+      return {
+        allowed: false,
+        remaining: 0,
+        retryAfterMs: windowMs - (now - kept[0]),
+      };
+    },
+
+    record(key, now = Date.now()) {
+      const kept = recent(key, now);
+      kept.push(now);
+      events.set(key, kept);
+    },
+
+    /**
+     * check + record in one step; the event is only recorded when it is allowed
+     */
+    hit(key, now = Date.now()) {
+      const result = limiter.check(key, now);
+      if (result.allowed) {
+        limiter.record(key, now);
+      }
+      return result;
+    },
+
+    /**
+     * Give back an event recorded at `at`, e.g. a reserved slot the request turned out not to use
+     */
+    release(key, at) {
+      const kept = events.get(key) || [];
+      const index = kept.indexOf(at);
+      if (index !== -1) {
+        kept.splice(index, 1);
+      }
+      if (kept.length === 0) {
+        events.delete(key);
+      }
+    },
+
+    prune(now = Date.now()) {
+      for (const key of events.keys()) {
+        recent(key, now);
+      }
+    },
+  };
+
+  limiters.push(limiter);
+  return limiter;
+}
+
+// Drop idle keys so the maps do not grow with every user and number ever seen
+setInterval(
+  () => limiters.forEach(limiter => limiter.prune()),
+  60 * 1000,
+).unref();
+
+export function readLimitEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
@@ -0,0 +1,217 @@
+/**
+ * SafeRaasta Report Store
+ * Unsafe spots reported by users: poor lighting, harassment, deserted stretches, broken roads.
+ *
+ * Reports live in memory and are written through to the Firestore "reports" collection when
+ * Firebase Admin is configured. A report fades with age (see reportWeight) and drops out of
+ * every query once it has decayed, so old reports never need cleaning up by hand.
+ */
+
+import { randomUUID } from 'crypto';
+import { getFirestore } from './firebaseAdmin.js';
+import { distanceMeters, distanceToPolyline } from './routeProgress.js';
+
+const COLLECTION = 'reports';
+
+// Days until a report counts half; lighting and road damage last longer than a harassment report
+export const REPORT_CATEGORIES = {
+  poor_lighting: { halfLifeDays: 14 },
+  harassment: { halfLifeDays: 7 },
+  deserted: { halfLifeDays: 14 },
+  broken_road: { halfLifeDays: 30 },
+};
+// Below this weight a report is treated as expired
+const MIN_WEIGHT = 0.1;
+
+const reports = new Map();
+const pendingWrites = new Map();
+// Reports from before a restart are loaded once, on the first query
+let restoredReports = null;
+
+function persist(report) {
+  const db = getFirestore();
+  if (!db) {
+    return;
+  }
+
+  const snapshot = JSON.parse(JSON.stringify(report));
+  const previous = pendingWrites.get(report.id) || Promise.resolve();
+  const write = previous
+    .then(() => db.collection(COLLECTION).doc(report.id).set(snapshot))
+    .catch(error => {
+      console.error('Failed to persist report', {
+        reportId: report.id,
+        error: error.message,
+      });
+    });
+  pendingWrites.set(report.id, write);
+}
+
+function touch(report) {
+  report.updatedAt = new Date().toISOString();
+  persist(report);
+  return report;
+}
+
+/**
+ * 1 when new, halving every halfLifeDays of its category; confirmations restart the clock
+ */
+export function reportWeight(report, now = Date.now()) {
+  const { halfLifeDays } = REPORT_CATEGORIES[report.category];
+  const since = new Date(report.lastConfirmedAt || report.createdAt).getTime();
+  const ageDays = Math.max(0, now - since) / (24 * 60 * 60 * 1000);
+  return 0.5 ** (ageDays / halfLifeDays);
+}
+
+function isLive(report, now) {
+  return report.status === 'visible' && reportWeight(report, now) >= MIN_WEIGHT;
+}
+
+export function createReport(fields) {
+  const now = new Date().toISOString();
+  const report = {
+    id: randomUUID(),
+    createdAt: now,
+    updatedAt: now,
+    lastConfirmedAt: null,
+    status: 'visible',
+    flaggedBy: [],
+    confirmedBy: [],
+    ...fields,
+  };
+  reports.set(report.id, report);
+  return touch(report);
+}
+
+/**
+ * Memory first, then Firestore (e.g. after a restart)
+ */
+export async function getReport(reportId) {
+  if (reports.has(reportId)) {
+    return reports.get(reportId);
+  }
+
+  const db = getFirestore();
+  if (!db) {
+    return null;
+  }
+
+  const snap = await db.collection(COLLECTION).doc(reportId).get();
+  if (!snap.exists) {
+    return null;
+  }
+
+  const report = snap.data();
+  reports.set(reportId, report);
+  return report;
+}
+
+export function updateReport(reportId, patch) {
+  const report = reports.get(reportId);
+  if (!report) {
+    return null;
+  }
+  Object.assign(report, patch);
+  return touch(report);
+}
+
+async function restoreReports() {
+  const db = getFirestore();
+  if (!db || restoredReports) {
+    return restoredReports;
+  }
+
+  // Nothing older than the longest-lived category could still be above MIN_WEIGHT
+  const maxHalfLifeDays = Math.max(
+    ...Object.values(REPORT_CATEGORIES).map(c => c.halfLifeDays),
+  );
+  const maxAgeMs =
+    Math.log2(1 / MIN_WEIGHT) * maxHalfLifeDays * 24 * 60 * 60 * 1000;
+  const cutoff = new Date(Date.now() - maxAgeMs).toISOString();
+
+  restoredReports = db
+    .collection(COLLECTION)
+    .where('updatedAt', '>=', cutoff)
+    .get()
+    .then(query => {
+      query.docs.forEach(doc => {
+        if (!reports.has(doc.id)) {
+          reports.set(doc.id, doc.data());
+        }
+      });
+    })
+    .catch(error => {
+      // Try again on the next query
+      restoredReports = null;
+      console.error('Failed to restore reports', { error: error.message });
+    });
+  return restoredReports;
+}
+
+/**
+ * Visible, not yet decayed reports within radiusMeters of center, strongest first
+ */
+export async function listReportsNear(center, radiusMeters, limit) {
+  await restoreReports();
+
+  const now = Date.now();
+  return [...reports.values()]
+    .filter(
+      report =>
+        isLive(report, now) && distanceMeters(center, report) <= radiusMeters,
+    )
+    .map(report => ({ report, weight: reportWeight(report, now) }))
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, limit);
+}
+
+/**
+ * Visible, not yet decayed reports within bufferMeters of any of the polylines, strongest first.
+ * Reports off the routes are dropped before the limit, so they never crowd out the ones along them.
+ */
+export async function listReportsAlong(polylines, bufferMeters, limit) {
+  await restoreReports();
+
+  // Cheap box test first: only reports inside a route's padded box are measured against it
+  const latPad = bufferMeters / 111320;
+  const boxes = polylines.map(polyline => {
+    const lats = polyline.map(p => p.latitude);
+    const lngs = polyline.map(p => p.longitude);
+    const lngPad =
+      latPad / Math.max(0.01, Math.cos((Math.max(...lats) * Math.PI) / 180));
+    return {
+      polyline,
+      minLat: Math.min(...lats) - latPad,
+      maxLat: Math.max(...lats) + latPad,
+      minLng: Math.min(...lngs) - lngPad,
+      maxLng: Math.max(...lngs) + lngPad,
+    };
+  });
+  const isAlong = report =>
+    boxes.some(
+      box =>
+        report.latitude >= box.minLat &&
+        report.latitude <= box.maxLat &&
+        report.longitude >= box.minLng &&
+        report.longitude <= box.maxLng &&
+        distanceToPolyline(report, box.polyline) <= bufferMeters,
+    );
+
+  const now = Date.now();
+  return [...reports.values()]
+    .filter(report => isLive(report, now) && isAlong(report))
+    .map(report => ({ report, weight: reportWeight(report, now) }))
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, limit);
+}
+
+/**
+ * Reports a moderator has not decided on yet that users have flagged, most flagged first
+ */
+export async function listFlaggedReports() {
+  await restoreReports();
+
+  return [...reports.values()]
+    .filter(report => report.flaggedBy.length > 0 && !report.moderatedAt)
+    .sort((a, b) => b.flaggedBy.length - a.flaggedBy.length);
+}
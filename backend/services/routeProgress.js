@@ -0,0 +1,130 @@
+/**
+ * SafeRaasta Route Progress
+ * Distance helpers for a planned route polyline ([{ latitude, longitude }]):
+ * how far along the route a position is, and how much of it is left.
+ */
+
+const EARTH_RADIUS_M = 6371000;
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+export function isCoordinate(value, limit) {
+  return (
+    typeof value === 'number' &&
+    Number.isFinite(value) &&
+    Math.abs(value) <= limit
+  );
+}
+
+export function isPoint(point) {
+  return (
+    isCoordinate(point?.latitude, 90) && isCoordinate(point?.longitude, 180)
+  );
+}
+
+/**
+ * Great-circle distance in meters between two points
+ */
+export function distanceMeters(a, b) {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) *
+      Math.cos(toRadians(b.latitude)) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Diagonal in meters of the box around a set of points
+ */
+export function spanMeters(points) {
+  const lats = points.map(p => p.latitude);
+  const lngs = points.map(p => p.longitude);
+  return distanceMeters(
+    { latitude: Math.min(...lats), longitude: Math.min(...lngs) },
+    { latitude: Math.max(...lats), longitude: Math.max(...lngs) },
+  );
+}
+
+/**
+ * Keep at most maxPoints of a polyline, always including both ends
+ */
+export function simplifyPolyline(points, maxPoints) {
+  if (points.length <= maxPoints) {
+    return points;
+  }
+  const step = (points.length - 1) / (maxPoints - 1);
+  return Array.from(
+    { length: maxPoints },
+    (_, i) => points[Math.round(i * step)],
+  );
+}
+
+/**
+ * Share of the route still ahead of a position (0-1), measured from the closest polyline vertex
+ */
+export function remainingFraction(polyline, position) {
+  if (polyline.length < 2) {
+    return 1;
+  }
+
+  let closest = 0;
+  let closestDistance = Infinity;
+  polyline.forEach((point, i) => {
+    const d = distanceMeters(point, position);
+    if (d < closestDistance) {
+      closest = i;
+      closestDistance = d;
+    }
+  });
+
+  let total = 0;
+  let remaining = 0;
+  for (let i = 1; i < polyline.length; i++) {
+    const leg = distanceMeters(polyline[i - 1], polyline[i]);
+    total += leg;
+    if (i > closest) {
+      remaining += leg;
+    }
+  }
+  return total > 0 ? remaining / total : 0;
+}
+
+// Flat x/y meters around an origin; accurate enough over a few kilometres
+function project(origin, point) {
+  return {
+    x:
+      toRadians(point.longitude - origin.longitude) *
+      EARTH_RADIUS_M *
+      Math.cos(toRadians(origin.latitude)),
+    y: toRadians(point.latitude - origin.latitude) * EARTH_RADIUS_M,
+  };
+}
+
+/**
+ * Shortest distance in meters from a point to a polyline
+ */
+export function distanceToPolyline(point, polyline) {
+  if (polyline.length === 1) {
+    return distanceMeters(point, polyline[0]);
+  }
+
+  let shortest = Infinity;
+  for (let i = 1; i < polyline.length; i++) {
+    const a = project(point, polyline[i - 1]);
+    const b = project(point, polyline[i]);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t =
+      lengthSq > 0
+        ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSq))
+        : 0;
+    shortest = Math.min(shortest, Math.hypot(a.x + t * dx, a.y + t * dy));
+  }
+  return shortest;
+}
@@ -0,0 +1,216 @@
+/**
+ * SafeRaasta SOS Launcher
+ * Opens an incident and starts the call escalation for every emergency contact.
+ * Used by the SOS endpoint and by the server itself when a trip check-in is missed.
+ *
+ * Never throws for expected failures: resolves to { status, body, incident } where body is
+ * the JSON the SOS endpoint responds with and incident is null when none was opened.
+ */
+
+import { getMissingChannelConfig } from './notificationService.js';
+import { loadEmergencyContacts } from './contactService.js';
+import { createEvidenceKey } from './evidenceService.js';
+import { createIncident, addTimelineEvent } from './incidentStore.js';
+import {
+  startEscalation,
+  resolveCallStrategy,
+  summarizeContacts,
+  isMessageFallbackConfigured,
+} from './escalationService.js';
+
+/**
+ * Public link that always redirects to the incident's latest location fix
+ */
+function buildTrackingLink(baseUrl, trackingToken) {
+  return `${baseUrl.replace(/\/$/, '')}/api/sos/track/${trackingToken}`;
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.uid - Owner of the incident
+ * @param {string} options.baseUrl - Public base URL for the tracking link
+ * @param {object} options.pinHashes - From hashSafetyPins; null makes the SOS non-cancellable
+ * @param {object} [options.origin] - Extra sos_triggered timeline details (e.g. queuedAt, tripId)
+ * @param {boolean} [options.missedCheckIn] - Raised by the server because a trip check-in was missed
+ */
+export async function launchSOS({
+  uid,
+  baseUrl,
+  userName,
+  latitude,
+  longitude,
+  timestamp,
+  strategy: requestedStrategy,
+  pinHashes,
+  origin = {},
+  missedCheckIn = false,
+}) {
+  // Contacts always come from the user's stored profile
+  const resolved = await loadEmergencyContacts(uid);
+  if (!resolved) {
+    return {
+      status: 503,
+      body: { success: false, error: 'Emergency contacts unavailable' },
+      incident: null,
+    };
+  }
+
+  const { profile, contacts, rejected: rejectedContacts } = resolved;
+  // Silent SOS is a profile setting: the app shows nothing and contacts are asked not to call back
+  const silent = profile.silentSOS === true;
+  if (contacts.length === 0) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error:
+          rejectedContacts.length > 0
+            ? 'No emergency contact has a valid phone number'
+            : 'No emergency contacts in your profile',
+        rejectedContacts,
+      },
+      incident: null,
+    };
+  }
+
+  // Format location as address
+  const address = `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`;
+
+  // Format timestamp to readable format (e.g., "2:30 PM")
+  const dateObj = new Date(timestamp);
+  const timeStr = dateObj.toLocaleTimeString('en-US', {
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: true,
+  });
+
+  // NOTIFY_REGION_PROVIDERS can pick the provider per dialling prefix, so each contact is checked.
+  // Without any voice provider the SOS still goes out as a text message when one is configured.
+  const phones = contacts.map(c => c.phone);
+  const voiceConfigErrors = phones.map(phone =>
+    getMissingChannelConfig('voice', phone),
+  );
+  if (
+    voiceConfigErrors.every(Boolean) &&
+    !isMessageFallbackConfigured(phones)
+  ) {
+    return {
+      status: 500,
+      body: { success: false, error: voiceConfigErrors[0] },
+      incident: null,
+    };
+  }
+
+  const strategy = resolveCallStrategy(requestedStrategy);
+
+  const location = { latitude, longitude, timestamp };
+  // The app encrypts its audio recording with this key before uploading it. A missed check-in
+  // has no app waiting for the response, so it gets no key.
+  const evidenceKey = missedCheckIn ? null : createEvidenceKey();
+  const incident = createIncident({
+    uid,
+    userName,
+    silent,
+    missedCheckIn,
+    strategy,
+    location,
+    locationHistory: [location],
+    // Only hashes are kept; without a safety PIN the SOS cannot be cancelled remotely
+    pinHashes,
+    // Only the wrapped key is stored; the plain one is in the response alone
+    wrappedEvidenceKey: evidenceKey?.wrappedKey || null,
+  });
+
+  // Contacts get the live tracking link instead of a static pin
+  const mapsLink = buildTrackingLink(baseUrl, incident.trackingToken);
+  const callDetails = {
+    userName,
+    address,
+    time: timeStr,
+    mapsLink,
+    timestamp,
+    latitude,
+    longitude,
+    silent,
+    missedCheckIn,
+  };
+  addTimelineEvent(incident.id, 'sos_triggered', {
+    latitude,
+    longitude,
+    contactCount: contacts.length,
+    rejectedContactCount: rejectedContacts.length,
+    silent,
+    missedCheckIn,
+    ...origin,
+  });
+
+  const escalation = await startEscalation({
+    incidentId: incident.id,
+    contacts,
+    strategy,
+    callDetails,
+  });
+  const contactResults = summarizeContacts(escalation);
+  const calledCount = escalation.contacts.filter(c =>
+    c.attempts.some(a => a.callId),
+  ).length;
+
+  console.log('SOS escalation started', {
+    incidentId: incident.id,
+    uid,
+    strategy,
+    called: calledCount,
+    total: contactResults.length,
+    userName: userName,
+    address: address,
+    time: timeStr,
+    missedCheckIn,
+  });
+
+  const emergencyDetails = {
+    userName,
+    address,
+    time: timeStr,
+    mapsLink,
+  };
+
+  const smsSent = escalation.sms?.status === 'sent';
+
+  if (calledCount === 0 && escalation.state !== 'escalated' && !smsSent) {
+    return {
+      status: 500,
+      body: {
+        success: false,
+        error: 'Failed to trigger emergency call to any contact',
+        incidentId: incident.id,
+        state: escalation.state,
+        cancellable: Boolean(incident.pinHashes),
+        strategy,
+        contacts: contactResults,
+        rejectedContacts,
+        sms: escalation.sms,
+        emergencyDetails,
+      },
+      incident,
+    };
+  }
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      message: 'SOS triggered successfully',
+      incidentId: incident.id,
+      state: escalation.state,
+      cancellable: Boolean(incident.pinHashes),
+      strategy,
+      contacts: contactResults,
+      rejectedContacts,
+      sms: escalation.sms,
+      silent,
+      evidenceKey: evidenceKey?.key,
+      emergencyDetails,
+    },
+    incident,
+  };
+}
@@ -0,0 +1,172 @@
+/**
+ * SafeRaasta Trip Store
+ * Journeys the user shares with family while navigating: planned route, live
+ * position, ETA and the route's safety score.
+ *
+ * Like SOS incidents, trips live in memory and are written through to the Firestore
+ * "trips" collection when Firebase Admin is configured. Persistence errors are logged
+ * and never interrupt the trip.
+ */
+
+import { randomUUID, randomBytes } from 'crypto';
+import { getFirestore } from './firebaseAdmin.js';
+
+const COLLECTION = 'trips';
+const MAX_LOCATION_HISTORY = 500;
+
+const trips = new Map();
+const pendingWrites = new Map();
+// Trips from before a restart are loaded once so their check-ins still fire
+let restoredPendingCheckIns = null;
+
+function persist(trip) {
+  const db = getFirestore();
+  if (!db) {
+    return;
+  }
+
+  const snapshot = JSON.parse(JSON.stringify(trip));
+  const previous = pendingWrites.get(trip.id) || Promise.resolve();
+  const write = previous
+    .then(() => db.collection(COLLECTION).doc(trip.id).set(snapshot))
+    .catch(error => {
+      console.error('Failed to persist trip', {
+        tripId: trip.id,
+        error: error.message,
+      });
+    });
+  pendingWrites.set(trip.id, write);
+}
+
+function touch(trip) {
+  trip.updatedAt = new Date().toISOString();
+  persist(trip);
+  return trip;
+}
+
+export function createTrip(fields) {
+  const now = new Date().toISOString();
+  const trip = {
+    id: randomUUID(),
+    // Unguessable token for the public link the user shares
+    shareToken: randomBytes(24).toString('base64url'),
+    createdAt: now,
+    updatedAt: now,
+    status: 'active',
+    location: null,
+    locationHistory: [],
+    ...fields,
+  };
+  trips.set(trip.id, trip);
+  return touch(trip);
+}
+
+/**
+ * Memory first, then Firestore (e.g. after a restart)
+ */
+export async function getTrip(tripId) {
+  if (trips.has(tripId)) {
+    return trips.get(tripId);
+  }
+
+  const db = getFirestore();
+  if (!db) {
+    return null;
+  }
+
+  const snap = await db.collection(COLLECTION).doc(tripId).get();
+  if (!snap.exists) {
+    return null;
+  }
+
+  const trip = snap.data();
+  trips.set(tripId, trip);
+  return trip;
+}
+
+export async function findTripByShareToken(shareToken) {
+  for (const trip of trips.values()) {
+    if (trip.shareToken === shareToken) {
+      return trip;
+    }
+  }
+
+  const db = getFirestore();
+  if (!db) {
+    return null;
+  }
+
+  const query = await db
+    .collection(COLLECTION)
+    .where('shareToken', '==', shareToken)
+    .limit(1)
+    .get();
+  if (query.empty) {
+    return null;
+  }
+
+  const trip = query.docs[0].data();
+  trips.set(trip.id, trip);
+  return trip;
+}
+
+export function updateTrip(tripId, patch) {
+  const trip = trips.get(tripId);
+  if (!trip) {
+    return null;
+  }
+  Object.assign(trip, patch);
+  return touch(trip);
+}
+
+export function recordTripLocation(tripId, fix) {
+  const trip = trips.get(tripId);
+  if (!trip) {
+    return null;
+  }
+
+  trip.location = fix;
+  trip.locationHistory.push(fix);
+  if (trip.locationHistory.length > MAX_LOCATION_HISTORY) {
+    trip.locationHistory.splice(
+      0,
+      trip.locationHistory.length - MAX_LOCATION_HISTORY,
+    );
+  }
+  return touch(trip);
+}
+
+// Ended trips count too: the check-in stays due until the user arrives or says they are safe
+function isAwaitingCheckIn(trip) {
+  return trip.checkIn?.status === 'pending';
+}
+
+/**
+ * Trips whose check-in is still pending, active or ended, including those persisted before a restart
+ */
+export async function listTripsAwaitingCheckIn() {
+  const db = getFirestore();
+  if (db && !restoredPendingCheckIns) {
+    restoredPendingCheckIns = db
+      .collection(COLLECTION)
+      .where('checkIn.status', '==', 'pending')
+      .get()
+      .then(query => {
+        query.docs.forEach(doc => {
+          if (!trips.has(doc.id)) {
+            trips.set(doc.id, doc.data());
+          }
+        });
+      })
+      .catch(error => {
+        // Try again on the next sweep
+        restoredPendingCheckIns = null;
+        console.error('Failed to restore pending trip check-ins', {
+          error: error.message,
+        });
+      });
+  }
+  await restoredPendingCheckIns;
+
+  return [...trips.values()].filter(isAwaitingCheckIn);
+}
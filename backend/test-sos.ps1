@@ -1,15 +1,10 @@
 # Test SOS Endpoint
+# Set $env:SAFERAASTA_ID_TOKEN to a Firebase ID token for a test user first
 $body = @{
     userName = "Test User"
     latitude = 19.0760
     longitude = 72.8777
     timestamp = "2026-01-23T03:12:00.000Z"
-    contacts = @(
-        @{
-            name = "Mom"
-            phone = "+919812345678"
-        }
-    )
 } | ConvertTo-Json -Depth 10
 
 Write-Host "Testing SOS endpoint..." -ForegroundColor Cyan
@@ -20,6 +15,7 @@ try {
     $response = Invoke-RestMethod -Uri "http://localhost:3000/api/sos-trigger" `
         -Method POST `
         -ContentType "application/json" `
+        -Headers @{ Authorization = "Bearer $env:SAFERAASTA_ID_TOKEN" } `
         -Body $body
 
     Write-Host "`nResponse:" -ForegroundColor Green
@@ -0,0 +1,137 @@
+/**
+ * SafeRaasta contact consent tests
+ * Consent comes only from the backend's contactConsents records, and an SOS calls and texts
+ * verified contacts before unverified ones. Runs on the fake provider; without Firestore the
+ * stores stay in memory.
+ */
+
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.VOICE_PROVIDER = 'fake';
+process.env.SMS_PROVIDER = 'fake';
+process.env.SOS_ANSWER_TIMEOUT_MS = '50';
+process.env.SOS_RETRY_DELAY_MS = '0';
+process.env.SOS_MAX_ATTEMPTS_PER_CONTACT = '1';
+
+const VERIFIED = '+919876543210';
+const UNVERIFIED = '+919812345678';
+
+let classifyContacts;
+let startEscalation;
+let getEscalation;
+let getFakeOutbox;
+let resetFakeOutbox;
+
+before(async () => {
+  ({ classifyContacts } = await import('../services/contactService.js'));
+  ({ startEscalation, getEscalation } = await import(
+    '../services/escalationService.js'
+  ));
+  ({ getFakeOutbox, resetFakeOutbox } = await import(
+    '../providers/fakeProvider.js'
+  ));
+});
+
+beforeEach(() => {
+  delete process.env.FAKE_ANSWERING_NUMBERS;
+  delete process.env.SOS_ESCALATION_NUMBER;
+  resetFakeOutbox();
+});
+
+async function runToEnd(contacts) {
+  const incidentId = `test-${Math.random().toString(36).slice(2)}`;
+  await startEscalation({
+    incidentId,
+    contacts,
+    strategy: 'parallel',
+    callDetails: {
+      userName: 'Asha',
+      address: '',
+      time: '',
+      mapsLink: 'https://example.test/t',
+      silent: false,
+    },
+  });
+  while (!getEscalation(incidentId)?.resolvedAt) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return getEscalation(incidentId);
+}
+
+test('a status saved on the profile entry does not verify a contact', () => {
+  const stored = [
+    { name: 'Mom', phone: VERIFIED },
+    { name: 'Friend', phone: UNVERIFIED, status: 'verified' },
+    { name: 'Ex', phone: '+919800000000' },
+  ];
+  const consents = new Map([
+    [VERIFIED, { status: 'verified' }],
+    ['+919800000000', { status: 'declined' }],
+  ]);
+
+  const { contacts, rejected } = classifyContacts(stored, consents);
+
+  assert.deepEqual(contacts, [
+    { name: 'Mom', phone: VERIFIED, verified: true },
+    { name: 'Friend', phone: UNVERIFIED, verified: false },
+  ]);
+  assert.deepEqual(
+    rejected.map(c => c.name),
+    ['Ex'],
+  );
+});
+
+test('unverified contacts are called only after no verified contact answers', async () => {
+  const escalation = await runToEnd([
+    { name: 'Friend', phone: UNVERIFIED, verified: false },
+    { name: 'Mom', phone: VERIFIED, verified: true },
+  ]);
+
+  const dialled = getFakeOutbox()
+    .filter(m => m.channel === 'voice')
+    .map(m => m.to);
+  assert.deepEqual(dialled, [VERIFIED, UNVERIFIED]);
+  const friend = escalation.contacts.find(c => c.phone === UNVERIFIED);
+  assert.equal(friend.status, 'no_answer');
+});
+
+test('unverified contacts are not called once a verified contact answers', async () => {
+  process.env.FAKE_ANSWERING_NUMBERS = VERIFIED;
+  const escalation = await runToEnd([
+    { name: 'Mom', phone: VERIFIED, verified: true },
+    { name: 'Friend', phone: UNVERIFIED, verified: false },
+  ]);
+
+  assert.equal(escalation.state, 'answered');
+  const friend = escalation.contacts.find(c => c.phone === UNVERIFIED);
+  assert.equal(friend.status, 'skipped');
+  assert.equal(friend.attempts.length, 0);
+});
+
+test('an SOS whose contacts are all unverified still calls them', async () => {
+  await runToEnd([{ name: 'Friend', phone: UNVERIFIED, verified: false }]);
+
+  const dialled = getFakeOutbox()
+    .filter(m => m.channel === 'voice')
+    .map(m => m.to);
+  assert.deepEqual(dialled, [UNVERIFIED]);
+});
+
+test('the text fallback texts verified contacts first, then unverified ones', async () => {
+  process.env.FAKE_FAILING_NUMBERS = `${VERIFIED},${UNVERIFIED}`;
+  try {
+    const escalation = await runToEnd([
+      { name: 'Friend', phone: UNVERIFIED, verified: false },
+      { name: 'Mom', phone: VERIFIED, verified: true },
+    ]);
+
+    assert.equal(escalation.state, 'exhausted');
+    const texted = getFakeOutbox()
+      .filter(m => m.channel === 'sms')
+      .map(m => m.to);
+    assert.deepEqual(texted, [VERIFIED, UNVERIFIED]);
+  } finally {
+    delete process.env.FAKE_FAILING_NUMBERS;
+  }
+});
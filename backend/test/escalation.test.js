@@ -0,0 +1,118 @@
+/**
+ * SafeRaasta escalation ladder tests
+ * Drives the ladder end to end through the fake provider: who gets called in which order,
+ * retries, the helpline fallback and the text fallback. Without Firestore the stores stay in memory.
+ */
+
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.VOICE_PROVIDER = 'fake';
+process.env.SMS_PROVIDER = 'fake';
+process.env.SOS_ANSWER_TIMEOUT_MS = '50';
+process.env.SOS_RETRY_DELAY_MS = '0';
+process.env.SOS_MAX_ATTEMPTS_PER_CONTACT = '2';
+
+const MOM = '+919876543210';
+const DAD = '+919812345678';
+const HELPLINE = '+911122334455';
+
+let startEscalation;
+let getEscalation;
+let getFakeOutbox;
+let resetFakeOutbox;
+
+before(async () => {
+  ({ startEscalation, getEscalation } = await import(
+    '../services/escalationService.js'
+  ));
+  ({ getFakeOutbox, resetFakeOutbox } = await import(
+    '../providers/fakeProvider.js'
+  ));
+});
+
+beforeEach(() => {
+  delete process.env.FAKE_ANSWERING_NUMBERS;
+  delete process.env.FAKE_FAILING_NUMBERS;
+  delete process.env.SOS_ESCALATION_NUMBER;
+  resetFakeOutbox();
+});
+
+const CONTACTS = [
+  { name: 'Mom', phone: MOM, verified: true },
+  { name: 'Dad', phone: DAD, verified: true },
+];
+
+async function runToEnd(strategy, contacts = CONTACTS) {
+  const incidentId = `test-${Math.random().toString(36).slice(2)}`;
+  await startEscalation({
+    incidentId,
+    contacts,
+    strategy,
+    callDetails: {
+      userName: 'Asha',
+      address: '',
+      time: '',
+      mapsLink: 'https://example.test/t',
+      silent: false,
+    },
+  });
+  while (!getEscalation(incidentId)?.resolvedAt) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return getEscalation(incidentId);
+}
+
+const sent = channel =>
+  getFakeOutbox()
+    .filter(m => m.channel === channel)
+    .map(m => m.to);
+
+test('parallel calls every contact at once and stops when one answers', async () => {
+  process.env.FAKE_ANSWERING_NUMBERS = DAD;
+  const escalation = await runToEnd('parallel');
+
+  assert.equal(escalation.state, 'answered');
+  assert.deepEqual(escalation.answeredBy, { name: 'Dad', phone: DAD });
+  assert.deepEqual(sent('voice'), [MOM, DAD]);
+});
+
+test('sequential calls contacts in order, retrying each before the next', async () => {
+  process.env.FAKE_ANSWERING_NUMBERS = DAD;
+  const escalation = await runToEnd('sequential');
+
+  assert.equal(escalation.state, 'answered');
+  assert.deepEqual(sent('voice'), [MOM, MOM, DAD]);
+  const mom = escalation.contacts.find(c => c.phone === MOM);
+  assert.equal(mom.status, 'no_answer');
+  assert.equal(mom.attempts.length, 2);
+});
+
+test('a contact who does not answer is retried up to the attempt limit', async () => {
+  const escalation = await runToEnd('parallel');
+
+  assert.deepEqual(sent('voice'), [MOM, DAD, MOM, DAD]);
+  assert.ok(escalation.contacts.every(c => c.attempts.length === 2));
+  assert.ok(escalation.contacts.every(c => c.status === 'no_answer'));
+});
+
+test('the helpline is called when nobody answers', async () => {
+  process.env.SOS_ESCALATION_NUMBER = HELPLINE;
+  const escalation = await runToEnd('sequential');
+
+  assert.equal(escalation.state, 'escalated');
+  assert.equal(escalation.fallback.phone, HELPLINE);
+  assert.equal(sent('voice').at(-1), HELPLINE);
+  assert.deepEqual(sent('sms'), []);
+});
+
+test('every contact is texted when no call can be placed', async () => {
+  process.env.FAKE_FAILING_NUMBERS = `${MOM},${DAD}`;
+  const escalation = await runToEnd('parallel');
+
+  assert.equal(escalation.state, 'exhausted');
+  // Rejected calls are not retried
+  assert.ok(escalation.contacts.every(c => c.attempts.length === 1));
+  assert.equal(escalation.sms.status, 'sent');
+  assert.deepEqual(sent('sms'), [MOM, DAD]);
+});
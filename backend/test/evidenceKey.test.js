@@ -0,0 +1,60 @@
+/**
+ * SafeRaasta evidence key tests
+ * The incident stores its audio key only wrapped with EVIDENCE_MASTER_KEY, and chunks the app
+ * encrypted with the plain key still decrypt through the wrapped one.
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCipheriv, randomBytes } from 'crypto';
+import { Buffer } from 'buffer';
+import {
+  createEvidenceKey,
+  decryptEvidenceChunk,
+} from '../services/evidenceService.js';
+
+const MASTER_KEY = randomBytes(32).toString('base64');
+
+afterEach(() => {
+  delete process.env.EVIDENCE_MASTER_KEY;
+});
+
+// What the phone does with each chunk: AES-256-GCM, tag appended
+function encryptLikeTheApp(key, audio) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', Buffer.from(key, 'base64'), iv);
+  const data = Buffer.concat([
+    cipher.update(audio),
+    cipher.final(),
+    cipher.getAuthTag(),
+  ]);
+  return { iv: iv.toString('base64'), data: data.toString('base64') };
+}
+
+test('no master key, no evidence key', () => {
+  assert.equal(createEvidenceKey(), null);
+});
+
+test('the stored key is wrapped, and chunks decrypt through it', () => {
+  process.env.EVIDENCE_MASTER_KEY = MASTER_KEY;
+  const { key, wrappedKey } = createEvidenceKey();
+  const incident = { id: 'incident-1', wrappedEvidenceKey: wrappedKey };
+
+  assert.ok(
+    !Buffer.from(wrappedKey, 'base64').includes(Buffer.from(key, 'base64')),
+  );
+  const audio = Buffer.from('fake audio bytes');
+  const chunk = encryptLikeTheApp(key, audio);
+  assert.deepEqual(decryptEvidenceChunk(incident, chunk), audio);
+});
+
+test('a different master key cannot open the stored key', () => {
+  process.env.EVIDENCE_MASTER_KEY = MASTER_KEY;
+  const { key, wrappedKey } = createEvidenceKey();
+  const chunk = encryptLikeTheApp(key, Buffer.from('fake audio bytes'));
+
+  process.env.EVIDENCE_MASTER_KEY = randomBytes(32).toString('base64');
+  assert.throws(() =>
+    decryptEvidenceChunk({ wrappedEvidenceKey: wrappedKey }, chunk),
+  );
+});
@@ -0,0 +1,98 @@
+/**
+ * SafeRaasta rate limit middleware tests
+ * The slot is taken before the handler runs, so concurrent requests cannot all pass, and SOS
+ * calls and texts have their own per-destination cap rather than none.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { rateLimit } from '../middleware/rateLimit.js';
+
+process.env.SMS_PROVIDER = 'fake';
+process.env.NOTIFY_RATE_LIMIT_PER_DESTINATION = '1';
+process.env.NOTIFY_SOS_RATE_LIMIT_PER_DESTINATION = '2';
+
+function fakeResponse() {
+  const res = new EventEmitter();
+  res.locals = {};
+  res.statusCode = 200;
+  res.set = () => res;
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = () => res;
+  return res;
+}
+
+function send(limiter, uid) {
+  const res = fakeResponse();
+  let passed = false;
+  limiter({ uid, path: '/sos' }, res, () => {
+    passed = true;
+  });
+  return { res, passed };
+}
+
+test('concurrent requests cannot all pass before any has finished', () => {
+  const limiter = rateLimit({
+    scope: 'user',
+    windowMs: 60000,
+    max: 2,
+    key: req => req.uid,
+  });
+
+  const results = [
+    send(limiter, 'u1'),
+    send(limiter, 'u1'),
+    send(limiter, 'u1'),
+  ];
+
+  assert.deepEqual(
+    results.map(r => r.passed),
+    [true, true, false],
+  );
+  assert.equal(results[2].res.statusCode, 429);
+});
+
+test('a request that countIf rejects hands its slot back', () => {
+  const limiter = rateLimit({
+    scope: 'user',
+    windowMs: 60000,
+    max: 1,
+    key: req => req.uid,
+    countIf: (req, res) => Boolean(res.locals.incidentCreated),
+  });
+
+  const deduplicated = send(limiter, 'u2');
+  assert.equal(send(limiter, 'u2').passed, false);
+  deduplicated.res.emit('finish');
+
+  const opening = send(limiter, 'u2');
+  assert.equal(opening.passed, true);
+  opening.res.locals.incidentCreated = true;
+  opening.res.emit('finish');
+  assert.equal(send(limiter, 'u2').passed, false);
+});
+
+test('SOS texts count against their own higher per-destination cap', async () => {
+  const { sendNotification } = await import(
+    '../services/notificationService.js'
+  );
+  const text = { to: '+919876500001', body: 'test' };
+
+  assert.equal((await sendNotification('sms', text)).ok, true);
+  assert.equal((await sendNotification('sms', text)).rateLimited, true);
+
+  const sos = [
+    await sendNotification('sms', text, { sos: true }),
+    await sendNotification('sms', text, { sos: true }),
+    await sendNotification('sms', text, { sos: true }),
+  ];
+  assert.deepEqual(
+    sos.map(r => r.ok),
+    [true, true, false],
+  );
+  assert.equal(sos[2].rateLimited, true);
+});
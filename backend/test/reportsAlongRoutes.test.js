@@ -0,0 +1,72 @@
+/**
+ * SafeRaasta reports-along-routes tests
+ * Reports are measured against the route lines before the result cap, so reports beside a long
+ * route are found and reports off it are left out.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createReport } from '../services/reportStore.js';
+import { listReportsAlongRoutes } from '../controllers/reportController.js';
+
+// A 30 km road heading north: too long for one 20 km circle around its middle
+const ROUTE = [
+  { latitude: 12.8, longitude: 77.6 },
+  { latitude: 13.07, longitude: 77.6 },
+];
+
+const nearStart = createReport({
+  uid: 'user-2',
+  category: 'harassment',
+  latitude: 12.8005,
+  longitude: 77.6,
+});
+// Close to the middle of the route's box, but 2 km off the road
+createReport({
+  uid: 'user-2',
+  category: 'harassment',
+  latitude: 12.935,
+  longitude: 77.6184,
+});
+
+async function call(body) {
+  let status;
+  let json;
+  const res = {
+    status(code) {
+      status = code;
+      return this;
+    },
+    json(payload) {
+      json = payload;
+      return this;
+    },
+  };
+  await listReportsAlongRoutes({ uid: 'user-1', body }, res);
+  return { status, json };
+}
+
+test('reports beside the route are found and reports off it are not', async () => {
+  const { status, json } = await call({ routes: [{ coords: ROUTE }] });
+
+  assert.equal(status, 200);
+  assert.deepEqual(
+    json.reports.map(r => r.id),
+    [nearStart.id],
+  );
+});
+
+test('routes spanning more than a city trip are refused', async () => {
+  const { status } = await call({
+    routes: [
+      {
+        coords: [
+          { latitude: 12.8, longitude: 77.6 },
+          { latitude: 19.07, longitude: 72.87 },
+        ],
+      },
+    ],
+  });
+
+  assert.equal(status, 400);
+});
@@ -0,0 +1,26 @@
+/**
+ * SafeRaasta Retell call classification tests
+ * A live call is only connected: voicemail and answering machines pick up too, so a call counts
+ * as answered once it ends on a reason a machine does not give.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyCall } from '../providers/retellProvider.js';
+
+test('a live call is connected, not answered', () => {
+  assert.equal(classifyCall('ongoing'), 'connected');
+});
+
+test('a call that ends on voicemail or a machine is unanswered', () => {
+  assert.equal(classifyCall('ended', 'voicemail_reached'), 'no_answer');
+  assert.equal(classifyCall('ended', 'machine_detected'), 'no_answer');
+});
+
+test('a call that ends after a person hangs up is answered', () => {
+  assert.equal(classifyCall('ended', 'user_hangup'), 'answered');
+});
+
+test('a call still ringing has no outcome yet', () => {
+  assert.equal(classifyCall('registered'), null);
+});
@@ -0,0 +1,115 @@
+/**
+ * SafeRaasta route point count tests
+ * A place near the joint of two segments counts for both segments but once for the route,
+ * and segments or routes far wider than the app sends are turned away before the grid is scanned.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addDataset, countAlongSegments } from '../services/geoDatasetStore.js';
+import {
+  countRoutePoints,
+  listSafeHavens,
+} from '../controllers/datasetController.js';
+
+const JOINT = { latitude: 12.9716, longitude: 77.5946 };
+
+addDataset({
+  kind: 'police_station',
+  name: 'test-police',
+  source: 'test',
+  points: [{ latitude: 12.9717, longitude: 77.5946, name: 'Joint station' }],
+});
+
+const SEGMENTS = [
+  { id: 'seg_0', coords: [{ latitude: 12.9676, longitude: 77.5946 }, JOINT] },
+  { id: 'seg_1', coords: [JOINT, { latitude: 12.9756, longitude: 77.5946 }] },
+];
+
+async function call(handler, body) {
+  let status;
+  let json;
+  const res = {
+    status(code) {
+      status = code;
+      return this;
+    },
+    json(payload) {
+      json = payload;
+      return this;
+    },
+  };
+  await handler({ body }, res);
+  return { status, json };
+}
+
+test('a place where two segments meet counts once for the route', () => {
+  const { routeCounts, segments } = countAlongSegments(SEGMENTS, 50);
+
+  assert.deepEqual(
+    segments.map(s => s.counts.police_station),
+    [1, 1],
+  );
+  assert.equal(routeCounts.police_station, 1);
+});
+
+test('a box wider than the grid index walks only the occupied cells', () => {
+  const wide = [
+    {
+      id: 'seg_0',
+      coords: [
+        { latitude: -80, longitude: -170 },
+        { latitude: 80, longitude: 170 },
+      ],
+    },
+  ];
+  const { routeCounts } = countAlongSegments(wide, 200);
+
+  assert.equal(routeCounts.police_station, 0);
+});
+
+test('route-counts returns the route-wide counts', async () => {
+  const { status, json } = await call(countRoutePoints, { segments: SEGMENTS });
+
+  assert.equal(status, 200);
+  assert.equal(json.routeCounts.police_station, 1);
+});
+
+test('route-counts rejects a segment spanning more than a few km', async () => {
+  const { status } = await call(countRoutePoints, {
+    segments: [
+      {
+        id: 'seg_0',
+        coords: [
+          { latitude: -80, longitude: -170 },
+          { latitude: 80, longitude: 170 },
+        ],
+      },
+    ],
+  });
+
+  assert.equal(status, 400);
+});
+
+test('havens rejects a route spanning more than a city trip', async () => {
+  const { status } = await call(listSafeHavens, {
+    coords: [
+      { latitude: -80, longitude: -170 },
+      { latitude: 80, longitude: 170 },
+    ],
+  });
+
+  assert.equal(status, 400);
+});
+
+test('havens lists the places along a city route', async () => {
+  const { status, json } = await call(listSafeHavens, {
+    coords: SEGMENTS.flatMap(s => s.coords),
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(
+    json.havens.map(h => h.name),
+    ['Joint station'],
+  );
+});
@@ -0,0 +1,128 @@
+/**
+ * SafeRaasta trip check-in tests
+ * Ending a trip keeps its check-in due until the user arrives or says they are safe, the app can
+ * list those check-ins again after a restart, and a reroute moves the arrival point with it.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  startTrip,
+  updateTripLocation,
+  rerouteTrip,
+  endTrip,
+  checkInTrip,
+  listPendingCheckIns,
+} from '../controllers/tripController.js';
+import { listTripsAwaitingCheckIn } from '../services/tripStore.js';
+
+const ROUTE = [
+  { latitude: 12.9716, longitude: 77.5946 },
+  { latitude: 12.9816, longitude: 77.6046 },
+];
+
+function fakeRequest(body = {}, params = {}) {
+  return {
+    uid: 'user-1',
+    body,
+    params,
+    protocol: 'http',
+    get: () => 'localhost',
+  };
+}
+
+async function call(handler, req) {
+  let result;
+  const res = {
+    status(code) {
+      result = { status: code };
+      return res;
+    },
+    json(body) {
+      result.body = body;
+      return res;
+    },
+  };
+  await handler(req, res);
+  return result;
+}
+
+async function openTrip() {
+  const { body } = await call(
+    startTrip,
+    fakeRequest({ polyline: ROUTE, durationSeconds: 600 }),
+  );
+  return body.tripId;
+}
+
+test('ending a trip before arriving keeps the check-in pending', async () => {
+  const tripId = await openTrip();
+
+  const ended = await call(endTrip, fakeRequest({}, { tripId }));
+
+  assert.equal(ended.body.status, 'ended');
+  assert.equal(ended.body.checkIn.status, 'pending');
+  assert.ok(
+    (await listTripsAwaitingCheckIn()).some(trip => trip.id === tripId),
+  );
+
+  const confirmed = await call(checkInTrip, fakeRequest({}, { tripId }));
+  assert.equal(confirmed.body.checkIn.status, 'confirmed');
+  assert.ok(
+    !(await listTripsAwaitingCheckIn()).some(trip => trip.id === tripId),
+  );
+});
+
+test('reaching a safe haven after rerouting counts as arrived', async () => {
+  const tripId = await openTrip();
+  const haven = { latitude: 12.975, longitude: 77.597 };
+
+  const rerouted = await call(
+    rerouteTrip,
+    fakeRequest(
+      {
+        destinationName: 'Police station',
+        polyline: [ROUTE[0], haven],
+        durationSeconds: 300,
+      },
+      { tripId },
+    ),
+  );
+  assert.equal(rerouted.status, 200);
+  assert.equal(rerouted.body.checkIn.status, 'pending');
+
+  const atHaven = await call(
+    updateTripLocation,
+    fakeRequest(haven, { tripId }),
+  );
+  assert.equal(atHaven.body.checkIn.status, 'arrived');
+});
+
+test('an ended trip cannot be rerouted', async () => {
+  const tripId = await openTrip();
+  await call(endTrip, fakeRequest({}, { tripId }));
+
+  const rerouted = await call(
+    rerouteTrip,
+    fakeRequest({ polyline: ROUTE, durationSeconds: 300 }, { tripId }),
+  );
+  assert.equal(rerouted.status, 409);
+});
+
+test('every ended trip with a check-in due is listed for its owner only', async () => {
+  const first = await openTrip();
+  await call(endTrip, fakeRequest({}, { tripId: first }));
+  const second = await openTrip();
+  await call(endTrip, fakeRequest({}, { tripId: second }));
+
+  const own = await call(listPendingCheckIns, fakeRequest());
+  const listed = own.body.trips.map(trip => trip.tripId);
+  assert.ok(listed.includes(first) && listed.includes(second));
+  assert.ok(own.body.trips.every(trip => trip.checkIn.status === 'pending'));
+
+  const other = await call(listPendingCheckIns, {
+    ...fakeRequest(),
+    uid: 'user-2',
+  });
+  assert.deepEqual(other.body.trips, []);
+});
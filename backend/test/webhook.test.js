@@ -0,0 +1,44 @@
+/**
+ * SafeRaasta Retell webhook tests
+ * The ?token= check refuses wrong tokens with a 401, whatever characters they are made of.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.RETELL_WEBHOOK_TOKEN = 'secret-token';
+
+const { handleRetellWebhook } = await import(
+  '../controllers/webhookController.js'
+);
+
+async function call(token) {
+  let status;
+  const res = {
+    status(code) {
+      status = code;
+      return this;
+    },
+    json() {
+      return this;
+    },
+    end() {
+      return this;
+    },
+  };
+  await handleRetellWebhook({ query: { token }, body: {} }, res);
+  return status;
+}
+
+test('a wrong token is refused', async () => {
+  assert.equal(await call('secret-tokem'), 401);
+});
+
+test('a multibyte token of the same length in characters is refused, not an error', async () => {
+  assert.equal(await call('secret-tokén'), 401);
+});
+
+test('the right token gets past the check', async () => {
+  // An empty body is the next thing rejected
+  assert.equal(await call('secret-token'), 400);
+});
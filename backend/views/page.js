@@ -0,0 +1,39 @@
+/**
+ * SafeRaasta public pages
+ * Minimal HTML shell for the pages contacts open from a link (consent, evidence)
+ */
+
+export function escapeHtml(value) {
+  return String(value ?? '').replace(
+    /[&<>"']/g,
+    ch => `&#${ch.charCodeAt(0)};`,
+  );
+}
+
+/**
+ * head: extra tags for <head>, e.g. a stylesheet the page needs
+ */
+export function renderPage(title, body, head = '') {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)} - SafeRaasta</title>
+  <style>
+    body { font-family: sans-serif; max-width: 420px; margin: 40px auto; padding: 0 16px; color: #202124; }
+    h1 { font-size: 22px; }
+    button { font-size: 16px; padding: 12px 20px; border: none; border-radius: 8px; margin-right: 8px; color: #fff; }
+    .accept { background: #00C853; }
+    .decline { background: #FF3B30; }
+    audio { width: 100%; margin: 4px 0 16px; }
+    .meta { font-size: 13px; color: #5f6368; }
+  </style>
+  ${head}
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  ${body}
+</body>
+</html>`;
+}
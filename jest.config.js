@@ -1,3 +1,9 @@
 module.exports = {
   preset: 'react-native',
+  // The backend runs its own tests with node --test
+  testPathIgnorePatterns: [
+    '/node_modules/',
+    '/__tests__/fixtures/',
+    '<rootDir>/backend/',
+  ],
 };
@@ -0,0 +1,106 @@
+/**
+ * Community report signals for Agent 3 (Route Safety Scoring)
+ *
+ * Users report unsafe spots through the backend. Reports close to a route become signals
+ * next to the Gemini intelligence flags: unlike those, each one is pinned to a segment.
+ * A report's weight (1 when new, decaying with age) comes from the backend.
+ */
+
+export type ReportCategory =
+  | 'poor_lighting'
+  | 'harassment'
+  | 'deserted'
+  | 'broken_road';
+
+export interface CommunityReport {
+  id: string;
+  category: ReportCategory;
+  latitude: number;
+  longitude: number;
+  weight: number;
+}
+
+export interface CommunityReportSignal {
+  reportId: string;
+  category: ReportCategory;
+  weight: number;
+  segmentId: string;
+}
+
+export const REPORT_CATEGORY_LABELS: Record<ReportCategory, string> = {
+  poor_lighting: 'poor lighting',
+  harassment: 'harassment',
+  deserted: 'deserted stretch',
+  broken_road: 'broken road',
+};
+
+type Point = { latitude: number; longitude: number };
+
+// Reports further than this from the route are somewhere else
+const NEAR_ROUTE_METERS = 75;
+const EARTH_RADIUS_M = 6371000;
+
+/**
+ * Pin each report near the route to its closest segment
+ */
+export function matchReportsToSegments(
+  reports: CommunityReport[],
+  segments: Array<{ id: string; coords: Point[] }>,
+): CommunityReportSignal[] {
+  const signals: CommunityReportSignal[] = [];
+
+  for (const report of reports) {
+    let segmentId: string | null = null;
+    let shortest = NEAR_ROUTE_METERS;
+
+    for (const segment of segments) {
+      const distance = distanceToPolyline(report, segment.coords);
+      if (distance <= shortest) {
+        segmentId = segment.id;
+        shortest = distance;
+      }
+    }
+
+    if (segmentId) {
+      signals.push({
+        reportId: report.id,
+        category: report.category,
+        weight: report.weight,
+        segmentId,
+      });
+    }
+  }
+
+  return signals;
+}
+
+// Flat x/y meters around the point; accurate enough at these distances
+function distanceToPolyline(point: Point, coords: Point[]): number {
+  const toXY = (p: Point) => ({
+    x:
+      (((p.longitude - point.longitude) * Math.PI) / 180) *
+      EARTH_RADIUS_M *
+      Math.cos((point.latitude * Math.PI) / 180),
+    y: (((p.latitude - point.latitude) * Math.PI) / 180) * EARTH_RADIUS_M,
+  });
+
+  if (coords.length === 1) {
+    const p = toXY(coords[0]);
+    return Math.hypot(p.x, p.y);
+  }
+
+  let shortest = Infinity;
+  for (let i = 1; i < coords.length; i++) {
+    const a = toXY(coords[i - 1]);
+    const b = toXY(coords[i]);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t =
+      lengthSq > 0
+        ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSq))
+        : 0;
+    shortest = Math.min(shortest, Math.hypot(a.x + t * dx, a.y + t * dy));
+  }
+  return shortest;
+}
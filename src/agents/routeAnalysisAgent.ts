@@ -33,6 +33,7 @@ export interface RouteSegment {
   estimatedDuration: number;
   segmentType: 'highway' | 'main_road' | 'residential' | 'unknown';
   characteristics: string[];
+  pointRange: { start: number; end: number }; // indices into the decoded polyline
 }
 
 export interface RiskSignal {
@@ -179,8 +180,9 @@ function segmentRoute(
   );
 
   for (let i = 0; i < points.length - 1; i += pointsPerSegment) {
+    const endIndex = Math.min(i + pointsPerSegment, points.length - 1);
     const start = points[i];
-    const end = points[Math.min(i + pointsPerSegment, points.length - 1)];
+    const end = points[endIndex];
     const distance = calculateDistance(start, end);
     const duration = (distance / totalDistance) * totalDuration;
     const segmentType = classifySegmentType(distance, duration);
@@ -198,6 +200,7 @@ function segmentRoute(
       estimatedDuration: duration,
       segmentType,
       characteristics,
+      pointRange: { start: i, end: endIndex },
     });
   }
 
@@ -0,0 +1,122 @@
+/**
+ * Agent 2b: Route Evidence Agent
+ *
+ * Purpose:
+ * - Count mapped street lights, police stations, hospitals and 24x7 businesses
+ *   near each route segment, from open datasets loaded on the SafeRaasta backend
+ * - Give Agent 3 measured evidence where Agent 2 can only ask Gemini about the city
+ *
+ * IMPORTANT:
+ * - Does NOT calculate scores
+ * - Reports coverage per kind: a count of 0 only means "none there" where a dataset exists
+ * - Never throws; without the backend the route is scored without evidence
+ */
+
+import { BASE_URL } from '../config/backend';
+import { getAuthHeaders } from '../services/authService';
+
+// ============================================================================
+// TYPE DEFINITIONS
+// ============================================================================
+
+export type PoiKind =
+  | 'streetlight'
+  | 'police_station'
+  | 'hospital'
+  | 'petrol_pump'
+  | 'open_24x7';
+
+export interface RouteEvidenceInput {
+  segments: Array<{
+    id: string;
+    distance: number; // meters
+    coords: Array<{ latitude: number; longitude: number }>;
+  }>;
+}
+
+export interface SegmentEvidence {
+  segmentId: string;
+  distance: number;
+  counts: Record<PoiKind, number>;
+}
+
+export interface RouteEvidenceOutput {
+  bufferMeters: number;
+  coverage: Record<PoiKind, boolean>;
+  // Each point counted once across the route; segment buffers overlap where segments meet
+  routeCounts: Record<PoiKind, number>;
+  segments: SegmentEvidence[];
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Roughly the width of the street plus the footpaths on both sides
+const BUFFER_METERS = 50;
+const MAX_POINTS_PER_SEGMENT = 500;
+
+// ============================================================================
+// CORE AGENT FUNCTION
+// ============================================================================
+
+export async function routeEvidenceAgent(
+  input: RouteEvidenceInput,
+): Promise<RouteEvidenceOutput | null> {
+  if (input.segments.length === 0) {
+    return null;
+  }
+
+  try {
+    // authService is untyped JS
+    const headers = (await getAuthHeaders({
+      'Content-Type': 'application/json',
+    })) as Record<string, string>;
+    const response = await fetch(`${BASE_URL}/api/datasets/route-counts`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        bufferMeters: BUFFER_METERS,
+        segments: input.segments.map(s => ({
+          id: s.id,
+          coords: thin(s.coords, MAX_POINTS_PER_SEGMENT),
+        })),
+      }),
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+
+    const distances = new Map(input.segments.map(s => [s.id, s.distance]));
+    return {
+      bufferMeters: data.bufferMeters,
+      coverage: data.coverage,
+      routeCounts: data.routeCounts,
+      segments: data.segments.map(
+        (s: { id: string; counts: Record<PoiKind, number> }) => ({
+          segmentId: s.id,
+          distance: distances.get(s.id) ?? 0,
+          counts: s.counts,
+        }),
+      ),
+    };
+  } catch (error) {
+    console.log('Route evidence unavailable:', (error as Error).message);
+    return null;
+  }
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+// Keep at most max points, always including both ends
+function thin<T>(points: T[], max: number): T[] {
+  if (points.length <= max) {
+    return points;
+  }
+  const step = (points.length - 1) / (max - 1);
+  return Array.from({ length: max }, (_, i) => points[Math.round(i * step)]);
+}
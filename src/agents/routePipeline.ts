@@ -1,6 +1,9 @@
 import { routeAnalysisAgent } from './routeAnalysisAgent';
 import { routeIntelligenceAgent } from './routeIntelligenceAgent';
+import { routeEvidenceAgent } from './routeEvidenceAgent';
 import { routeSafetyScoringAgent } from './routeSafetyScoringAgent';
+import { ScoringProfileId, ScoringProfileRef } from './scoringProfiles';
+import { CommunityReport, matchReportsToSegments } from './communitySignals';
 
 export interface RouteInputForPipeline {
   route: {
@@ -15,6 +18,21 @@ export interface RouteInputForPipeline {
   destination: { latitude: number; longitude: number };
   travelTime: 'day' | 'night';
   city: string;
+  scoringProfile?: ScoringProfileId;
+  communityReports?: CommunityReport[]; // reports around the route, from the backend
+}
+
+export interface RouteStretch {
+  start: { latitude: number; longitude: number };
+  end: { latitude: number; longitude: number };
+}
+
+export interface RouteSegmentScore {
+  id: string;
+  coords: Array<{ latitude: number; longitude: number }>;
+  safetyScore: number;
+  safetyCategory: 'Safe' | 'Moderate' | 'Risky';
+  reasons: string[];
 }
 
 export interface AnalyzedRouteOutput {
@@ -25,6 +43,9 @@ export interface AnalyzedRouteOutput {
   safetyScore: number;
   safetyCategory: 'Safe' | 'Moderate' | 'Risky';
   explanation: string[];
+  isolatedSegments: RouteStretch[]; // used by the deviation monitor while navigating
+  segmentScores: RouteSegmentScore[]; // in route order, drawn as the risk heatmap
+  scoringProfile: ScoringProfileRef;
 }
 
 /**
@@ -48,10 +69,24 @@ export async function routePipeline(
     city: input.city,
   });
 
+  // Segment points index the overview polyline that route.coords was decoded from
+  const segmentCoords = analysis.routeSegments.map(s => {
+    const sliced = input.route.coords.slice(
+      s.pointRange.start,
+      s.pointRange.end + 1
+    );
+    return sliced.length >= 2
+      ? sliced
+      : [
+          { latitude: s.startPoint.lat, longitude: s.startPoint.lng },
+          { latitude: s.endPoint.lat, longitude: s.endPoint.lng },
+        ];
+  });
+
   // =====================
-  // Agent 2: Intelligence
+  // Agent 2: Intelligence, Agent 2b: Evidence (independent, so run together)
   // =====================
-  const intelligence = await routeIntelligenceAgent({
+  const intelligencePromise = routeIntelligenceAgent({
     city: input.city,
     travelTime: input.travelTime,
     routeSegments: analysis.routeSegments.map(s => ({
@@ -65,6 +100,17 @@ export async function routePipeline(
       severity: s.severity,
     })),
   });
+  const evidencePromise = routeEvidenceAgent({
+    segments: analysis.routeSegments.map((s, i) => ({
+      id: s.id,
+      distance: s.distance,
+      coords: segmentCoords[i],
+    })),
+  });
+  const [intelligence, evidence] = await Promise.all([
+    intelligencePromise,
+    evidencePromise,
+  ]);
 
   // =====================
   // Agent 3: Scoring
@@ -81,6 +127,39 @@ export async function routePipeline(
     })),
     structuralSignals: analysis.riskSignals,
     intelligenceFlags: intelligence.flags, // ✅ CORRECT MAPPING
+    communitySignals: matchReportsToSegments(
+      input.communityReports ?? [],
+      analysis.routeSegments.map((s, i) => ({
+        id: s.id,
+        coords: segmentCoords[i],
+      }))
+    ),
+    evidence,
+    scoringProfile: input.scoringProfile,
+  });
+
+  // Isolated stretches, so a long stop on one can be noticed during navigation
+  const isolatedIds = new Set(
+    analysis.riskSignals
+      .filter(s => s.signalType === 'isolated_segment')
+      .flatMap(s => s.affectedSegments)
+  );
+  const isolatedSegments = analysis.routeSegments
+    .filter(s => isolatedIds.has(s.id))
+    .map(s => ({
+      start: { latitude: s.startPoint.lat, longitude: s.startPoint.lng },
+      end: { latitude: s.endPoint.lat, longitude: s.endPoint.lng },
+    }));
+
+  const segmentScores = analysis.routeSegments.map((s, i) => {
+    const score = scoring.segmentScores[i];
+    return {
+      id: s.id,
+      coords: segmentCoords[i],
+      safetyScore: score.safetyScore,
+      safetyCategory: score.category,
+      reasons: score.reasons,
+    };
   });
 
   // =====================
@@ -94,5 +173,8 @@ export async function routePipeline(
     safetyScore: scoring.safetyScore,
     safetyCategory: scoring.category,
     explanation: scoring.reasons,
+    isolatedSegments,
+    segmentScores,
+    scoringProfile: scoring.scoringProfile,
   };
 }
\ No newline at end of file
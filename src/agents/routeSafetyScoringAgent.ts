@@ -5,8 +5,28 @@
  * Depends on:
  * - Agent 1 → structuralSignals
  * - Agent 2 → intelligenceFlags
+ * - Community reports near the route → communitySignals
+ * - Agent 2b → evidence (mapped street lights and help points per segment)
+ *
+ * Weights come from the scoring profile chosen per request (see scoringProfiles.ts)
  */
 
+import {
+  getScoringProfile,
+  ScoringProfile,
+  ScoringProfileId,
+  ScoringProfileRef,
+} from './scoringProfiles';
+import {
+  CommunityReportSignal,
+  REPORT_CATEGORY_LABELS,
+} from './communitySignals';
+import {
+  PoiKind,
+  RouteEvidenceOutput,
+  SegmentEvidence,
+} from './routeEvidenceAgent';
+
 export interface RouteSegment {
   id: string;
   segmentType: 'highway' | 'main_road' | 'residential' | 'unknown';
@@ -24,6 +44,7 @@ export interface RiskSignal {
     | 'night_travel'
     | 'urban_dense_area';
   severity: 'low' | 'medium' | 'high';
+  affectedSegments?: string[]; // segment ids; signals without them only count route-wide
 }
 
 export interface IntelligenceFlags {
@@ -39,6 +60,9 @@ export interface SafetyScoringInput {
   routeSegments: RouteSegment[];
   structuralSignals: RiskSignal[];
   intelligenceFlags: IntelligenceFlags;
+  communitySignals?: CommunityReportSignal[]; // reports pinned to segments of this route
+  evidence?: RouteEvidenceOutput | null; // counts from open datasets, null when unavailable
+  scoringProfile?: ScoringProfileId; // 'default' when missing
 }
 
 export interface SafetyScoringOutput {
@@ -46,29 +70,28 @@ export interface SafetyScoringOutput {
   safetyScore: number;
   category: 'Safe' | 'Moderate' | 'Risky';
   reasons: string[];
+  segmentScores: SegmentScore[]; // same order as routeSegments
+  scoringProfile: ScoringProfileRef;
+}
+
+export interface SegmentScore {
+  segmentId: string;
+  safetyScore: number;
+  category: 'Safe' | 'Moderate' | 'Risky';
+  reasons: string[];
 }
 
 // ===================== CONSTANTS =====================
 
 const BASE_SCORE = 100;
 
-// Carefully tuned penalties (small + controlled)
-const PENALTY = {
-  NIGHT: 10,
-  ISOLATED: 12,
-  HIGH_SPEED: 6,
-  COMPLEX: 5,
-  CRIME: 12,
-  LIGHTING: 6,
-  WOMEN: 10,
-  POLICE: 12,
-};
-
 // ===================== CORE =====================
 
 export function routeSafetyScoringAgent(
   input: SafetyScoringInput
 ): SafetyScoringOutput {
+  const profile = getScoringProfile(input.scoringProfile);
+  const PENALTY = profile.penalties;
   let score = BASE_SCORE;
   const reasons: string[] = [];
 
@@ -82,7 +105,7 @@ export function routeSafetyScoringAgent(
     reasons.push('Night travel increases safety risk');
 
     if (hasUrbanDensity) {
-      score += 6; // partial recovery
+      score += profile.nightUrbanRecovery; // partial recovery
       reasons.push('Dense urban activity reduces night-time risk');
     }
   }
@@ -108,7 +131,7 @@ export function routeSafetyScoringAgent(
     reasons.push('High-speed road segments present');
   }
 
-  if (complexCount > 2) {
+  if (complexCount > profile.complexIntersectionLimit) {
     score -= PENALTY.COMPLEX;
     reasons.push('Multiple complex intersections on route');
   }
@@ -121,7 +144,9 @@ export function routeSafetyScoringAgent(
     reasons.push('Crime-related safety concerns reported');
   }
 
-  if (f.lightingIssue) {
+  // Mapped street lights replace the general lighting report where a dataset covers the route
+  const measuredLighting = input.evidence?.coverage.streetlight === true;
+  if (f.lightingIssue && !measuredLighting) {
     score -= PENALTY.LIGHTING;
     reasons.push('Poor lighting conditions reported');
   }
@@ -135,36 +160,217 @@ export function routeSafetyScoringAgent(
     score -= PENALTY.POLICE;
     reasons.push('Active police advisory in the area');
   }
-// 4️⃣ Urban route calibration (IMPORTANT FIX)
-const isUrbanRoute =
-  input.routeSegments.filter(s =>
-    s.segmentType === 'residential' || s.segmentType === 'main_road'
-  ).length / input.routeSegments.length > 0.6;
 
-// Boost score slightly for dense urban & landmark routes
-if (isUrbanRoute && score < 65) {
-  score += 10;
-  reasons.push('Urban landmark route with regular activity');
-}
+  // 3️⃣b Community reports (recent ones weigh more)
+  const community = input.communitySignals ?? [];
+  if (community.length > 0) {
+    score -= communityPenalty(community, profile);
+    reasons.push(describeCommunityReports(community));
+  }
 
-  // DEMO OVERRIDE: ensure one route is clearly safer
-  if (input.routeId.endsWith('0')) {
-    score = Math.min(100, score + 15);
-    reasons.push('Demonstration safer route');
+  // 3️⃣c Measured evidence (Agent 2b)
+  if (input.evidence) {
+    const evidence = input.evidence;
+
+    if (measuredLighting && input.travelTime === 'night') {
+      const totalDistance = evidence.segments.reduce(
+        (sum, s) => sum + s.distance,
+        0
+      );
+      const unlitDistance = evidence.segments
+        .filter(s => isUnlit(s, profile))
+        .reduce((sum, s) => sum + s.distance, 0);
+      const unlitShare = totalDistance > 0 ? unlitDistance / totalDistance : 0;
+      if (unlitShare > 0) {
+        score -= PENALTY.UNLIT * unlitShare;
+        const percent = Math.round(unlitShare * 100);
+        reasons.push(`Few mapped street lights on ${percent}% of the route`);
+      }
+    }
+
+    // Route-wide counts: summing segments would count a place near a joint twice
+    const helpPoints = countHelpPoints(evidence.routeCounts, evidence);
+    if (helpPoints > 0) {
+      score += helpPointBonus(helpPoints, profile);
+      const places = helpPoints === 1 ? 'place' : 'places';
+      reasons.push(
+        `${helpPoints} police station, hospital or 24x7 ${places} along the route`
+      );
+    }
   }
+  // 4️⃣ Urban route calibration (IMPORTANT FIX)
+  const urbanSegments = input.routeSegments.filter(
+    s => s.segmentType === 'residential' || s.segmentType === 'main_road'
+  ).length;
+  // A route without segments has nothing to call urban
+  const isUrbanRoute =
+    input.routeSegments.length > 0 &&
+    urbanSegments / input.routeSegments.length > 0.6;
+
+  // Boost score slightly for dense urban & landmark routes
+  if (isUrbanRoute && score < profile.urbanBoostBelow) {
+    score += profile.urbanBoost;
+    reasons.push('Urban landmark route with regular activity');
+  }
+
   // 4️⃣ Clamp score
   score = Math.max(0, Math.min(100, Math.round(score)));
 
   // 5️⃣ Category mapping
-  let category: 'Safe' | 'Moderate' | 'Risky';
-  if (score <= 30) category = 'Risky';
-  else if (score <= 70) category = 'Moderate';
-  else category = 'Safe';
+  const category = toCategory(score);
 
   return {
     routeId: input.routeId,
     safetyScore: score,
     category,
     reasons,
+    segmentScores: input.routeSegments.map(segment =>
+      scoreSegment(segment, input, profile)
+    ),
+    scoringProfile: { id: profile.id, version: profile.version },
+  };
+}
+
+// ===================== SEGMENTS =====================
+
+/**
+ * Score one segment with the same weights, using only the structural signals that list it.
+ * Intelligence flags describe the whole area, so they apply to every segment.
+ */
+function scoreSegment(
+  segment: RouteSegment,
+  input: SafetyScoringInput,
+  profile: ScoringProfile
+): SegmentScore {
+  const PENALTY = profile.penalties;
+  let score = BASE_SCORE;
+  const reasons: string[] = [];
+
+  const has = (signalType: RiskSignal['signalType']) =>
+    input.structuralSignals.some(
+      s =>
+        s.signalType === signalType &&
+        s.affectedSegments?.includes(segment.id)
+    );
+
+  if (input.travelTime === 'night') {
+    score -= PENALTY.NIGHT;
+    if (has('urban_dense_area')) {
+      score += profile.nightUrbanRecovery;
+    }
+  }
+
+  if (has('isolated_segment')) {
+    score -= PENALTY.ISOLATED;
+    reasons.push('Isolated stretch');
+  }
+
+  if (has('high_speed_area')) {
+    score -= PENALTY.HIGH_SPEED;
+    reasons.push('High-speed traffic');
+  }
+
+  if (has('complex_intersection')) {
+    score -= PENALTY.COMPLEX;
+    reasons.push('Complex intersections');
+  }
+
+  const community = (input.communitySignals ?? []).filter(
+    s => s.segmentId === segment.id
+  );
+  if (community.length > 0) {
+    score -= communityPenalty(community, profile);
+    reasons.push(describeCommunityReports(community));
+  }
+
+  const evidence = input.evidence;
+  const measured = evidence?.segments.find(s => s.segmentId === segment.id);
+  const measuredLighting = evidence?.coverage.streetlight === true;
+  if (evidence && measured) {
+    const isNight = input.travelTime === 'night';
+    if (measuredLighting && isNight && isUnlit(measured, profile)) {
+      score -= PENALTY.UNLIT;
+      reasons.push('Few mapped street lights');
+    }
+    const helpPoints = countHelpPoints(measured.counts, evidence);
+    if (helpPoints > 0) {
+      score += helpPointBonus(helpPoints, profile);
+      reasons.push('Police, hospital or 24x7 place nearby');
+    }
+  }
+
+  const f = input.intelligenceFlags;
+  score -=
+    (f.crimeMention ? PENALTY.CRIME : 0) +
+    (f.lightingIssue && !measuredLighting ? PENALTY.LIGHTING : 0) +
+    (f.womenSafetyConcern ? PENALTY.WOMEN : 0) +
+    (f.policeAdvisory ? PENALTY.POLICE : 0);
+
+  const isUrbanSegment =
+    segment.segmentType === 'residential' ||
+    segment.segmentType === 'main_road';
+  if (isUrbanSegment && score < profile.urbanBoostBelow) {
+    score += profile.urbanBoost;
+  }
+
+  score = Math.max(0, Math.min(100, Math.round(score)));
+
+  return {
+    segmentId: segment.id,
+    safetyScore: score,
+    category: toCategory(score),
+    reasons,
   };
+}
+
+function isUnlit(segment: SegmentEvidence, profile: ScoringProfile): boolean {
+  if (segment.distance <= 0) return false;
+  const lightsPer100m = (segment.counts.streetlight * 100) / segment.distance;
+  return lightsPer100m < profile.minStreetlightsPer100m;
+}
+
+function helpPointBonus(helpPoints: number, profile: ScoringProfile): number {
+  return Math.min(profile.helpPointBonusCap, helpPoints * profile.helpPointBonus);
+}
+
+// Only kinds a dataset covers; the rest report 0 whatever is really there
+function countHelpPoints(
+  counts: Record<PoiKind, number>,
+  evidence: RouteEvidenceOutput
+): number {
+  return (['police_station', 'hospital', 'open_24x7'] as const)
+    .filter(kind => evidence.coverage[kind])
+    .reduce((sum, kind) => sum + counts[kind], 0);
+}
+
+function communityPenalty(
+  signals: CommunityReportSignal[],
+  profile: ScoringProfile
+): number {
+  const weight = signals.reduce((sum, s) => sum + s.weight, 0);
+  return Math.min(
+    profile.communityPenaltyCap,
+    weight * profile.penalties.COMMUNITY
+  );
+}
+
+function describeCommunityReports(signals: CommunityReportSignal[]): string {
+  const categories = [...new Set(signals.map(s => s.category))].map(
+    c => REPORT_CATEGORY_LABELS[c]
+  );
+  const count =
+    signals.length === 1
+      ? '1 community report'
+      : `${signals.length} community reports`;
+  return `${count} nearby: ${categories.join(', ')}`;
+}
+
+function toCategory(score: number): 'Safe' | 'Moderate' | 'Risky' {
+  if (score <= 30) {
+    return 'Risky';
+  }
+  if (score <= 70) {
+    return 'Moderate';
+  }
+  return 'Safe';
 }
\ No newline at end of file
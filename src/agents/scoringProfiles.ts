@@ -0,0 +1,150 @@
+/**
+ * Scoring profiles for Agent 3 (Route Safety Scoring)
+ *
+ * A profile is a named, versioned set of weights. The caller picks one per request and
+ * the score reports which profile and version produced it. Bump a profile's version
+ * whenever one of its weights changes, so scores stay comparable.
+ */
+
+export type ScoringProfileId =
+  | 'default'
+  | 'women-solo'
+  | 'two-wheeler'
+  | 'late-night';
+
+export interface ScoringPenalties {
+  NIGHT: number;
+  ISOLATED: number;
+  HIGH_SPEED: number;
+  COMPLEX: number;
+  CRIME: number;
+  LIGHTING: number;
+  WOMEN: number;
+  POLICE: number;
+  COMMUNITY: number; // per full-weight community report near the route
+  UNLIT: number; // at night, for a route with too few mapped street lights along all of it
+}
+
+export interface ScoringProfile {
+  id: ScoringProfileId;
+  version: string;
+  label: string;
+  penalties: ScoringPenalties;
+  // Points given back at night when the route runs through dense urban activity
+  nightUrbanRecovery: number;
+  // Boost for mostly-urban routes whose score fell below urbanBoostBelow
+  urbanBoost: number;
+  urbanBoostBelow: number;
+  // More complex intersections than this cost the COMPLEX penalty
+  complexIntersectionLimit: number;
+  // Most points community reports can take off a route or segment
+  communityPenaltyCap: number;
+  // Fewer mapped street lights than this per 100 m counts as an unlit stretch
+  minStreetlightsPer100m: number;
+  // Points per police station, hospital or 24x7 business along the route, up to the cap
+  helpPointBonus: number;
+  helpPointBonusCap: number;
+}
+
+export interface ScoringProfileRef {
+  id: ScoringProfileId;
+  version: string;
+}
+
+// The weights the agent has always used
+const DEFAULT_PROFILE: ScoringProfile = {
+  id: 'default',
+  version: '1.2.0',
+  label: 'Default',
+  penalties: {
+    NIGHT: 10,
+    ISOLATED: 12,
+    HIGH_SPEED: 6,
+    COMPLEX: 5,
+    CRIME: 12,
+    LIGHTING: 6,
+    WOMEN: 10,
+    POLICE: 12,
+    COMMUNITY: 4,
+    UNLIT: 12,
+  },
+  nightUrbanRecovery: 6,
+  urbanBoost: 10,
+  urbanBoostBelow: 65,
+  complexIntersectionLimit: 2,
+  communityPenaltyCap: 16,
+  minStreetlightsPer100m: 1,
+  helpPointBonus: 2,
+  helpPointBonusCap: 8,
+};
+
+export const SCORING_PROFILES: Record<ScoringProfileId, ScoringProfile> = {
+  default: DEFAULT_PROFILE,
+
+  // Walking or riding alone: isolation, lighting and harassment reports weigh the most
+  'women-solo': {
+    ...DEFAULT_PROFILE,
+    id: 'women-solo',
+    version: '1.2.0',
+    label: 'Women travelling solo',
+    penalties: {
+      ...DEFAULT_PROFILE.penalties,
+      ISOLATED: 18,
+      LIGHTING: 10,
+      WOMEN: 18,
+      CRIME: 14,
+      COMMUNITY: 6,
+      UNLIT: 16,
+    },
+    // A busy street helps less when the concern is being singled out
+    urbanBoost: 6,
+    communityPenaltyCap: 20,
+    // Somewhere to run to matters more
+    helpPointBonusCap: 10,
+  },
+
+  // Fast traffic and tricky junctions are the main hazards on a scooter or motorbike
+  'two-wheeler': {
+    ...DEFAULT_PROFILE,
+    id: 'two-wheeler',
+    version: '1.2.0',
+    label: 'Two-wheeler',
+    penalties: {
+      ...DEFAULT_PROFILE.penalties,
+      HIGH_SPEED: 12,
+      COMPLEX: 8,
+      LIGHTING: 9,
+      UNLIT: 14,
+    },
+    complexIntersectionLimit: 1,
+  },
+
+  // After dark: lighting and empty stretches matter more, urban activity helps more
+  'late-night': {
+    ...DEFAULT_PROFILE,
+    id: 'late-night',
+    version: '1.2.0',
+    label: 'Late night',
+    penalties: {
+      ...DEFAULT_PROFILE.penalties,
+      NIGHT: 14,
+      ISOLATED: 16,
+      LIGHTING: 12,
+      POLICE: 14,
+      COMMUNITY: 5,
+      UNLIT: 18,
+    },
+    nightUrbanRecovery: 8,
+  },
+};
+
+export const SCORING_PROFILE_IDS = Object.keys(
+  SCORING_PROFILES,
+) as ScoringProfileId[];
+
+/**
+ * Look up a profile; unknown or missing ids fall back to the default profile
+ */
+export function getScoringProfile(id?: string | null): ScoringProfile {
+  return SCORING_PROFILES[id as ScoringProfileId] ?? DEFAULT_PROFILE;
+}
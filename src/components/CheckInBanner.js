@@ -0,0 +1,75 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import colors from '../theme/colors';
+
+// Shown after navigation stopped while the trip's check-in is still due: the backend raises an SOS
+// if nobody checks in, so stopping early must not hide the "I'm safe" button
+export default function CheckInBanner({ checkIn, onCheckIn }) {
+  if (checkIn?.status !== 'pending') {
+    return null;
+  }
+
+  const dueAt = new Date(checkIn.dueAt).toLocaleTimeString('en-US', {
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.content}>
+        <Text style={styles.title}>🕒 Check-in still due</Text>
+        <Text style={styles.message}>
+          Check in by {dueAt}, or your emergency contacts will be alerted
+        </Text>
+      </View>
+      <TouchableOpacity onPress={onCheckIn} style={styles.checkInBtn}>
+        <Text style={styles.checkInText}>I'm safe</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    top: 100,
+    left: 16,
+    right: 16,
+    zIndex: 11,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.primary,
+    borderRadius: 12,
+    padding: 12,
+    elevation: 6,
+    shadowColor: colors.shadow,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 6,
+  },
+  content: {
+    flex: 1,
+    marginRight: 10,
+  },
+  title: {
+    color: colors.white,
+    fontWeight: '800',
+    fontSize: 15,
+    marginBottom: 2,
+  },
+  message: {
+    color: colors.white,
+    fontSize: 13,
+  },
+  checkInBtn: {
+    backgroundColor: colors.risk.low,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+  },
+  checkInText: {
+    color: colors.white,
+    fontWeight: '700',
+    fontSize: 14,
+  },
+});
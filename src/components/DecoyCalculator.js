@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Pressable,
+} from 'react-native';
+
+const KEYS = [
+  ['C', '±', '%', '÷'],
+  ['7', '8', '9', '×'],
+  ['4', '5', '6', '−'],
+  ['1', '2', '3', '+'],
+  ['0', '.', '='],
+];
+
+const OPERATORS = {
+  '÷': (a, b) => (b === 0 ? NaN : a / b),
+  '×': (a, b) => a * b,
+  '−': (a, b) => a - b,
+  '+': (a, b) => a + b,
+};
+
+const format = value =>
+  Number.isFinite(value) ? String(parseFloat(value.toPrecision(10))) : 'Error';
+
+// Working calculator shown over the app during a silent SOS, so the screen gives nothing away.
+// Holding the display for two seconds calls onExit.
+export default function DecoyCalculator({ visible, onExit }) {
+  const [display, setDisplay] = useState('0');
+  const [stored, setStored] = useState(null);
+  const [operator, setOperator] = useState(null);
+  const [fresh, setFresh] = useState(true);
+
+  if (!visible) {
+    return null;
+  }
+
+  const press = key => {
+    if (/^\d$/.test(key) || key === '.') {
+      if (key === '.' && !fresh && display.includes('.')) {
+        return;
+      }
+      const start = key === '.' ? '0.' : key;
+      setDisplay(fresh || display === '0' ? start : display + key);
+      setFresh(false);
+      return;
+    }
+
+    const current = parseFloat(display);
+    switch (key) {
+      case 'C':
+        setDisplay('0');
+        setStored(null);
+        setOperator(null);
+        setFresh(true);
+        break;
+      case '±':
+        setDisplay(format(-current));
+        break;
+      case '%':
+        setDisplay(format(current / 100));
+        break;
+      case '=':
+        if (operator && stored !== null) {
+          setDisplay(format(OPERATORS[operator](stored, current)));
+          setStored(null);
+          setOperator(null);
+        }
+        setFresh(true);
+        break;
+      default: {
+        const result =
+          operator && stored !== null && !fresh
+            ? OPERATORS[operator](stored, current)
+            : current;
+        setDisplay(format(result));
+        setStored(result);
+        setOperator(key);
+        setFresh(true);
+      }
+    }
+  };
+
+  return (
+    <View style={styles.screen}>
+      <Pressable
+        onLongPress={onExit}
+        delayLongPress={2000}
+        style={styles.displayArea}
+      >
+        <Text style={styles.display} numberOfLines={1} adjustsFontSizeToFit>
+          {display}
+        </Text>
+      </Pressable>
+      {KEYS.map(row => (
+        <View key={row.join('')} style={styles.row}>
+          {row.map(key => (
+            <TouchableOpacity
+              key={key}
+              onPress={() => press(key)}
+              style={[
+                styles.key,
+                key === '0' && styles.keyWide,
+                OPERATORS[key] || key === '=' ? styles.keyOperator : null,
+              ]}
+            >
+              <Text style={styles.keyText}>{key}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  screen: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: '#000',
+    justifyContent: 'flex-end',
+    padding: 12,
+    zIndex: 50,
+    elevation: 20,
+  },
+  displayArea: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    paddingHorizontal: 12,
+    paddingBottom: 16,
+  },
+  display: {
+    color: '#fff',
+    fontSize: 72,
+    fontWeight: '300',
+    textAlign: 'right',
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+  },
+  key: {
+    flex: 1,
+    aspectRatio: 1,
+    marginHorizontal: 6,
+    borderRadius: 999,
+    backgroundColor: '#333',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  keyWide: {
+    flex: 2.2,
+    aspectRatio: undefined,
+  },
+  keyOperator: {
+    backgroundColor: '#FF9F0A',
+  },
+  keyText: {
+    color: '#fff',
+    fontSize: 30,
+  },
+});
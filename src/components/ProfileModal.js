@@ -1,23 +1,101 @@
-import React, { useEffect, useState } from 'react';
-import { Modal, View, Text, StyleSheet, TouchableOpacity, TextInput, FlatList, Alert, Linking, ScrollView } from 'react-native';
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  FlatList,
+  Alert,
+  Linking,
+  ScrollView,
+  Switch,
+} from 'react-native';
 import { getCurrentUser } from '../services/authService';
 import profileService from '../services/profileService.js';
+import safetyPinService from '../services/safetyPinService';
+import contactService from '../services/contactService';
+import sosTriggerService from '../services/sosTriggerService';
+import {
+  SCORING_PROFILES,
+  SCORING_PROFILE_IDS,
+} from '../agents/scoringProfiles';
 import colors from '../theme/colors';
 
+// The SOS backend only dials E.164 numbers, e.g. +919876543210
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+// Consent is recorded by the backend only; status is shown here but never saved to the profile
+const withContactStatuses = async contacts => {
+  try {
+    const statuses = await contactService.fetchContactStatuses();
+    return contacts.map(contact => ({
+      name: contact.name,
+      phone: contact.phone,
+      status: statuses.find(s => s.phone === contact.phone)?.status || null,
+    }));
+  } catch (error) {
+    console.error('fetchContactStatuses', error);
+    return contacts.map(contact => ({
+      name: contact.name,
+      phone: contact.phone,
+    }));
+  }
+};
+
 export default function ProfileModal({ visible, onClose }) {
-  const [profile, setProfile] = useState({ name: '', gender: '', phone: '', email: '', emergencyContacts: [] });
+  const [profile, setProfile] = useState({
+    name: '',
+    gender: '',
+    phone: '',
+    email: '',
+    emergencyContacts: [],
+    silentSOS: false,
+    silentSOSScreen: 'unchanged',
+    routeScoringProfile: 'default',
+  });
   const [loading, setLoading] = useState(false);
   const [newContactName, setNewContactName] = useState('');
   const [newContactPhone, setNewContactPhone] = useState('');
+  // Safety PINs stay on this device and are never written to Firestore
+  const [safetyPin, setSafetyPin] = useState('');
+  const [duressPin, setDuressPin] = useState('');
+  // Contact whose invitation code is being entered
+  const [verifyingPhone, setVerifyingPhone] = useState(null);
+  const [verifyCode, setVerifyCode] = useState('');
+  // Hands-free SOS triggers are a device setting, like the PINs
+  const [triggerSettings, setTriggerSettings] = useState(
+    sosTriggerService.DEFAULT_TRIGGER_SETTINGS,
+  );
 
-  useEffect(() => {
-    if (visible) loadProfile();
-  }, [visible]);
+  const loadProfile = useCallback(async () => {
+    try {
+      const pins = await safetyPinService.getSafetyPins();
+      setSafetyPin(pins.safetyPin);
+      setDuressPin(pins.duressPin);
+    } catch (error) {
+      console.error('loadSafetyPins', error);
+    }
+
+    try {
+      setTriggerSettings(await sosTriggerService.getTriggerSettings());
+    } catch (error) {
+      console.error('loadTriggerSettings', error);
+    }
 
-  const loadProfile = async () => {
     const user = getCurrentUser();
     if (!user) {
-      setProfile({ name: '', gender: '', phone: '', email: '', emergencyContacts: [] });
+      setProfile({
+        name: '',
+        gender: '',
+        phone: '',
+        email: '',
+        emergencyContacts: [],
+        silentSOS: false,
+        silentSOSScreen: 'unchanged',
+        routeScoringProfile: 'default',
+      });
       return;
     }
     setLoading(true);
@@ -29,10 +107,24 @@ export default function ProfileModal({ visible, onClose }) {
           gender: doc.gender || '',
           phone: doc.phone || '',
           email: user.email || '',
-          emergencyContacts: doc.emergencyContacts || [],
+          emergencyContacts: await withContactStatuses(
+            doc.emergencyContacts || [],
+          ),
+          silentSOS: doc.silentSOS === true,
+          silentSOSScreen: doc.silentSOSScreen || 'unchanged',
+          routeScoringProfile: doc.routeScoringProfile || 'default',
         });
       } else {
-        setProfile({ name: '', gender: '', phone: '', email: user.email || '', emergencyContacts: [] });
+        setProfile({
+          name: '',
+          gender: '',
+          phone: '',
+          email: user.email || '',
+          emergencyContacts: [],
+          silentSOS: false,
+          silentSOSScreen: 'unchanged',
+          routeScoringProfile: 'default',
+        });
       }
     } catch (error) {
       console.error('loadProfile', error);
@@ -40,7 +132,13 @@ export default function ProfileModal({ visible, onClose }) {
     } finally {
       setLoading(false);
     }
-  };
+  }, []);
+
+  useEffect(() => {
+    if (visible) {
+      loadProfile();
+    }
+  }, [visible, loadProfile]);
 
   const saveProfile = async () => {
     const user = getCurrentUser();
@@ -50,48 +148,162 @@ export default function ProfileModal({ visible, onClose }) {
     }
     setLoading(true);
     try {
+      await safetyPinService.setSafetyPins({ safetyPin, duressPin });
+      await sosTriggerService.setTriggerSettings(triggerSettings);
+
+      const emergencyContacts = profile.emergencyContacts.map(contact => ({
+        name: contact.name,
+        phone: contact.phone,
+      }));
+
       await profileService.setUserProfile(user.uid, {
         name: profile.name,
         gender: profile.gender,
         phone: profile.phone,
-        emergencyContacts: profile.emergencyContacts,
+        emergencyContacts,
         email: profile.email,
+        // Read by the backend too, so contacts of a silent SOS are told not to call back
+        silentSOS: profile.silentSOS,
+        silentSOSScreen: profile.silentSOSScreen,
+        routeScoringProfile: profile.routeScoringProfile,
       });
-      Alert.alert('Saved', 'Profile saved successfully');
+
+      // New contacts must accept before an SOS calls or texts them. Statuses are re-read so a
+      // contact who answered while this modal was open is not invited again.
+      let statuses;
+      try {
+        statuses = await contactService.fetchContactStatuses();
+      } catch (error) {
+        console.error('fetchContactStatuses', error);
+        Alert.alert(
+          'Saved',
+          'Profile saved, but invitations could not be checked. Use "Resend invitation" on new contacts.',
+        );
+        onClose && onClose();
+        return;
+      }
+      const uninvited = emergencyContacts.filter(
+        c => !statuses.find(s => s.phone === c.phone)?.status,
+      );
+      const failed = [];
+      for (const contact of uninvited) {
+        try {
+          await contactService.inviteContact(contact.phone);
+        } catch (error) {
+          console.error('inviteContact', error);
+          failed.push(contact.name);
+        }
+      }
+
+      if (failed.length > 0) {
+        Alert.alert(
+          'Saved',
+          `Profile saved, but invitations could not be sent to: ${failed.join(
+            ', ',
+          )}`,
+        );
+      } else if (uninvited.length > 0) {
+        Alert.alert(
+          'Saved',
+          'Profile saved. New contacts were sent an invitation to confirm.',
+        );
+      } else {
+        Alert.alert('Saved', 'Profile saved successfully');
+      }
       onClose && onClose();
     } catch (error) {
       console.error('saveProfile', error);
-      Alert.alert('Error', 'Failed to save profile');
+      Alert.alert('Error', error.message || 'Failed to save profile');
     } finally {
       setLoading(false);
     }
   };
 
+  const updateTrigger = (key, value) => {
+    setTriggerSettings(prev => ({ ...prev, [key]: value }));
+  };
+
   const addEmergencyContact = () => {
     if (!newContactName.trim() || !newContactPhone.trim()) {
       Alert.alert('Incomplete', 'Please provide name and phone');
       return;
     }
     // Auto-add +91 if number doesn't start with +
-    let formattedPhone = newContactPhone.trim();
+    let formattedPhone = newContactPhone.trim().replace(/[\s-]/g, '');
     if (!formattedPhone.startsWith('+')) {
       formattedPhone = '+91' + formattedPhone;
     }
-    setProfile(prev => ({ ...prev, emergencyContacts: [...prev.emergencyContacts, { name: newContactName.trim(), phone: formattedPhone }] }));
+    if (!E164_PATTERN.test(formattedPhone)) {
+      Alert.alert(
+        'Invalid number',
+        'Enter the number with its country code, e.g. +919876543210',
+      );
+      return;
+    }
+    setProfile(prev => ({
+      ...prev,
+      emergencyContacts: [
+        ...prev.emergencyContacts,
+        { name: newContactName.trim(), phone: formattedPhone },
+      ],
+    }));
     setNewContactName('');
     setNewContactPhone('');
   };
 
-  const removeContact = (index) => {
-    setProfile(prev => ({ ...prev, emergencyContacts: prev.emergencyContacts.filter((_, i) => i !== index) }));
+  const resendInvite = async contact => {
+    try {
+      await contactService.inviteContact(contact.phone);
+      setProfile(prev => ({
+        ...prev,
+        emergencyContacts: prev.emergencyContacts.map(c =>
+          c.phone === contact.phone ? { ...c, status: 'pending' } : c,
+        ),
+      }));
+      Alert.alert(
+        'Invitation sent',
+        `${contact.name} was sent a new invitation`,
+      );
+    } catch (error) {
+      // Contacts have to be saved to the profile before the backend can invite them
+      Alert.alert('Error', error.message || 'Failed to send invitation');
+    }
   };
 
-  const callNumber = (phone) => {
-    if (!phone) return;
+  const submitVerifyCode = async () => {
+    try {
+      await contactService.verifyContact(verifyingPhone, verifyCode.trim());
+      setProfile(prev => ({
+        ...prev,
+        emergencyContacts: prev.emergencyContacts.map(c =>
+          c.phone === verifyingPhone ? { ...c, status: 'verified' } : c,
+        ),
+      }));
+      setVerifyingPhone(null);
+      setVerifyCode('');
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to verify contact');
+    }
+  };
+
+  const removeContact = index => {
+    setProfile(prev => ({
+      ...prev,
+      emergencyContacts: prev.emergencyContacts.filter((_, i) => i !== index),
+    }));
+  };
+
+  const callNumber = phone => {
+    if (!phone) {
+      return;
+    }
     const url = `tel:${phone}`;
     Linking.canOpenURL(url).then(supported => {
-      if (supported) Linking.openURL(url);
-      else Alert.alert('Error', 'Phone call not supported on this device');
+      if (supported) {
+        Linking.openURL(url);
+      } else {
+        Alert.alert('Error', 'Phone call not supported on this device');
+      }
     });
   };
 
@@ -118,7 +330,7 @@ export default function ProfileModal({ visible, onClose }) {
               <TextInput
                 style={styles.input}
                 value={profile.name}
-                onChangeText={(t) => setProfile(p => ({ ...p, name: t }))}
+                onChangeText={t => setProfile(p => ({ ...p, name: t }))}
                 placeholder="Enter your full name"
                 placeholderTextColor="#999"
               />
@@ -130,7 +342,7 @@ export default function ProfileModal({ visible, onClose }) {
               <TextInput
                 style={styles.input}
                 value={profile.gender}
-                onChangeText={(t) => setProfile(p => ({ ...p, gender: t }))}
+                onChangeText={t => setProfile(p => ({ ...p, gender: t }))}
                 placeholder="Male / Female / Other"
                 placeholderTextColor="#999"
               />
@@ -142,7 +354,7 @@ export default function ProfileModal({ visible, onClose }) {
               <TextInput
                 style={styles.input}
                 value={profile.phone}
-                onChangeText={(t) => setProfile(p => ({ ...p, phone: t }))}
+                onChangeText={t => setProfile(p => ({ ...p, phone: t }))}
                 placeholder="+91 XXXXXXXXXX"
                 placeholderTextColor="#999"
                 keyboardType="phone-pad"
@@ -152,7 +364,10 @@ export default function ProfileModal({ visible, onClose }) {
             {/* Emergency Contacts Section */}
             <View style={styles.emergencySectionCard}>
               <Text style={styles.sectionTitle}>🚨 Emergency Contacts</Text>
-              <Text style={styles.sectionSubtitle}>Add trusted contacts for SOS alerts</Text>
+              <Text style={styles.sectionSubtitle}>
+                Add trusted contacts for SOS alerts. Contacts who accepted their
+                invitation are called first.
+              </Text>
 
               <FlatList
                 data={profile.emergencyContacts}
@@ -160,24 +375,78 @@ export default function ProfileModal({ visible, onClose }) {
                 scrollEnabled={false}
                 renderItem={({ item, index }) => (
                   <View style={styles.contactCard}>
-                    <View style={styles.contactIconCircle}>
-                      <Text style={styles.contactIcon}>👤</Text>
-                    </View>
-                    <View style={styles.contactInfo}>
-                      <Text style={styles.contactName}>{item.name}</Text>
-                      <Text style={styles.contactPhone}>{item.phone}</Text>
-                    </View>
-                    <View style={styles.contactActions}>
-                      <TouchableOpacity onPress={() => callNumber(item.phone)} style={styles.callBtn}>
-                        <Text style={styles.callText}>📞</Text>
-                      </TouchableOpacity>
-                      <TouchableOpacity onPress={() => removeContact(index)} style={styles.removeBtn}>
-                        <Text style={styles.removeText}>🗑️</Text>
-                      </TouchableOpacity>
+                    <View style={styles.contactRow}>
+                      <View style={styles.contactIconCircle}>
+                        <Text style={styles.contactIcon}>👤</Text>
+                      </View>
+                      <View style={styles.contactInfo}>
+                        <Text style={styles.contactName}>{item.name}</Text>
+                        <Text style={styles.contactPhone}>{item.phone}</Text>
+                        <Text style={styles.contactStatus}>
+                          {contactService.describeContactStatus(item.status)}
+                        </Text>
+                      </View>
+                      <View style={styles.contactActions}>
+                        <TouchableOpacity
+                          onPress={() => callNumber(item.phone)}
+                          style={styles.callBtn}
+                        >
+                          <Text style={styles.callText}>📞</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                          onPress={() => removeContact(index)}
+                          style={styles.removeBtn}
+                        >
+                          <Text style={styles.removeText}>🗑️</Text>
+                        </TouchableOpacity>
+                      </View>
                     </View>
+                    {item.status !== 'verified' && (
+                      <View style={styles.inviteActions}>
+                        <TouchableOpacity onPress={() => resendInvite(item)}>
+                          <Text style={styles.inviteLink}>
+                            Resend invitation
+                          </Text>
+                        </TouchableOpacity>
+                        {item.status === 'pending' &&
+                          verifyingPhone !== item.phone && (
+                            <TouchableOpacity
+                              onPress={() => {
+                                setVerifyingPhone(item.phone);
+                                setVerifyCode('');
+                              }}
+                            >
+                              <Text style={styles.inviteLink}>Enter code</Text>
+                            </TouchableOpacity>
+                          )}
+                      </View>
+                    )}
+                    {verifyingPhone === item.phone && (
+                      <View style={styles.verifyRow}>
+                        <TextInput
+                          style={[styles.addInput, styles.verifyInput]}
+                          value={verifyCode}
+                          onChangeText={setVerifyCode}
+                          placeholder="6-digit code"
+                          placeholderTextColor="#999"
+                          keyboardType="number-pad"
+                          maxLength={6}
+                        />
+                        <TouchableOpacity
+                          onPress={submitVerifyCode}
+                          style={styles.verifyBtn}
+                        >
+                          <Text style={styles.verifyBtnText}>Verify</Text>
+                        </TouchableOpacity>
+                      </View>
+                    )}
                   </View>
                 )}
-                ListEmptyComponent={<Text style={styles.emptyText}>No emergency contacts added yet</Text>}
+                ListEmptyComponent={
+                  <Text style={styles.emptyText}>
+                    No emergency contacts added yet
+                  </Text>
+                }
               />
 
               {/* Add Contact Form */}
@@ -203,16 +472,243 @@ export default function ProfileModal({ visible, onClose }) {
                     keyboardType="phone-pad"
                   />
                 </View>
-                <TouchableOpacity onPress={addEmergencyContact} style={styles.addContactBtn}>
+                <TouchableOpacity
+                  onPress={addEmergencyContact}
+                  style={styles.addContactBtn}
+                >
                   <Text style={styles.addContactBtnText}>+ Add Contact</Text>
                 </TouchableOpacity>
               </View>
             </View>
 
+            {/* Safety PIN Section */}
+            <View style={styles.fieldCard}>
+              <Text style={styles.label}>🔐 Safety PIN</Text>
+              <Text style={styles.pinHint}>
+                Needed to cancel an SOS (4-8 digits)
+              </Text>
+              <TextInput
+                style={styles.input}
+                value={safetyPin}
+                onChangeText={setSafetyPin}
+                placeholder="Safety PIN"
+                placeholderTextColor="#999"
+                keyboardType="number-pad"
+                secureTextEntry
+                maxLength={8}
+              />
+              <Text style={[styles.label, styles.duressLabel]}>
+                🤫 Duress PIN
+              </Text>
+              <Text style={styles.pinHint}>
+                Looks like a cancel but keeps the alert running
+              </Text>
+              <TextInput
+                style={styles.input}
+                value={duressPin}
+                onChangeText={setDuressPin}
+                placeholder="Duress PIN (optional)"
+                placeholderTextColor="#999"
+                keyboardType="number-pad"
+                secureTextEntry
+                maxLength={8}
+              />
+            </View>
+
+            {/* Silent SOS Section */}
+            <View style={styles.fieldCard}>
+              <View style={styles.triggerRow}>
+                <Text style={styles.label}>🔇 Silent SOS</Text>
+                <Switch
+                  value={profile.silentSOS}
+                  onValueChange={value =>
+                    setProfile(p => ({ ...p, silentSOS: value }))
+                  }
+                />
+              </View>
+              <Text style={styles.pinHint}>
+                No countdown, pop-ups, vibration or banner. Contacts are still
+                called and see your live location.
+              </Text>
+              {profile.silentSOS && (
+                <>
+                  <Text style={styles.triggerHeading}>
+                    While the SOS runs, show
+                  </Text>
+                  <View style={styles.optionRow}>
+                    {[
+                      ['unchanged', 'Current screen'],
+                      ['decoy', 'Calculator'],
+                    ].map(([value, label]) => (
+                      <TouchableOpacity
+                        key={value}
+                        onPress={() =>
+                          setProfile(p => ({ ...p, silentSOSScreen: value }))
+                        }
+                        style={[
+                          styles.optionChip,
+                          profile.silentSOSScreen === value &&
+                            styles.optionChipActive,
+                        ]}
+                      >
+                        <Text
+                          style={[
+                            styles.optionText,
+                            profile.silentSOSScreen === value &&
+                              styles.optionTextActive,
+                          ]}
+                        >
+                          {label}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                  <Text style={styles.pinHint}>
+                    To see the SOS status, hold the app title (or the calculator
+                    display) for two seconds.
+                  </Text>
+                </>
+              )}
+            </View>
+
+            {/* Route Scoring Section */}
+            <View style={styles.fieldCard}>
+              <Text style={styles.label}>🛣️ Route scoring</Text>
+              <Text style={styles.pinHint}>
+                Weighs the route safety checks for how you usually travel
+              </Text>
+              <View style={styles.optionRow}>
+                {SCORING_PROFILE_IDS.map(id => (
+                  <TouchableOpacity
+                    key={id}
+                    onPress={() =>
+                      setProfile(p => ({ ...p, routeScoringProfile: id }))
+                    }
+                    style={[
+                      styles.optionChip,
+                      profile.routeScoringProfile === id &&
+                        styles.optionChipActive,
+                    ]}
+                  >
+                    <Text
+                      style={[
+                        styles.optionText,
+                        profile.routeScoringProfile === id &&
+                          styles.optionTextActive,
+                      ]}
+                    >
+                      {SCORING_PROFILES[id].label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+
+            {/* Hands-free SOS Section */}
+            <View style={styles.fieldCard}>
+              <Text style={styles.label}>🙌 Hands-free SOS</Text>
+              <Text style={styles.pinHint}>
+                Start the SOS countdown without unlocking or tapping the screen
+              </Text>
+              {sosTriggerService.isNativeTriggerAvailable() && (
+                <>
+                  <View style={styles.triggerRow}>
+                    <Text style={styles.triggerText}>Shake the phone</Text>
+                    <Switch
+                      value={triggerSettings.shake}
+                      onValueChange={value => updateTrigger('shake', value)}
+                    />
+                  </View>
+                  <View style={styles.triggerRow}>
+                    <Text style={styles.triggerText}>
+                      Volume down ×3 then up, or power ×5
+                    </Text>
+                    <Switch
+                      value={triggerSettings.keySequence}
+                      onValueChange={value =>
+                        updateTrigger('keySequence', value)
+                      }
+                    />
+                  </View>
+                  <Text style={styles.pinHint}>
+                    Volume keys only work while SafeRaasta is open on screen;
+                    power ×5 also works while it is running in the background.
+                  </Text>
+                </>
+              )}
+              <View style={styles.triggerRow}>
+                <Text style={styles.triggerText}>
+                  Hold-for-SOS button on the map
+                </Text>
+                <Switch
+                  value={triggerSettings.longPress}
+                  onValueChange={value => updateTrigger('longPress', value)}
+                />
+              </View>
+
+              <Text style={styles.triggerHeading}>Sensitivity</Text>
+              <View style={styles.optionRow}>
+                {sosTriggerService.SENSITIVITY_LEVELS.map(level => (
+                  <TouchableOpacity
+                    key={level}
+                    onPress={() => updateTrigger('sensitivity', level)}
+                    style={[
+                      styles.optionChip,
+                      triggerSettings.sensitivity === level &&
+                        styles.optionChipActive,
+                    ]}
+                  >
+                    <Text
+                      style={[
+                        styles.optionText,
+                        triggerSettings.sensitivity === level &&
+                          styles.optionTextActive,
+                      ]}
+                    >
+                      {level.charAt(0).toUpperCase() + level.slice(1)}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              <Text style={styles.triggerHeading}>
+                Time to cancel before SOS is sent
+              </Text>
+              <View style={styles.optionRow}>
+                {sosTriggerService.CONFIRM_SECONDS_OPTIONS.map(seconds => (
+                  <TouchableOpacity
+                    key={seconds}
+                    onPress={() => updateTrigger('confirmSeconds', seconds)}
+                    style={[
+                      styles.optionChip,
+                      triggerSettings.confirmSeconds === seconds &&
+                        styles.optionChipActive,
+                    ]}
+                  >
+                    <Text
+                      style={[
+                        styles.optionText,
+                        triggerSettings.confirmSeconds === seconds &&
+                          styles.optionTextActive,
+                      ]}
+                    >
+                      {seconds}s
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+
             {/* Action Buttons */}
             <View style={styles.footer}>
-              <TouchableOpacity onPress={saveProfile} style={styles.saveBtn} disabled={loading}>
-                <Text style={styles.saveBtnText}>{loading ? 'Saving...' : '💾 Save Profile'}</Text>
+              <TouchableOpacity
+                onPress={saveProfile}
+                style={styles.saveBtn}
+                disabled={loading}
+              >
+                <Text style={styles.saveBtnText}>
+                  {loading ? 'Saving...' : '💾 Save Profile'}
+                </Text>
               </TouchableOpacity>
               <TouchableOpacity onPress={onClose} style={styles.cancelBtn}>
                 <Text style={styles.cancelBtnText}>✕ Close</Text>
@@ -298,6 +794,58 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: '#D1D5DB',
   },
+  pinHint: {
+    fontSize: 12,
+    color: colors.text.light,
+    marginBottom: 8,
+  },
+  duressLabel: {
+    marginTop: 12,
+  },
+  triggerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+  },
+  triggerText: {
+    flex: 1,
+    fontSize: 14,
+    color: colors.text.primary,
+    marginRight: 8,
+  },
+  triggerHeading: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.text.secondary,
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  optionChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    marginRight: 8,
+    marginBottom: 6,
+  },
+  optionChipActive: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  optionText: {
+    fontSize: 13,
+    color: colors.text.primary,
+  },
+  optionTextActive: {
+    color: colors.white,
+    fontWeight: '700',
+  },
   emergencySectionCard: {
     backgroundColor: '#FEF3F2',
     borderRadius: 16,
@@ -319,8 +867,6 @@ const styles = StyleSheet.create({
     marginBottom: 16,
   },
   contactCard: {
-    flexDirection: 'row',
-    alignItems: 'center',
     backgroundColor: colors.white,
     borderRadius: 12,
     padding: 12,
@@ -333,6 +879,10 @@ const styles = StyleSheet.create({
     shadowRadius: 3,
     elevation: 2,
   },
+  contactRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   contactIconCircle: {
     width: 44,
     height: 44,
@@ -358,6 +908,42 @@ const styles = StyleSheet.create({
     fontSize: 13,
     color: colors.text.secondary,
   },
+  contactStatus: {
+    fontSize: 12,
+    color: colors.text.secondary,
+    marginTop: 2,
+  },
+  inviteActions: {
+    flexDirection: 'row',
+    gap: 16,
+    marginTop: 8,
+    marginLeft: 56,
+  },
+  inviteLink: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.primary,
+  },
+  verifyRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginTop: 8,
+  },
+  verifyInput: {
+    flex: 1,
+    marginBottom: 0,
+  },
+  verifyBtn: {
+    backgroundColor: colors.primary,
+    borderRadius: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+  },
+  verifyBtnText: {
+    color: colors.white,
+    fontWeight: '700',
+  },
   contactActions: {
     flexDirection: 'row',
     gap: 8,
@@ -492,4 +1078,4 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
-});
\ No newline at end of file
+});
@@ -0,0 +1,206 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  ActivityIndicator,
+} from 'react-native';
+import { REPORT_CATEGORIES } from '../services/reportService';
+import colors from '../theme/colors';
+
+const MAX_NOTE_LENGTH = 280;
+
+// Reports an unsafe spot at the user's current location
+export default function ReportModal({ visible, onSubmit, onClose }) {
+  const [category, setCategory] = useState(null);
+  const [note, setNote] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      setCategory(null);
+      setNote('');
+      setError('');
+    }
+  }, [visible]);
+
+  const handleSubmit = async () => {
+    if (!category) {
+      setError('Choose what is unsafe here');
+      return;
+    }
+    setSubmitting(true);
+    setError('');
+    try {
+      await onSubmit({ category, note: note.trim() });
+    } catch (err) {
+      setError(err.message || 'Could not send report');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal visible={visible} animationType="fade" transparent>
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <Text style={styles.header}>Report unsafe spot</Text>
+          <Text style={styles.subtitle}>
+            Shared anonymously at your current location. Reports fade over time.
+          </Text>
+          <View style={styles.categories}>
+            {REPORT_CATEGORIES.map(c => (
+              <TouchableOpacity
+                key={c.id}
+                onPress={() => setCategory(c.id)}
+                style={[
+                  styles.categoryChip,
+                  category === c.id && styles.categoryChipActive,
+                ]}
+              >
+                <Text
+                  style={[
+                    styles.categoryText,
+                    category === c.id && styles.categoryTextActive,
+                  ]}
+                >
+                  {c.icon} {c.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <TextInput
+            style={styles.input}
+            value={note}
+            onChangeText={setNote}
+            placeholder="What did you notice? (optional)"
+            placeholderTextColor="#999"
+            maxLength={MAX_NOTE_LENGTH}
+            multiline
+          />
+          {!!error && <Text style={styles.errorText}>{error}</Text>}
+          <View style={styles.footer}>
+            <TouchableOpacity
+              onPress={handleSubmit}
+              style={styles.confirmBtn}
+              disabled={submitting}
+            >
+              {submitting ? (
+                <ActivityIndicator size="small" color={colors.white} />
+              ) : (
+                <Text style={styles.confirmText}>Report</Text>
+              )}
+            </TouchableOpacity>
+            <TouchableOpacity onPress={onClose} style={styles.backBtn}>
+              <Text style={styles.backText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  container: {
+    backgroundColor: colors.white,
+    borderRadius: 20,
+    padding: 20,
+    elevation: 8,
+  },
+  header: {
+    fontSize: 22,
+    fontWeight: '700',
+    color: colors.text.primary,
+    textAlign: 'center',
+    marginBottom: 6,
+  },
+  subtitle: {
+    fontSize: 13,
+    color: colors.text.secondary,
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  categories: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 12,
+  },
+  categoryChip: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+  },
+  categoryChipActive: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  categoryText: {
+    fontSize: 13,
+    color: colors.text.primary,
+  },
+  categoryTextActive: {
+    color: colors.white,
+    fontWeight: '700',
+  },
+  input: {
+    minHeight: 72,
+    fontSize: 14,
+    color: colors.text.primary,
+    padding: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    textAlignVertical: 'top',
+  },
+  errorText: {
+    color: '#FF3B30',
+    fontSize: 13,
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  footer: {
+    flexDirection: 'row',
+    gap: 10,
+    marginTop: 16,
+  },
+  confirmBtn: {
+    flex: 1,
+    backgroundColor: colors.primary,
+    paddingVertical: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+  },
+  confirmText: {
+    color: colors.white,
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  backBtn: {
+    flex: 1,
+    backgroundColor: '#F3F4F6',
+    paddingVertical: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+  },
+  backText: {
+    color: colors.text.primary,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,93 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import colors from '../theme/colors';
+
+// Short window after tapping SOS in which the alert can still be called off without a PIN.
+// reason says which hands-free trigger started it, e.g. "Shake detected".
+// question and cancelLabel turn it into a check on the user, e.g. "Are you OK?" / "I'm OK"
+export default function SOSCountdown({
+  secondsLeft,
+  reason,
+  question,
+  cancelLabel = 'Cancel',
+  onCancel,
+}) {
+  if (secondsLeft === null || secondsLeft === undefined) {
+    return null;
+  }
+
+  return (
+    <View style={styles.overlay}>
+      <View style={styles.card}>
+        {reason ? <Text style={styles.reason}>{reason}</Text> : null}
+        {question ? <Text style={styles.question}>{question}</Text> : null}
+        <Text style={styles.title}>Sending SOS in</Text>
+        <Text style={styles.count}>{secondsLeft}</Text>
+        <Text style={styles.subtitle}>
+          Your emergency contacts will be called
+        </Text>
+        <TouchableOpacity onPress={onCancel} style={styles.cancelBtn}>
+          <Text style={styles.cancelText}>{cancelLabel}</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: colors.overlay,
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: 20,
+    elevation: 10,
+  },
+  card: {
+    width: '80%',
+    backgroundColor: '#FF3B30',
+    borderRadius: 20,
+    padding: 24,
+    alignItems: 'center',
+  },
+  reason: {
+    color: colors.white,
+    fontSize: 13,
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+  question: {
+    color: colors.white,
+    fontSize: 24,
+    fontWeight: '800',
+    marginBottom: 8,
+  },
+  title: {
+    color: colors.white,
+    fontSize: 18,
+    fontWeight: '700',
+  },
+  count: {
+    color: colors.white,
+    fontSize: 72,
+    fontWeight: '800',
+    marginVertical: 8,
+  },
+  subtitle: {
+    color: colors.white,
+    fontSize: 14,
+    marginBottom: 20,
+    textAlign: 'center',
+  },
+  cancelBtn: {
+    backgroundColor: colors.white,
+    paddingVertical: 12,
+    paddingHorizontal: 40,
+    borderRadius: 12,
+  },
+  cancelText: {
+    color: '#FF3B30',
+    fontSize: 16,
+    fontWeight: '800',
+  },
+});
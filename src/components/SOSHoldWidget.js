@@ -0,0 +1,84 @@
+import React, { useRef } from 'react';
+import { Animated, Pressable, StyleSheet, Text, View } from 'react-native';
+import colors from '../theme/colors';
+
+// Large hold-to-alert button that can be found by touch: keep a finger on it for holdMs to start the SOS countdown
+export default function SOSHoldWidget({ holdMs, onTrigger }) {
+  const progress = useRef(new Animated.Value(0)).current;
+
+  const startHold = () => {
+    Animated.timing(progress, {
+      toValue: 1,
+      duration: holdMs,
+      useNativeDriver: false,
+    }).start();
+  };
+
+  const releaseHold = () => {
+    progress.stopAnimation();
+    progress.setValue(0);
+  };
+
+  const fillHeight = progress.interpolate({
+    inputRange: [0, 1],
+    outputRange: ['0%', '100%'],
+  });
+
+  return (
+    <Pressable
+      onPressIn={startHold}
+      onPressOut={releaseHold}
+      onLongPress={onTrigger}
+      delayLongPress={holdMs}
+      style={styles.widget}
+      accessibilityRole="button"
+      accessibilityLabel="Hold to send SOS"
+    >
+      <Animated.View style={[styles.fill, { height: fillHeight }]} />
+      <View style={styles.content}>
+        <Text style={styles.icon}>✋</Text>
+        <Text style={styles.label}>Hold for SOS</Text>
+      </View>
+    </Pressable>
+  );
+}
+
+const styles = StyleSheet.create({
+  widget: {
+    position: 'absolute',
+    left: 20,
+    bottom: 200,
+    width: 84,
+    height: 84,
+    borderRadius: 42,
+    backgroundColor: colors.white,
+    borderWidth: 3,
+    borderColor: '#FF3B30',
+    overflow: 'hidden',
+    justifyContent: 'center',
+    alignItems: 'center',
+    elevation: 4,
+    shadowColor: colors.shadow,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 4,
+  },
+  fill: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: '#FFCDD2',
+  },
+  content: {
+    alignItems: 'center',
+  },
+  icon: {
+    fontSize: 24,
+  },
+  label: {
+    color: '#FF3B30',
+    fontSize: 11,
+    fontWeight: '800',
+  },
+});
@@ -0,0 +1,134 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import colors from '../theme/colors';
+
+// Shown while an SOS is waiting in the offline queue: whether it is being retried right now or when the next try is,
+// with a way to call it off before it reaches the server
+export default function SOSQueueBanner({ queue, onRetry, onCancel }) {
+  const [now, setNow] = useState(Date.now());
+  const entry = queue && queue.length > 0 ? queue[0] : null;
+
+  // Tick once a second so the retry countdown stays current
+  useEffect(() => {
+    if (!entry) {
+      return;
+    }
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [entry]);
+
+  if (!entry) {
+    return null;
+  }
+
+  const retrying = entry.status === 'retrying';
+  const secondsLeft = Math.max(
+    0,
+    Math.ceil((entry.nextAttemptAt - now) / 1000),
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.content}>
+        <Text style={styles.title}>
+          {retrying ? '📡 Sending SOS…' : '📡 SOS queued - not sent yet'}
+        </Text>
+        <Text style={styles.message}>
+          {retrying
+            ? `Attempt ${entry.attempts + 1}`
+            : `Retrying in ${secondsLeft}s (attempt ${entry.attempts + 1})`}
+        </Text>
+        {entry.smsSent && (
+          <Text style={styles.hint}>
+            Your contacts were also sent an SMS from this phone
+          </Text>
+        )}
+        <View style={styles.actions}>
+          {!retrying && (
+            <TouchableOpacity onPress={onRetry} style={styles.retryBtn}>
+              <Text style={styles.retryText}>Retry now</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity onPress={onCancel} style={styles.cancelBtn}>
+            <Text style={styles.cancelText}>Cancel SOS</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+      {retrying && <ActivityIndicator size="small" color={colors.white} />}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    top: 100,
+    left: 16,
+    right: 16,
+    zIndex: 12,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FF9500',
+    borderRadius: 12,
+    padding: 12,
+    elevation: 6,
+    shadowColor: colors.shadow,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 6,
+  },
+  content: {
+    flex: 1,
+    marginRight: 10,
+  },
+  title: {
+    color: colors.white,
+    fontWeight: '800',
+    fontSize: 15,
+    marginBottom: 2,
+  },
+  message: {
+    color: colors.white,
+    fontSize: 13,
+  },
+  hint: {
+    color: colors.white,
+    fontSize: 12,
+    marginTop: 4,
+    opacity: 0.9,
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 8,
+  },
+  retryBtn: {
+    backgroundColor: colors.white,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 6,
+  },
+  retryText: {
+    color: '#FF9500',
+    fontWeight: '700',
+    fontSize: 13,
+  },
+  cancelBtn: {
+    borderColor: colors.white,
+    borderWidth: 1,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 6,
+  },
+  cancelText: {
+    color: colors.white,
+    fontWeight: '700',
+    fontSize: 13,
+  },
+});
@@ -0,0 +1,147 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { describeIncident, isIncidentActive } from '../services/sosService';
+import colors from '../theme/colors';
+
+// Live SOS progress shown under the header while an incident is open.
+// An SOS with a safety PIN can only be stood down through onCancel; otherwise it can be dismissed once resolved.
+// onShareEvidence appears once audio from the phone has reached the incident.
+export default function SOSStatusBanner({
+  incident,
+  onCancel,
+  onDismiss,
+  onShareEvidence,
+}) {
+  if (!incident) {
+    return null;
+  }
+
+  const active = isIncidentActive(incident);
+  const answered = incident.status === 'answered';
+  const cancelled = incident.status === 'cancelled';
+  const canCancel = Boolean(incident.cancellable) && !cancelled;
+  const canShareEvidence =
+    Boolean(onShareEvidence) && incident.evidence?.chunkCount > 0;
+  const title = active
+    ? '🚨 SOS active'
+    : answered
+    ? '✅ Help reached'
+    : '🚨 SOS update';
+
+  return (
+    <View style={[styles.container, answered && styles.containerAnswered]}>
+      <View style={styles.content}>
+        <Text style={styles.title}>{title}</Text>
+        <Text style={styles.message}>{describeIncident(incident)}</Text>
+        {!cancelled && (
+          <Text style={styles.sharing}>📍 Sharing your live location</Text>
+        )}
+        {!cancelled && incident.evidence?.chunkCount > 0 && (
+          <Text style={styles.sharing}>🎙️ Recording audio evidence</Text>
+        )}
+        <View style={styles.actions}>
+          {canCancel && (
+            <TouchableOpacity onPress={onCancel} style={styles.cancelBtn}>
+              <Text style={styles.cancelText}>I'm safe - cancel SOS</Text>
+            </TouchableOpacity>
+          )}
+          {canShareEvidence && (
+            <TouchableOpacity
+              onPress={onShareEvidence}
+              style={styles.cancelBtn}
+            >
+              <Text style={styles.cancelText}>Share recording</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+      {active ? (
+        <ActivityIndicator size="small" color={colors.white} />
+      ) : (
+        !canCancel && (
+          <TouchableOpacity onPress={onDismiss} style={styles.dismissBtn}>
+            <Text style={styles.dismissText}>✕</Text>
+          </TouchableOpacity>
+        )
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    top: 100,
+    left: 16,
+    right: 16,
+    zIndex: 12,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FF3B30',
+    borderRadius: 12,
+    padding: 12,
+    elevation: 6,
+    shadowColor: colors.shadow,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 6,
+  },
+  containerAnswered: {
+    backgroundColor: '#00C853',
+  },
+  content: {
+    flex: 1,
+    marginRight: 10,
+  },
+  title: {
+    color: colors.white,
+    fontWeight: '800',
+    fontSize: 15,
+    marginBottom: 2,
+  },
+  message: {
+    color: colors.white,
+    fontSize: 13,
+  },
+  sharing: {
+    color: colors.white,
+    fontSize: 12,
+    marginTop: 4,
+    opacity: 0.9,
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  cancelBtn: {
+    alignSelf: 'flex-start',
+    backgroundColor: colors.white,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 6,
+    marginTop: 8,
+  },
+  cancelText: {
+    color: '#FF3B30',
+    fontWeight: '700',
+    fontSize: 13,
+  },
+  dismissBtn: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    backgroundColor: 'rgba(255, 255, 255, 0.25)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  dismissText: {
+    color: colors.white,
+    fontWeight: '700',
+  },
+});
@@ -0,0 +1,157 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  ActivityIndicator,
+} from 'react-native';
+import colors from '../theme/colors';
+
+// Asks for the safety PIN before an active SOS can be cancelled
+export default function SafetyPinModal({ visible, onSubmit, onClose }) {
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      setPin('');
+      setError('');
+    }
+  }, [visible]);
+
+  const handleSubmit = async () => {
+    if (!pin) {
+      setError('Enter your safety PIN');
+      return;
+    }
+    setSubmitting(true);
+    setError('');
+    try {
+      await onSubmit(pin);
+    } catch (err) {
+      setError(err.message || 'Could not cancel SOS');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal visible={visible} animationType="fade" transparent>
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <Text style={styles.header}>Cancel SOS</Text>
+          <Text style={styles.subtitle}>
+            Enter your safety PIN to let your contacts know you are safe
+          </Text>
+          <TextInput
+            style={styles.input}
+            value={pin}
+            onChangeText={setPin}
+            placeholder="••••"
+            placeholderTextColor="#999"
+            keyboardType="number-pad"
+            secureTextEntry
+            maxLength={8}
+            autoFocus
+          />
+          {!!error && <Text style={styles.errorText}>{error}</Text>}
+          <View style={styles.footer}>
+            <TouchableOpacity
+              onPress={handleSubmit}
+              style={styles.confirmBtn}
+              disabled={submitting}
+            >
+              {submitting ? (
+                <ActivityIndicator size="small" color={colors.white} />
+              ) : (
+                <Text style={styles.confirmText}>I'm safe</Text>
+              )}
+            </TouchableOpacity>
+            <TouchableOpacity onPress={onClose} style={styles.backBtn}>
+              <Text style={styles.backText}>Keep SOS</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  container: {
+    backgroundColor: colors.white,
+    borderRadius: 20,
+    padding: 20,
+    elevation: 8,
+  },
+  header: {
+    fontSize: 22,
+    fontWeight: '700',
+    color: colors.text.primary,
+    textAlign: 'center',
+    marginBottom: 6,
+  },
+  subtitle: {
+    fontSize: 13,
+    color: colors.text.secondary,
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  input: {
+    fontSize: 24,
+    letterSpacing: 8,
+    textAlign: 'center',
+    color: colors.text.primary,
+    padding: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+  },
+  errorText: {
+    color: '#FF3B30',
+    fontSize: 13,
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  footer: {
+    flexDirection: 'row',
+    gap: 10,
+    marginTop: 16,
+  },
+  confirmBtn: {
+    flex: 1,
+    backgroundColor: '#00C853',
+    paddingVertical: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+  },
+  confirmText: {
+    color: colors.white,
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  backBtn: {
+    flex: 1,
+    backgroundColor: '#F3F4F6',
+    paddingVertical: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+  },
+  backText: {
+    color: colors.text.primary,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
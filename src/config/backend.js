@@ -0,0 +1,4 @@
+// SafeRaasta backend configuration
+// Backend URL - points to Render deployment
+
+export const BASE_URL = 'https://saferaasta-backend.onrender.com';
@@ -13,25 +13,95 @@ import {
   Linking,
   Platform,
   NativeModules,
+  AppState,
+  Vibration,
+  Pressable,
+  Share,
 } from 'react-native';
 import MapView, { PROVIDER_GOOGLE, Marker, Polyline } from 'react-native-maps';
 import Geolocation from 'react-native-geolocation-service';
 import { GooglePlacesAutocomplete } from 'react-native-google-places-autocomplete';
-import { getDirections } from '../services/directionsService';
+import { getDirections, trackStep } from '../services/directionsService';
 import routeSafetyService from '../services/routeSafetyService';
 import RouteSafetySummary from '../components/RouteSafetySummary';
 import ProfileModal from '../components/ProfileModal';
+import SOSStatusBanner from '../components/SOSStatusBanner';
+import SOSCountdown from '../components/SOSCountdown';
+import SOSQueueBanner from '../components/SOSQueueBanner';
+import CheckInBanner from '../components/CheckInBanner';
+import SOSHoldWidget from '../components/SOSHoldWidget';
+import DecoyCalculator from '../components/DecoyCalculator';
+import SafetyPinModal from '../components/SafetyPinModal';
+import ReportModal from '../components/ReportModal';
 import { getCurrentUser } from '../services/authService';
 import profileService from '../services/profileService.js';
+import sosService from '../services/sosService';
+import sosQueue from '../services/sosQueue';
+import sosTriggerService from '../services/sosTriggerService';
+import evidenceService from '../services/evidenceService';
+import tripService from '../services/tripService';
+import reportService from '../services/reportService';
+import safeHavenService from '../services/safeHavenService';
+import routeDeviationService from '../services/routeDeviationService';
+import safetyPinService from '../services/safetyPinService';
+import smsService from '../services/smsService';
 import { GOOGLE_API_KEY } from '../config/keys';
-import { requestLocationPermission } from '../services/permissionsService';
+import { BASE_URL } from '../config/backend';
+import {
+  requestLocationPermission,
+  requestMicrophonePermission,
+  checkMicrophonePermission,
+} from '../services/permissionsService';
 import colors from '../theme/colors';
 
 // ===== SOS Configuration =====
 const DEBUG_SOS = true;
+const SOS_POLL_INTERVAL_MS = 4000;
+// "Need more time" on the trip check-in prompt
+const CHECK_IN_EXTEND_MINUTES = 15;
+// Community reports shown around the user
+const NEARBY_REPORTS_RADIUS_M = 2000;
+// Shown on the countdown when a hands-free trigger started it
+const SOS_TRIGGER_REASONS = {
+  shake: 'Shake detected',
+  keys: 'Key sequence detected',
+  longPress: 'SOS button held',
+};
+// Route deviation checks: the countdown asks "Are you OK?" and gives more time to answer
+const DEVIATION_REASONS = {
+  offRoute: 'You left the route',
+  turnedAway: 'Heading away from the route',
+  longStop: 'Stopped on an isolated stretch',
+};
+const DEVIATION_RESPONSE_SECONDS = 30;
+// Arrow shown next to the upcoming maneuver (Google maneuver names)
+const MANEUVER_ICONS = {
+  'turn-left': '⬅️',
+  'turn-right': '➡️',
+  'turn-slight-left': '↖️',
+  'turn-slight-right': '↗️',
+  'keep-left': '↖️',
+  'keep-right': '↗️',
+  'fork-left': '↖️',
+  'fork-right': '↗️',
+  'ramp-left': '↖️',
+  'ramp-right': '↗️',
+  'turn-sharp-left': '↙️',
+  'turn-sharp-right': '↘️',
+  'uturn-left': '↩️',
+  'uturn-right': '↪️',
+  'roundabout-left': '🔄',
+  'roundabout-right': '🔄',
+};
 
-// Backend URL - now points to Render deployment
-const BASE_URL = 'https://saferaasta-backend.onrender.com';
+const safetyColor = category =>
+  category === 'Safe'
+    ? '#00C853'
+    : category === 'Moderate'
+    ? '#FFC107'
+    : category === 'Risky'
+    ? '#FF5252'
+    : colors.primary;
 
 export default function MapScreen({ navigation }) {
   const currentUser = getCurrentUser();
@@ -56,10 +126,61 @@ export default function MapScreen({ navigation }) {
   const [isNavigating, setIsNavigating] = useState(false);
   const [navigationSteps, setNavigationSteps] = useState([]);
   const [currentStepIndex, setCurrentStepIndex] = useState(0);
+  // Meters until the next maneuver, from the live position
+  const [distanceToManeuver, setDistanceToManeuver] = useState(null);
+  // Trip shared through a public link while navigating: { id, shareLink, eta, checkIn }
+  const [activeTrip, setActiveTrip] = useState(null);
+  // Trips navigation stopped on before anybody checked in, including ones from before this launch
+  // or sign-in; their check-ins stay due on the backend
+  const [endedTrips, setEndedTrips] = useState([]);
+  // Community reports of unsafe spots near the user and along the routes
+  const [communityReports, setCommunityReports] = useState([]);
+  const [showReport, setShowReport] = useState(false);
+  // Safe havens along the selected route, and the one being navigated to instead of the destination
+  const [safeHavens, setSafeHavens] = useState([]);
+  const [havenTarget, setHavenTarget] = useState(null);
+  const [findingHaven, setFindingHaven] = useState(false);
+  // Latest fix while navigating; currentLocation is only refreshed on request
+  const navigationPositionRef = useRef(null);
   const [showProfile, setShowProfile] = useState(false);
   const [userProfile, setUserProfile] = useState(null);
   const [emergencyContacts, setEmergencyContacts] = useState([]);
   const [userName, setUserName] = useState('');
+  const [sosIncident, setSosIncident] = useState(null);
+  // Hidden after a duress cancel: the banner disappears but location keeps streaming
+  const [sosHidden, setSosHidden] = useState(false);
+  const [sosCountdown, setSosCountdown] = useState(null);
+  // Silent SOS (a profile setting): no countdown, alerts, vibration, SMS composer or banner
+  const silentSOS = userProfile?.silentSOS === true;
+  const silentSOSRef = useRef(false);
+  silentSOSRef.current = silentSOS;
+  const [showDecoy, setShowDecoy] = useState(false);
+  const [sosTriggerSource, setSosTriggerSource] = useState(null);
+  // Hands-free trigger preferences (device only, edited in the profile)
+  const [triggerSettings, setTriggerSettings] = useState(
+    sosTriggerService.DEFAULT_TRIGGER_SETTINGS,
+  );
+  // Native trigger events are subscribed once per settings change; this always points at the latest handler
+  const triggerHandlerRef = useRef(null);
+  // Deviation monitor of the current navigation, told when the user answers "I'm OK"
+  const deviationMonitorRef = useRef(null);
+  const [showCancelPin, setShowCancelPin] = useState(false);
+  // Incident that already got an SMS from this phone, so the fallback is only sent once
+  const smsSentForIncidentRef = useRef(null);
+  // SOS requests waiting for connectivity (persisted in AsyncStorage)
+  const [queuedSOS, setQueuedSOS] = useState([]);
+  const processingQueueRef = useRef(false);
+  // Latest state and handlers for timers and listeners set up by effects, so they never act on a
+  // stale render (e.g. an SMS fallback with an old location). Assigned after the handlers below.
+  const latestRef = useRef({});
+  // The evidence key only comes with the first SOS response, not with later polls
+  const evidenceKeyRef = useRef(null);
+  if (sosIncident?.evidenceKey) {
+    evidenceKeyRef.current = {
+      incidentId: sosIncident.id,
+      key: sosIncident.evidenceKey,
+    };
+  }
 
   useEffect(() => {
     if (DEBUG_SOS) {
@@ -67,11 +188,337 @@ export default function MapScreen({ navigation }) {
     }
   }, []);
 
+  // Poll the backend while an SOS escalation is running
+  const pollingIncidentId = sosService.isIncidentActive(sosIncident)
+    ? sosIncident.id
+    : null;
+  useEffect(() => {
+    if (!pollingIncidentId) {
+      return;
+    }
+
+    const timer = setInterval(async () => {
+      try {
+        const incident = await sosService.getIncident(pollingIncidentId);
+        setSosIncident(incident);
+        // Calls could not reach anyone and the backend could not text either
+        if (
+          incident.status === 'exhausted' &&
+          incident.sms?.status !== 'sent'
+        ) {
+          latestRef.current.sendSOSFallbackSMS(
+            incident.id,
+            incident.trackingLink,
+          );
+        }
+      } catch (error) {
+        console.error('SOS status poll failed', error);
+      }
+    }, SOS_POLL_INTERVAL_MS);
+
+    return () => clearInterval(timer);
+  }, [pollingIncidentId]);
+
+  // Check-ins still due from trips this phone no longer remembers: the backend raises an SOS for
+  // them all the same, so "I'm safe" has to stay reachable
+  useEffect(() => {
+    tripService
+      .listPendingCheckIns()
+      .then(trips =>
+        setEndedTrips(current => [
+          ...current,
+          ...trips
+            .filter(trip => !current.some(known => known.id === trip.tripId))
+            .map(({ tripId, checkIn }) => ({ id: tripId, checkIn })),
+        ]),
+      )
+      .catch(error => console.error('Failed to load pending check-ins', error));
+  }, []);
+
+  // Resume SOS requests queued before the app was closed, and retry them when it returns to the foreground
+  useEffect(() => {
+    sosQueue
+      .restoreQueue()
+      .then(setQueuedSOS)
+      .catch(error => console.error('Failed to load SOS queue', error));
+    // Audio recorded before the app was closed, or while offline
+    evidenceService.flushEvidence();
+
+    const subscription = AppState.addEventListener('change', state => {
+      if (state === 'active') {
+        latestRef.current.retryQueuedSOS(true);
+        evidenceService.flushEvidence();
+      }
+    });
+    return () => subscription.remove();
+  }, []);
+
+  // Retry the next queued SOS when its backoff expires
+  useEffect(() => {
+    const waiting = queuedSOS.filter(entry => entry.status === 'queued');
+    if (waiting.length === 0) {
+      return;
+    }
+
+    const nextAttemptAt = Math.min(
+      ...waiting.map(entry => entry.nextAttemptAt),
+    );
+    const timer = setTimeout(
+      () => latestRef.current.retryQueuedSOS(false),
+      Math.max(0, nextAttemptAt - Date.now()),
+    );
+    return () => clearTimeout(timer);
+  }, [queuedSOS]);
+
+  // Reload the profile and trigger settings whenever the profile modal (where they are edited) closes
+  useEffect(() => {
+    if (showProfile) {
+      return;
+    }
+    loadUserProfileContacts();
+    sosTriggerService
+      .getTriggerSettings()
+      .then(setTriggerSettings)
+      .catch(error =>
+        console.error('Failed to load SOS trigger settings', error),
+      );
+  }, [showProfile]);
+
+  // Shake and hardware-key triggers start the same countdown as the SOS button
+  useEffect(() => {
+    return sosTriggerService.subscribeToTriggers(triggerSettings, source =>
+      triggerHandlerRef.current(source),
+    );
+  }, [triggerSettings]);
+
+  // Count down before sending the SOS; reaching zero sends it
+  useEffect(() => {
+    if (sosCountdown === null) {
+      return;
+    }
+
+    if (sosCountdown === 0) {
+      setSosCountdown(null);
+      latestRef.current.handleSOS();
+      return;
+    }
+
+    const timer = setTimeout(() => setSosCountdown(sosCountdown - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [sosCountdown]);
+
+  // Stream live location to the open SOS incident until the user dismisses it
+  const sosIncidentId = sosIncident?.id;
+  useEffect(() => {
+    if (!sosIncidentId) {
+      return;
+    }
+
+    const incidentId = sosIncidentId;
+    const watchId = Geolocation.watchPosition(
+      position => {
+        const { latitude, longitude, accuracy } = position.coords;
+        setCurrentLocation({ latitude, longitude });
+        sosService
+          .sendLocationUpdate(incidentId, { latitude, longitude, accuracy })
+          .catch(error => console.error('SOS location update failed', error));
+      },
+      error => console.log('SOS location watch error:', error),
+      {
+        enableHighAccuracy: true,
+        distanceFilter: 10,
+        interval: 5000,
+        fastestInterval: 2000,
+      },
+    );
+
+    return () => Geolocation.clearWatch(watchId);
+  }, [sosIncidentId]);
+
+  // Record encrypted audio evidence while the SOS is open. Only the first response carries the key,
+  // so this runs once per incident rather than on every poll.
+  useEffect(() => {
+    const evidence = evidenceKeyRef.current;
+    if (!sosIncidentId || evidence?.incidentId !== sosIncidentId) {
+      return;
+    }
+
+    const { incidentId: id, key: evidenceKey } = evidence;
+    let stopRecording = null;
+    let stopped = false;
+    // A silent SOS must not show the permission prompt; it records only if access was granted before
+    const permission = silentSOSRef.current
+      ? checkMicrophonePermission()
+      : requestMicrophonePermission();
+    permission
+      .then(async granted => {
+        if (!granted || stopped) {
+          return;
+        }
+        stopRecording = await evidenceService.startEvidenceRecording(
+          id,
+          evidenceKey,
+        );
+        if (stopped) {
+          stopRecording();
+        }
+      })
+      .catch(error =>
+        console.error('Failed to start evidence recording', error),
+      );
+
+    return () => {
+      stopped = true;
+      stopRecording && stopRecording();
+    };
+  }, [sosIncidentId]);
+
+  // Stream live location to the shared trip while navigating. The trip ends when navigation
+  // stops (activeTrip is cleared) or the screen unmounts.
+  useEffect(() => {
+    if (!activeTrip?.id) {
+      return;
+    }
+
+    const tripId = activeTrip.id;
+    const watchId = Geolocation.watchPosition(
+      position => {
+        const { latitude, longitude, accuracy } = position.coords;
+        tripService
+          .sendTripLocation(tripId, { latitude, longitude, accuracy })
+          .then(({ eta, checkIn }) =>
+            setActiveTrip(trip =>
+              trip?.id === tripId ? { ...trip, eta, checkIn } : trip,
+            ),
+          )
+          .catch(error => console.error('Trip location update failed', error));
+      },
+      error => console.log('Trip location watch error:', error),
+      {
+        enableHighAccuracy: true,
+        distanceFilter: 25,
+        interval: 10000,
+        fastestInterval: 5000,
+      },
+    );
+
+    return () => {
+      Geolocation.clearWatch(watchId);
+      tripService
+        .endTrip(tripId)
+        .catch(error => console.error('Failed to end trip', error));
+    };
+  }, [activeTrip?.id]);
+
+  // Follow the live position while navigating: advance the turn-by-turn step, and watch for trouble
+  // (leaving the route, turning away from it, or a long stop on an isolated stretch). Trouble asks
+  // "Are you OK?" through the SOS countdown.
+  const {
+    coords: routeCoords,
+    steps: routeSteps,
+    isolatedSegments,
+  } = selectedRoute || {};
+  useEffect(() => {
+    if (!isNavigating || !routeCoords?.length) {
+      return;
+    }
+
+    const steps = routeSteps || [];
+    let stepIndex = 0;
+    const monitor = routeDeviationService.createDeviationMonitor({
+      coords: routeCoords,
+      isolatedSegments,
+    });
+    deviationMonitorRef.current = monitor;
+    const watchId = Geolocation.watchPosition(
+      position => {
+        const { latitude, longitude, accuracy } = position.coords;
+        navigationPositionRef.current = { latitude, longitude };
+
+        if (steps.length > 0) {
+          const progress = trackStep(steps, stepIndex, { latitude, longitude });
+          stepIndex = progress.index;
+          setCurrentStepIndex(progress.index);
+          setDistanceToManeuver(progress.distanceToManeuver);
+        }
+
+        const deviation = monitor.update({
+          latitude,
+          longitude,
+          accuracy,
+          timestamp: position.timestamp,
+        });
+        if (deviation) {
+          triggerHandlerRef.current(deviation.type);
+        }
+      },
+      error => console.log('Navigation watch error:', error),
+      // No distance filter: a stop only shows up as fixes that keep coming from the same place
+      {
+        enableHighAccuracy: true,
+        distanceFilter: 0,
+        interval: 10000,
+        fastestInterval: 5000,
+      },
+    );
+
+    return () => {
+      Geolocation.clearWatch(watchId);
+      deviationMonitorRef.current = null;
+      setDistanceToManeuver(null);
+    };
+  }, [isNavigating, routeCoords, routeSteps, isolatedSegments]);
+
+  // Ask for a check-in once the planned ETA passes. Without one the backend raises the SOS itself
+  // after its grace period, even if this phone is off by then. Ended trips come first, soonest due
+  // first; the next one is asked about once that is settled.
+  const endedTrip =
+    endedTrips
+      .filter(trip => trip.checkIn?.status === 'pending')
+      .sort(
+        (a, b) => new Date(a.checkIn.dueAt) - new Date(b.checkIn.dueAt),
+      )[0] || null;
+  const checkInTrip = endedTrip || activeTrip;
+  const checkInTripId = checkInTrip?.id;
+  const checkInDueAt =
+    checkInTrip?.checkIn?.status === 'pending'
+      ? checkInTrip.checkIn.dueAt
+      : null;
+  const checkInGraceMinutes = checkInTrip?.checkIn?.graceMinutes;
+  useEffect(() => {
+    if (!checkInDueAt) {
+      return;
+    }
+
+    const timer = setTimeout(
+      () => latestRef.current.promptCheckIn(checkInTripId, checkInGraceMinutes),
+      Math.max(new Date(checkInDueAt).getTime() - Date.now(), 0),
+    );
+    return () => clearTimeout(timer);
+  }, [checkInTripId, checkInDueAt, checkInGraceMinutes]);
+
+  // The backend opened an SOS for a missed check-in: follow it like one started here
+  const checkInIncidentId =
+    endedTrips.find(trip => trip.checkIn?.incidentId)?.checkIn.incidentId ||
+    activeTrip?.checkIn?.incidentId;
+  useEffect(() => {
+    const incidentId = checkInIncidentId;
+    if (!incidentId || latestRef.current.sosIncident?.id === incidentId) {
+      return;
+    }
+
+    sosService
+      .getIncident(incidentId)
+      .then(incident => {
+        setSosHidden(Boolean(incident.silent));
+        setSosIncident(incident);
+      })
+      .catch(error => console.error('Failed to load check-in SOS', error));
+  }, [checkInIncidentId]);
+
   // Get current location on mount
   useEffect(() => {
     requestPermissionAndGetLocation();
-    // load emergency contacts for SOS
-    loadUserProfileContacts();
   }, []);
 
   const loadUserProfileContacts = async () => {
@@ -122,6 +569,62 @@ export default function MapScreen({ navigation }) {
     );
   };
 
+  // Reload nearby reports whenever the user moves about a kilometre
+  const reportAreaKey = currentLocation
+    ? `${currentLocation.latitude.toFixed(
+        2,
+      )},${currentLocation.longitude.toFixed(2)}`
+    : null;
+  useEffect(() => {
+    const { currentLocation: center, loadNearbyReports: load } =
+      latestRef.current;
+    if (reportAreaKey && center) {
+      load(center);
+    }
+  }, [reportAreaKey]);
+
+  const loadNearbyReports = async center => {
+    try {
+      const nearby = await reportService.fetchNearbyReports({
+        latitude: center.latitude,
+        longitude: center.longitude,
+        radius: NEARBY_REPORTS_RADIUS_M,
+      });
+      mergeCommunityReports(nearby);
+    } catch (error) {
+      console.log('Nearby reports unavailable:', error.message);
+    }
+  };
+
+  const mergeCommunityReports = reports => {
+    setCommunityReports(previous => {
+      const byId = new Map(previous.map(r => [r.id, r]));
+      reports.forEach(r => byId.set(r.id, r));
+      return [...byId.values()];
+    });
+  };
+
+  // Safe havens along the selected route; they reload after a reroute
+  useEffect(() => {
+    if (!routeCoords?.length) {
+      setSafeHavens([]);
+      return;
+    }
+
+    let cancelled = false;
+    safeHavenService
+      .fetchHavensAlongRoute(routeCoords)
+      .then(havens => {
+        if (!cancelled) {
+          setSafeHavens(havens);
+        }
+      })
+      .catch(error => console.log('Safe havens unavailable:', error.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [routeCoords]);
+
   // Fetch route when both origin and destination are set
   useEffect(() => {
     if (origin && destination) {
@@ -149,16 +652,30 @@ export default function MapScreen({ navigation }) {
         setRoutes(result.routes);
 
         try {
-          const travelTime = (new Date().getHours() >= 18 || new Date().getHours() < 6) ? 'night' : 'day';
+          const travelTime =
+            new Date().getHours() >= 18 || new Date().getHours() < 6
+              ? 'night'
+              : 'day';
+          // Scoring works without community reports when they cannot be loaded
+          const communityReportsAlongRoutes = await reportService
+            .fetchReportsAlongRoutes(result.routes)
+            .catch(error => {
+              console.log('Route reports unavailable:', error.message);
+              return [];
+            });
+          mergeCommunityReports(communityReportsAlongRoutes);
+
           const safety = await routeSafetyService.analyzeRoutes({
             routes: result.routes,
             origin,
             destination,
             travelTime,
             city: 'Unknown', // minimal change - use a safe default
+            scoringProfile: userProfile?.routeScoringProfile,
+            communityReports: communityReportsAlongRoutes,
           });
 
-          console.log('Route Safety analysis complete');
+          console.log('Route Safety analysis complete', safety.scoringProfile);
           safety.routes.forEach(r => {
             console.log('Route Safety:', r.safetyCategory, r.safetyScore);
           });
@@ -269,8 +786,84 @@ export default function MapScreen({ navigation }) {
       duration: 400,
       useNativeDriver: true,
     }).start(() => {
+      setCurrentStepIndex(0);
       setIsNavigating(true);
     });
+
+    const route = selectedRoute;
+    safetyPinService
+      .getSafetyPins()
+      .then(({ safetyPin, duressPin }) =>
+        tripService.startTrip({
+          route,
+          destinationName: destinationText,
+          userName: userProfile?.name || userName,
+          safetyPin,
+          duressPin,
+        }),
+      )
+      .then(({ tripId, shareLink, eta, checkIn }) =>
+        setActiveTrip({ id: tripId, shareLink, eta, checkIn }),
+      )
+      .catch(error => console.error('Trip sharing unavailable', error));
+  };
+
+  const submitCheckIn = async (tripId, options) => {
+    const applyCheckIn = checkIn => {
+      setActiveTrip(trip =>
+        trip?.id === tripId ? { ...trip, checkIn } : trip,
+      );
+      // Arrived or confirmed: nothing is due any more for the ended trip
+      const settled = ['arrived', 'confirmed'].includes(checkIn.status);
+      setEndedTrips(trips =>
+        settled
+          ? trips.filter(trip => trip.id !== tripId)
+          : trips.map(trip =>
+              trip.id === tripId ? { ...trip, checkIn } : trip,
+            ),
+      );
+    };
+    try {
+      applyCheckIn(await tripService.checkIn(tripId, options));
+    } catch (error) {
+      console.error('Check-in failed', error);
+      if (error.data?.checkIn) {
+        applyCheckIn(error.data.checkIn);
+      } else {
+        Alert.alert(
+          'Check-in failed',
+          'Please try again, or your emergency contacts will be alerted.',
+        );
+      }
+    }
+  };
+
+  const promptCheckIn = (tripId, graceMinutes) => {
+    Alert.alert(
+      'Did you arrive safely?',
+      `Check in within ${graceMinutes} minutes or your emergency contacts will be alerted automatically.`,
+      [
+        {
+          text: `${CHECK_IN_EXTEND_MINUTES} more minutes`,
+          onPress: () =>
+            submitCheckIn(tripId, { extendMinutes: CHECK_IN_EXTEND_MINUTES }),
+        },
+        { text: "I'm safe", onPress: () => submitCheckIn(tripId) },
+      ],
+      { cancelable: false },
+    );
+  };
+
+  const shareTrip = async () => {
+    try {
+      await Share.share({
+        message: `Follow my trip${
+          destinationText ? ` to ${destinationText}` : ''
+        } live on SafeRaasta: ${activeTrip.shareLink}`,
+      });
+    } catch (error) {
+      console.error('Trip share failed', error);
+    }
   };
 
   const stopNavigation = () => {
@@ -280,7 +873,17 @@ export default function MapScreen({ navigation }) {
       duration: 400,
       useNativeDriver: true,
     }).start();
-    
+
+    // Ends the shared trip (see the trip location effect); a check-in still due stays on screen
+    if (activeTrip?.checkIn?.status === 'pending') {
+      setEndedTrips(trips => [
+        ...trips.filter(trip => trip.id !== activeTrip.id),
+        activeTrip,
+      ]);
+    }
+    setActiveTrip(null);
+    setHavenTarget(null);
+
     // Reset navigation state after animation starts
     setTimeout(() => {
       setIsNavigating(false);
@@ -302,7 +905,10 @@ export default function MapScreen({ navigation }) {
     }, 200);
   };
 
-  const formatDistance = (meters) => {
+  // A step's instruction is the maneuver at its start, so the next one is the step after the current
+  const upcomingStep = navigationSteps[currentStepIndex + 1] || null;
+
+  const formatDistance = meters => {
     if (meters < 1000) {
       return `${Math.round(meters)} m`;
     }
@@ -359,6 +965,79 @@ export default function MapScreen({ navigation }) {
     }
   };
 
+  // One tap while navigating: leave the planned route for the closest police station, hospital,
+  // petrol pump or 24x7 store. The new route is not scored, to get the user moving quickly.
+  const navigateToNearestHaven = async () => {
+    const position = navigationPositionRef.current || currentLocation;
+    const haven =
+      position && safeHavenService.findNearestHaven(safeHavens, position);
+    if (!haven) {
+      Alert.alert(
+        'No safe place found',
+        'No police station, hospital or 24-hour place is known near this route.',
+      );
+      return;
+    }
+
+    setFindingHaven(true);
+    try {
+      const result = await getDirections(position, haven, false);
+      const route = result.routes[0];
+      if (result.error || !route) {
+        Alert.alert(
+          'Route Error',
+          result.error || 'No route found to the nearest safe place',
+        );
+        return;
+      }
+
+      const { label } = safeHavenService.getHavenKind(haven.kind);
+      const havenName = haven.name || label;
+      setHavenTarget(haven);
+      setDestinationText(havenName);
+      setRoutes([route]);
+      setSafestRouteIndex(null);
+      setSelectedRoute(route);
+      setSelectedRouteIndex(route.index);
+      setNavigationSteps(route.steps || []);
+      setCurrentStepIndex(0);
+
+      if (mapRef.current && route.coords.length > 0) {
+        mapRef.current.fitToCoordinates(route.coords, {
+          edgePadding: { top: 300, right: 50, bottom: 150, left: 50 },
+          animated: true,
+        });
+      }
+
+      // The shared trip must end at the haven too, or arriving there is not a check-in
+      const tripId = activeTrip?.id;
+      if (tripId) {
+        tripService
+          .rerouteTrip(tripId, { route, destinationName: havenName })
+          .then(({ eta, checkIn }) =>
+            setActiveTrip(trip =>
+              trip?.id === tripId ? { ...trip, eta, checkIn } : trip,
+            ),
+          )
+          .catch(error => {
+            console.error('Trip reroute failed', error);
+            Alert.alert(
+              'Trip not updated',
+              'Your shared trip still ends at the original destination. Check in when you are safe.',
+            );
+          });
+      }
+    } catch (error) {
+      console.error('Safe haven reroute failed:', error);
+      Alert.alert(
+        'Error',
+        'Failed to route to the nearest safe place: ' + error.message,
+      );
+    } finally {
+      setFindingHaven(false);
+    }
+  };
+
   // Helper function to get human-readable address from coordinates
   const getAddressFromCoordinates = async (lat, lng) => {
     try {
@@ -376,81 +1055,414 @@ export default function MapScreen({ navigation }) {
     }
   };
 
-  // Helper function to build bilingual emergency message
-  const buildEmergencyMessage = (name, lat, lng) => {
-    const localTime = new Date().toLocaleString('en-US', {
-      hour: '2-digit',
-      minute: '2-digit',
-      hour12: true,
-      day: '2-digit',
-      month: 'short',
-      year: 'numeric',
-    });
+  const canTriggerSOS = () => {
+    if (!emergencyContacts || emergencyContacts.length === 0) {
+      Alert.alert('No contacts', 'Please add emergency contacts in profile');
+      return false;
+    }
 
-    const locationUrl = `https://maps.google.com/?q=${lat},${lng}`;
-    const displayName = name || 'User';
+    if (!currentLocation) {
+      Alert.alert('Location unavailable', 'Cannot fetch your current location');
+      return false;
+    }
 
-    const englishMessage = `🚨 EMERGENCY ALERT\n${displayName} needs immediate help.\nLocation: ${locationUrl}\nTime: ${localTime}`;
-    
-    const hindiMessage = `🚨 आपातकालीन अलर्ट\n${displayName} को तुरंत मदद की आवश्यकता है।\nस्थान: ${locationUrl}\nसमय: ${localTime}`;
+    if (!userProfile?.name) {
+      Alert.alert('Profile incomplete', 'Please add your name in profile');
+      return false;
+    }
 
-    return `${englishMessage}\n\n${hindiMessage}`;
+    return true;
   };
 
-  const handleSOS = async () => {
-    try {
-      if (!emergencyContacts || emergencyContacts.length === 0) {
-        Alert.alert("No contacts", "Please add emergency contacts in profile");
-        return;
+  // source: 'button' for a tap, the hands-free trigger that fired ('shake', 'keys', 'longPress'),
+  // or a route deviation ('offRoute', 'turnedAway', 'longStop')
+  const startSOSCountdown = source => {
+    const deviationCheck = Boolean(DEVIATION_REASONS[source]);
+    // Already counting down or in an SOS: the deviation needs no question, but the monitor must resume
+    if (
+      deviationCheck &&
+      (sosCountdown !== null || sosService.isIncidentActive(sosIncident))
+    ) {
+      deviationMonitorRef.current?.acknowledge();
+      return;
+    }
+    if (sosCountdown !== null) {
+      return;
+    }
+    // A stray shake or key press during a running SOS must not start another one
+    if (source !== 'button' && sosService.isIncidentActive(sosIncident)) {
+      return;
+    }
+    if (!canTriggerSOS()) {
+      return;
+    }
+
+    // A deviation is not the user asking for help, so it is always asked about first, even in silent mode
+    if (silentSOS && !deviationCheck) {
+      // Nothing on screen and no buzz: the SOS goes out straight away and can still be cancelled with the PIN
+      if (userProfile.silentSOSScreen === 'decoy') {
+        setShowDecoy(true);
       }
+      handleSOS();
+      return;
+    }
 
-      if (!currentLocation) {
-        Alert.alert("Location unavailable", "Cannot fetch your current location");
-        return;
+    if (source !== 'button') {
+      // Tell the user, without looking at the screen, that the gesture registered
+      Vibration.vibrate([0, 400, 200, 400]);
+    }
+    setSosTriggerSource(source);
+    setSosCountdown(
+      deviationCheck
+        ? DEVIATION_RESPONSE_SECONDS
+        : triggerSettings.confirmSeconds,
+    );
+  };
+  triggerHandlerRef.current = startSOSCountdown;
+
+  const cancelSOSCountdown = () => {
+    // "I'm OK": the deviation monitor stays quiet for a while before asking again
+    if (DEVIATION_REASONS[sosTriggerSource]) {
+      deviationMonitorRef.current?.acknowledge();
+    }
+    setSosCountdown(null);
+  };
+
+  // SOS feedback that a silent SOS must not show
+  const notifySOS = (title, message) => {
+    if (silentSOSRef.current) {
+      console.log(`Silent SOS, not shown: ${title} - ${message}`);
+      return;
+    }
+    Alert.alert(title, message);
+  };
+
+  // Show live progress from the incident instead of a one-off alert
+  const showSOSIncident = data => {
+    setSosHidden(Boolean(data.silent));
+    setSosIncident({
+      id: data.incidentId,
+      status: data.state,
+      cancellable: data.cancellable,
+      contacts: data.contacts,
+      silent: Boolean(data.silent),
+      evidenceKey: data.evidenceKey,
+    });
+
+    if (data.rejectedContacts?.length > 0) {
+      const names = data.rejectedContacts
+        .map(c => c.name || c.phone)
+        .join(', ');
+      notifySOS(
+        'Some contacts skipped',
+        `These contacts have an invalid phone number and were not called: ${names}. Fix them in your profile.`,
+      );
+    }
+  };
+
+  const retryQueuedSOS = async force => {
+    if (processingQueueRef.current) {
+      return;
+    }
+    processingQueueRef.current = true;
+
+    try {
+      const { sent, dropped } = await sosQueue.processQueue({
+        force,
+        onChange: setQueuedSOS,
+      });
+
+      if (sent.length > 0) {
+        const last = sent[sent.length - 1];
+        showSOSIncident(last.response);
+        // Cancelled with the duress PIN while queued: the alert runs, but nothing shows
+        if (last.entry.hidden) {
+          setSosHidden(true);
+        }
       }
+      dropped.forEach(({ entry, error }) => {
+        if (entry.hidden) {
+          return;
+        }
+        notifySOS(
+          'Queued SOS failed',
+          error.message || 'The backend rejected the SOS',
+        );
+      });
+    } catch (error) {
+      console.error('SOS queue retry failed', error);
+    } finally {
+      processingQueueRef.current = false;
+    }
+  };
 
-      if (!userProfile?.name) {
-        Alert.alert("Profile incomplete", "Please add your name in profile");
+  const handleSOS = async () => {
+    // Keys the on-device SMS fallback when the backend returns no incident, so every attempt can text
+    const attemptId = `attempt-${Date.now()}`;
+    let payload = null;
+    try {
+      if (!canTriggerSOS()) {
         return;
       }
 
-      const payload = {
+      const { safetyPin, duressPin } = await safetyPinService.getSafetyPins();
+
+      payload = {
         userName: userProfile.name,
         latitude: currentLocation.latitude,
         longitude: currentLocation.longitude,
+        // Contacts are not sent: the backend dials only the ones stored in the profile
         timestamp: new Date().toISOString(),
-        contacts: emergencyContacts
+        safetyPin: safetyPin || undefined,
+        duressPin: duressPin || undefined,
       };
 
-      const response = await fetch(`${BASE_URL}/api/sos`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload)
-      });
+      const data = await sosService.triggerSOS(payload);
+      showSOSIncident(data);
+    } catch (err) {
+      console.error('SOS Error:', err);
 
-      const data = await response.json();
+      // Signed out: the backend cannot take this SOS now or on a retry, so text contacts from this phone
+      if (err.code === 'auth_required') {
+        const smsSent = await sendSOSFallbackSMS(attemptId);
+        notifySOS(
+          'Sign in to send SOS',
+          'You are signed out, so the SOS server could not be reached. Sign in again to enable calls.' +
+            (smsSent ? ' Your contacts were sent an SMS from this phone.' : ''),
+        );
+        return;
+      }
 
-      if (!response.ok) {
-        throw new Error(data.error || "Failed to trigger SOS");
+      // No response (offline, timeout), a server error or a rate limit: queue it exactly as a failed
+      // retry would be, and text contacts right away unless the backend already did
+      if (payload && sosQueue.isRetryable(err)) {
+        const entry = await sosQueue.enqueueSOS(payload, err);
+        setQueuedSOS(await sosQueue.getQueuedSOS());
+        const smsSent =
+          err.data?.sms?.status === 'sent' ||
+          (await sendSOSFallbackSMS(err.data?.incidentId || entry.id));
+        await sosQueue.updateQueuedSOS(entry.id, { smsSent });
+        setQueuedSOS(await sosQueue.getQueuedSOS());
+
+        let reason = 'No connection to the SOS server.';
+        if (err.data?.code === 'rate_limited') {
+          // Several SOS alerts were already opened recently; the backend will not place more calls yet
+          reason = `Too many SOS alerts in a short time. It will be sent again in ${err.data.retryAfterSeconds}s.`;
+        } else if (err.data) {
+          reason = 'The SOS server could not place the calls.';
+        }
+        notifySOS(
+          'SOS queued',
+          `${reason} It will keep retrying automatically.` +
+            (smsSent ? ' Your contacts were sent an SMS from this phone.' : ''),
+        );
+        return;
       }
 
-      Alert.alert("SOS Sent", "Emergency call is being placed now");
+      // The backend refused the SOS: text the contacts from this phone
+      const backendTexted = err.data?.sms?.status === 'sent';
+      const smsSent =
+        backendTexted ||
+        (await sendSOSFallbackSMS(err.data?.incidentId || attemptId));
 
-    } catch (err) {
-      console.error("SOS Error:", err);
-      Alert.alert("SOS Error", err.message || "Something went wrong");
+      if (smsSent) {
+        notifySOS(
+          'SOS sent by SMS',
+          'Calls could not be placed, so your contacts were sent an SMS',
+        );
+      } else {
+        notifySOS('SOS Error', err.message || 'Something went wrong');
+      }
+    }
+  };
+
+  const sendSOSFallbackSMS = async (incidentId, trackingLink) => {
+    if (smsSentForIncidentRef.current === incidentId || !currentLocation) {
+      return false;
+    }
+    // The SMS composer opens on screen, which a silent SOS must avoid; the backend still texts contacts
+    if (silentSOSRef.current) {
+      return false;
+    }
+    smsSentForIncidentRef.current = incidentId;
+
+    const message = smsService.buildEmergencyMessage(
+      userProfile?.name,
+      currentLocation.latitude,
+      currentLocation.longitude,
+      trackingLink,
+    );
+    return smsService.sendEmergencySMS(emergencyContacts, message);
+  };
+
+  const shareEvidence = async () => {
+    try {
+      const { url, expiresAt } = await sosService.createEvidenceLink(
+        sosIncident.id,
+      );
+      await Share.share({
+        message: `Audio recorded on my phone during an SOS (link expires ${new Date(
+          expiresAt,
+        ).toLocaleString()}): ${url}`,
+      });
+    } catch (error) {
+      console.error('Evidence share failed', error);
+      Alert.alert(
+        'Could not share recording',
+        error.message || 'Please try again',
+      );
+    }
+  };
+
+  const submitCommunityReport = async ({ category, note }) => {
+    if (!currentLocation) {
+      throw new Error('Waiting for your location');
+    }
+
+    const { confirmed, report } = await reportService.submitReport({
+      category,
+      note,
+      latitude: currentLocation.latitude,
+      longitude: currentLocation.longitude,
+    });
+    mergeCommunityReports([report]);
+    setShowReport(false);
+    Alert.alert(
+      'Thanks for reporting',
+      confirmed
+        ? 'Someone already reported this spot. Your report confirms it.'
+        : 'Others nearby will see it and routes through here will score lower.',
+    );
+  };
+
+  const handleReportPress = report => {
+    const { label } = reportService.getReportCategory(report.category);
+    const removeFromMap = () =>
+      setCommunityReports(previous => previous.filter(r => r.id !== report.id));
+
+    if (report.mine) {
+      Alert.alert(label, 'Remove your report?', [
+        { text: 'Keep', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: () =>
+            reportService
+              .deleteReport(report.id)
+              .then(removeFromMap)
+              .catch(error =>
+                Alert.alert('Could not remove report', error.message),
+              ),
+        },
+      ]);
+      return;
+    }
+
+    Alert.alert(label, 'Is this report wrong or abusive?', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Flag report',
+        onPress: () =>
+          reportService
+            .flagReport(report.id)
+            .then(removeFromMap)
+            .catch(error =>
+              Alert.alert('Could not flag report', error.message),
+            ),
+      },
+    ]);
+  };
+
+  // Bring back the SOS banner hidden by a silent SOS (held app title or calculator display)
+  const revealSilentSOS = () => {
+    setShowDecoy(false);
+    if (sosIncident?.silent) {
+      setSosHidden(false);
     }
   };
 
+  const handleCancelSOS = async pin => {
+    const incidentId = sosIncident?.id;
+    if (!incidentId) {
+      return;
+    }
+
+    await sosService.cancelSOS(incidentId, pin);
+    setShowCancelPin(false);
+
+    if (await safetyPinService.isDuressPin(pin)) {
+      // Looks exactly like a cancel, but the alert and location sharing keep running
+      setSosHidden(true);
+    } else {
+      setSosIncident(null);
+    }
+    Alert.alert('SOS cancelled', 'Your contacts will be told you are safe');
+  };
+
+  // Call off a queued SOS before it reaches the server. Like cancelling an active SOS, this needs
+  // the safety PIN when one is set; without one a confirmation is enough.
+  const cancelQueuedSOS = async () => {
+    const { safetyPin } = await safetyPinService.getSafetyPins();
+    if (safetyPin) {
+      setShowCancelPin(true);
+      return;
+    }
+    Alert.alert('Cancel SOS?', 'The queued SOS will not be sent.', [
+      { text: 'Keep sending', style: 'cancel' },
+      {
+        text: 'Cancel SOS',
+        style: 'destructive',
+        onPress: async () => {
+          await sosQueue.clearQueue();
+          setQueuedSOS([]);
+        },
+      },
+    ]);
+  };
+
+  const handleCancelQueuedSOS = async pin => {
+    const { safetyPin, duressPin } = await safetyPinService.getSafetyPins();
+    if (duressPin && pin === duressPin) {
+      // Looks exactly like a cancel, but the queued SOS keeps retrying out of sight
+      for (const entry of queuedSOS) {
+        await sosQueue.updateQueuedSOS(entry.id, { hidden: true });
+      }
+    } else if (pin === safetyPin) {
+      await sosQueue.clearQueue();
+    } else {
+      throw new Error('Incorrect PIN');
+    }
+    setQueuedSOS(await sosQueue.getQueuedSOS());
+    setShowCancelPin(false);
+    Alert.alert('SOS cancelled', 'The queued SOS will not be sent');
+  };
+
+  latestRef.current = {
+    currentLocation,
+    sosIncident,
+    sendSOSFallbackSMS,
+    retryQueuedSOS,
+    handleSOS,
+    promptCheckIn,
+    loadNearbyReports,
+  };
+
   return (
     <View style={styles.container}>
       {/* Header */}
       <View style={styles.header}>
         {/* Centered header with logo and title */}
-        <View style={styles.centerHeaderContainer}>
-          <Image source={require('../../assets/images/logo.png')} style={styles.headerLogo} />
+        <Pressable
+          style={styles.centerHeaderContainer}
+          onLongPress={revealSilentSOS}
+          delayLongPress={2000}
+        >
+          <Image
+            source={require('../../assets/images/logo.png')}
+            style={styles.headerLogo}
+          />
           <Text style={styles.headerTitle}>SafeRaasta-AI</Text>
-        </View>
+        </Pressable>
 
         <View style={{ flexDirection: 'row', alignItems: 'center', gap: 8 }}>
           {isNavigating && (
@@ -469,6 +1481,42 @@ export default function MapScreen({ navigation }) {
 
       <ProfileModal visible={showProfile} onClose={() => setShowProfile(false)} />
 
+      <ReportModal
+        visible={showReport}
+        onSubmit={submitCommunityReport}
+        onClose={() => setShowReport(false)}
+      />
+
+      {!sosIncident && !silentSOS && (
+        <SOSQueueBanner
+          queue={queuedSOS.filter(entry => !entry.hidden)}
+          onRetry={() => retryQueuedSOS(true)}
+          onCancel={cancelQueuedSOS}
+        />
+      )}
+
+      {!sosIncident && queuedSOS.length === 0 && endedTrip && (
+        <CheckInBanner
+          checkIn={endedTrip.checkIn}
+          onCheckIn={() => submitCheckIn(endedTrip.id)}
+        />
+      )}
+
+      {!sosHidden && (
+        <SOSStatusBanner
+          incident={sosIncident}
+          onCancel={() => setShowCancelPin(true)}
+          onDismiss={() => setSosIncident(null)}
+          onShareEvidence={shareEvidence}
+        />
+      )}
+
+      <SafetyPinModal
+        visible={showCancelPin}
+        onSubmit={sosIncident ? handleCancelSOS : handleCancelQueuedSOS}
+        onClose={() => setShowCancelPin(false)}
+      />
+
       {/* Map */}
       <MapView
         ref={mapRef}
@@ -494,35 +1542,100 @@ export default function MapScreen({ navigation }) {
           </Marker>
         )}
 
-        {/* Destination Marker */}
-        {destination && (
+        {/* Destination Marker, or the safe haven the user was rerouted to */}
+        {(havenTarget || destination) && (
           <Marker
-            coordinate={destination}
+            coordinate={
+              havenTarget
+                ? {
+                    latitude: havenTarget.latitude,
+                    longitude: havenTarget.longitude,
+                  }
+                : destination
+            }
             pinColor={colors.primary}
           />
         )}
 
-        {/* Route Polylines with safety coloring */}
-        {routes && routes.length > 0 && routes.map((r) => {
-          const isSelected = selectedRoute && r.index === selectedRoute.index;
-          const category = r.safetyCategory || null;
-          const color = category === 'Safe' ? '#00C853' : (category === 'Moderate' ? '#FFC107' : (category === 'Risky' ? '#FF5252' : colors.primary));
-          const strokeWidth = isSelected ? (isNavigating ? 8 : 6) : 3;
-          const lineDashPattern = isSelected ? undefined : [10, 6];
-
+        {/* Safe havens along the route */}
+        {safeHavens.map(haven => {
+          const { label, icon } = safeHavenService.getHavenKind(haven.kind);
           return (
-            <Polyline
-              key={`route-${r.index}`}
-              coordinates={r.coords}
-              strokeWidth={strokeWidth}
-              strokeColor={color}
-              lineDashPattern={lineDashPattern}
-              lineCap="round"
-              lineJoin="round"
-              onPress={() => handleSelectRoute(r)}
-            />
+            <Marker
+              key={`haven-${haven.kind}-${haven.latitude}-${haven.longitude}`}
+              coordinate={{
+                latitude: haven.latitude,
+                longitude: haven.longitude,
+              }}
+              title={haven.name || label}
+              description={`${label} • ${formatDistance(
+                haven.distanceFromRoute,
+              )} off the route`}
+            >
+              <Text style={styles.havenMarker}>{icon}</Text>
+            </Marker>
           );
         })}
+
+        {/* Community reports, faded as they age */}
+        {communityReports.map(report => (
+          <Marker
+            key={`report-${report.id}`}
+            coordinate={{
+              latitude: report.latitude,
+              longitude: report.longitude,
+            }}
+            title={reportService.getReportCategory(report.category).label}
+            description={
+              report.note ||
+              `Reported ${new Date(report.createdAt).toLocaleDateString()}`
+            }
+            opacity={0.4 + 0.6 * report.weight}
+            onCalloutPress={() => handleReportPress(report)}
+          >
+            <Text style={styles.reportMarker}>
+              {reportService.getReportCategory(report.category).icon}
+            </Text>
+          </Marker>
+        ))}
+
+        {/* Route Polylines with safety coloring */}
+        {routes &&
+          routes.length > 0 &&
+          routes.map(r => {
+            const isSelected = selectedRoute && r.index === selectedRoute.index;
+            const color = safetyColor(r.safetyCategory);
+            const strokeWidth = isSelected ? (isNavigating ? 8 : 6) : 3;
+            const lineDashPattern = isSelected ? undefined : [10, 6];
+
+            // The chosen route is drawn stretch by stretch, coloured by each segment's score
+            if (isSelected && r.segmentScores?.length > 0) {
+              return r.segmentScores.map(segment => (
+                <Polyline
+                  key={`route-${r.index}-${segment.id}`}
+                  coordinates={segment.coords}
+                  strokeWidth={strokeWidth}
+                  strokeColor={safetyColor(segment.safetyCategory)}
+                  lineCap="round"
+                  lineJoin="round"
+                  zIndex={1}
+                />
+              ));
+            }
+
+            return (
+              <Polyline
+                key={`route-${r.index}`}
+                coordinates={r.coords}
+                strokeWidth={strokeWidth}
+                strokeColor={color}
+                lineDashPattern={lineDashPattern}
+                lineCap="round"
+                lineJoin="round"
+                onPress={() => handleSelectRoute(r)}
+              />
+            );
+          })}
       </MapView>
 
       {/* Input Card - Hide during navigation */}
@@ -667,7 +1780,13 @@ export default function MapScreen({ navigation }) {
                 {formatDistance(selectedRoute.distance)}
               </Text>
               <Text style={styles.navigationDuration}>
-                {formatDuration(selectedRoute.duration)} • ETA {new Date(Date.now() + selectedRoute.duration * 1000).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}
+                {formatDuration(selectedRoute.duration)} • ETA{' '}
+                {new Date(
+                  activeTrip?.eta || Date.now() + selectedRoute.duration * 1000,
+                ).toLocaleTimeString('en-US', {
+                  hour: '2-digit',
+                  minute: '2-digit',
+                })}
               </Text>
             </View>
             <TouchableOpacity 
@@ -691,21 +1810,89 @@ export default function MapScreen({ navigation }) {
           </View>
 
           <View style={styles.navigationStatusContainer}>
-            <Text style={styles.navigationInstruction}>
-              🧭 Navigating to destination
-            </Text>
-            <Text style={styles.navigationSubtext}>
-              Following the safest route
-            </Text>
+            {navigationSteps.length > 0 ? (
+              <>
+                <Text style={styles.navigationInstruction}>
+                  {upcomingStep
+                    ? `${MANEUVER_ICONS[upcomingStep.maneuver] || '⬆️'} ${
+                        upcomingStep.instruction
+                      }`
+                    : '🏁 Arrive at destination'}
+                </Text>
+                <Text style={styles.navigationSubtext}>
+                  {distanceToManeuver !== null
+                    ? `In ${formatDistance(distanceToManeuver)}`
+                    : navigationSteps[currentStepIndex]?.instruction}
+                </Text>
+              </>
+            ) : (
+              <>
+                <Text style={styles.navigationInstruction}>
+                  🧭 Navigating to destination
+                </Text>
+                <Text style={styles.navigationSubtext}>
+                  Following the safest route
+                </Text>
+              </>
+            )}
           </View>
+
+          {safeHavens.length > 0 && !havenTarget && (
+            <TouchableOpacity
+              style={[styles.havenBtn, findingHaven && styles.havenBtnDisabled]}
+              onPress={navigateToNearestHaven}
+              disabled={findingHaven}
+            >
+              <Text style={styles.havenBtnText}>
+                {findingHaven
+                  ? 'Finding a route...'
+                  : '🛡️ Navigate to nearest safe place'}
+              </Text>
+            </TouchableOpacity>
+          )}
+
+          {activeTrip?.checkIn?.status === 'pending' && (
+            <Text style={styles.checkInText}>
+              Check in by{' '}
+              {new Date(activeTrip.checkIn.dueAt).toLocaleTimeString('en-US', {
+                hour: '2-digit',
+                minute: '2-digit',
+              })}
+            </Text>
+          )}
+
+          {activeTrip && (
+            <View style={styles.tripActions}>
+              <TouchableOpacity style={styles.shareTripBtn} onPress={shareTrip}>
+                <Text style={styles.shareTripText}>Share trip</Text>
+              </TouchableOpacity>
+              {activeTrip.checkIn?.status === 'pending' && (
+                <TouchableOpacity
+                  style={[styles.shareTripBtn, styles.checkInBtn]}
+                  onPress={() => submitCheckIn(activeTrip.id)}
+                >
+                  <Text style={styles.shareTripText}>I'm safe</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          )}
         </Animated.View>
       )}
 
       {/* Map Controls */}
       <View style={styles.mapControls}>
-        <TouchableOpacity style={styles.sosButton} onPress={handleSOS}>
+        <TouchableOpacity
+          style={styles.sosButton}
+          onPress={() => startSOSCountdown('button')}
+        >
           <Text style={styles.sosText}>🚨 SOS</Text>
         </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.mapControlButton}
+          onPress={() => setShowReport(true)}
+        >
+          <Text style={styles.mapControlIcon}>⚠️</Text>
+        </TouchableOpacity>
         <TouchableOpacity style={styles.mapControlButton}>
           <Text style={styles.mapControlIcon}>🧭</Text>
         </TouchableOpacity>
@@ -717,6 +1904,31 @@ export default function MapScreen({ navigation }) {
         </TouchableOpacity>
       </View>
 
+      {triggerSettings.longPress && (
+        <SOSHoldWidget
+          holdMs={
+            sosTriggerService.getSensitivityProfile(triggerSettings.sensitivity)
+              .longPressMs
+          }
+          onTrigger={() => startSOSCountdown('longPress')}
+        />
+      )}
+
+      <SOSCountdown
+        secondsLeft={sosCountdown}
+        reason={
+          SOS_TRIGGER_REASONS[sosTriggerSource] ||
+          DEVIATION_REASONS[sosTriggerSource]
+        }
+        question={
+          DEVIATION_REASONS[sosTriggerSource] ? 'Are you OK?' : undefined
+        }
+        cancelLabel={DEVIATION_REASONS[sosTriggerSource] ? "I'm OK" : 'Cancel'}
+        onCancel={cancelSOSCountdown}
+      />
+
+      <DecoyCalculator visible={showDecoy} onExit={revealSilentSOS} />
+
       {/* Route Safety Summary - non-blocking bottom sheet */}
       <RouteSafetySummary
         selectedRoute={selectedRoute ? {
@@ -1014,6 +2226,12 @@ const styles = StyleSheet.create({
   mapControlIcon: {
     fontSize: 24,
   },
+  reportMarker: {
+    fontSize: 22,
+  },
+  havenMarker: {
+    fontSize: 22,
+  },
   navigationPanel: {
     position: 'absolute',
     top: 90,
@@ -1108,6 +2326,46 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: colors.text.secondary,
   },
+  havenBtn: {
+    marginTop: 12,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: colors.risk.low,
+    alignItems: 'center',
+  },
+  havenBtnDisabled: {
+    opacity: 0.6,
+  },
+  havenBtnText: {
+    color: colors.white,
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  checkInText: {
+    marginTop: 8,
+    fontSize: 13,
+    color: colors.text.secondary,
+  },
+  tripActions: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 12,
+  },
+  shareTripBtn: {
+    flex: 1,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: colors.primary,
+    alignItems: 'center',
+  },
+  checkInBtn: {
+    backgroundColor: colors.risk.low,
+  },
+  shareTripText: {
+    color: colors.white,
+    fontSize: 15,
+    fontWeight: '600',
+  },
 });
 
 const autocompleteStyles = {
@@ -216,4 +216,27 @@ export const logoutUser = async () => {
  */
 export const getCurrentUser = () => {
   return auth.currentUser;
-};
\ No newline at end of file
+};
+/**
+ * Get a Firebase ID token for the current user, for calls to the SafeRaasta backend
+ * @returns {Promise<string|null>} - Returns the token, or null when nobody is signed in
+ */
+export const getIdToken = async () => {
+  const user = auth.currentUser;
+  return user ? user.getIdToken() : null;
+};
+
+/**
+ * Headers for an authenticated backend request
+ * @param {Object} extra - Additional headers to send
+ * @returns {Promise<Object>} - Throws with error.code 'auth_required' when nobody is signed in
+ */
+export const getAuthHeaders = async (extra = {}) => {
+  const token = await getIdToken();
+  if (!token) {
+    const error = new Error('Please sign in again to continue');
+    error.code = 'auth_required';
+    throw error;
+  }
+  return { ...extra, Authorization: `Bearer ${token}` };
+};
@@ -0,0 +1,73 @@
+// Contact service: emergency contact invitations and consent via the SafeRaasta backend
+import { BASE_URL } from '../config/backend';
+import { getAuthHeaders } from './authService';
+
+const postJson = async (path, body, fallbackError) => {
+  const response = await fetch(`${BASE_URL}${path}`, {
+    method: 'POST',
+    headers: await getAuthHeaders({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify(body),
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || fallbackError);
+  }
+
+  return data;
+};
+
+/**
+ * Consent status of each saved contact, as recorded by the backend:
+ * [{ phone, status, invitedAt, respondedAt }]
+ */
+export const fetchContactStatuses = async () => {
+  const response = await fetch(`${BASE_URL}/api/contacts`, {
+    headers: await getAuthHeaders(),
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to load contact statuses');
+  }
+
+  return data.contacts;
+};
+
+/**
+ * Send (or resend) an invitation to a contact saved in the profile.
+ * The contact gets an opt-in link and a one-time code by SMS, or the code in a call.
+ */
+export const inviteContact = phone =>
+  postJson('/api/contacts/invite', { phone }, 'Failed to invite contact');
+
+/**
+ * Confirm a contact with the code they read back to the user
+ */
+export const verifyContact = (phone, code) =>
+  postJson('/api/contacts/verify', { phone, code }, 'Failed to verify contact');
+
+/**
+ * Short label for a stored contact's consent status
+ */
+export const describeContactStatus = status => {
+  switch (status) {
+    case 'verified':
+      return '✅ Verified';
+    case 'declined':
+      return '⛔ Declined';
+    case 'pending':
+      return '⏳ Invitation sent';
+    default:
+      return '⚠️ Not invited';
+  }
+};
+
+export default {
+  fetchContactStatuses,
+  inviteContact,
+  verifyContact,
+  describeContactStatus,
+};
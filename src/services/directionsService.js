@@ -8,13 +8,20 @@
 //       distance,   // meters
 //       duration,   // seconds
 //       summary,
-//       bounds
+//       bounds,
+//       steps: [{ instruction, maneuver, distance, duration, coords, endLocation }]
 //     }
 //   ],
 //   error
 // }
 
 import { GOOGLE_API_KEY } from '../config/keys';
+import { distanceMeters, distanceToRoute } from './routeDeviationService';
+
+// Within this distance of a step's end the next step becomes current
+const STEP_END_RADIUS_M = 20;
+// How much closer the next step's path must be before switching to it early
+const STEP_SWITCH_MARGIN_M = 10;
 
 /* ---------------- Polyline Decoder ---------------- */
 
@@ -59,6 +66,88 @@ export function decodePolyline(encoded) {
   return coordinates;
 }
 
+/* ---------------- Turn-by-turn Steps ---------------- */
+
+// "Turn <b>left</b> onto <b>MG Road</b><div>Destination on the right</div>" -> plain text
+function toPlainInstruction(html) {
+  return (html || '')
+    .replace(/<div[^>]*>/g, '. ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export function parseSteps(legs) {
+  return (legs || []).flatMap(leg =>
+    (leg.steps || []).map(step => ({
+      instruction: toPlainInstruction(step.html_instructions),
+      // e.g. 'turn-left', 'roundabout-right'; Google leaves it out for "head north" and straight on
+      maneuver: step.maneuver || 'straight',
+      distance: step.distance?.value ?? 0, // meters
+      duration: step.duration?.value ?? 0, // seconds
+      coords: decodePolyline(step.polyline?.points),
+      endLocation: {
+        latitude: step.end_location?.lat,
+        longitude: step.end_location?.lng,
+      },
+    })),
+  );
+}
+
+// Meters left on a step: to the end of its closest segment, then along the rest of its path
+function remainingOnStep(step, position) {
+  const { coords } = step;
+  if (coords.length < 2) {
+    return distanceMeters(position, step.endLocation);
+  }
+
+  let closest = 1;
+  let closestDistance = Infinity;
+  for (let i = 1; i < coords.length; i++) {
+    const d = distanceToRoute(position, [coords[i - 1], coords[i]]);
+    if (d < closestDistance) {
+      closest = i;
+      closestDistance = d;
+    }
+  }
+
+  let remaining = distanceMeters(position, coords[closest]);
+  for (let i = closest + 1; i < coords.length; i++) {
+    remaining += distanceMeters(coords[i - 1], coords[i]);
+  }
+  return remaining;
+}
+
+/**
+ * Step the user is on (never going back from currentIndex) and the meters left on it.
+ * A step's instruction is the maneuver at its start, so the one coming up is the next step's,
+ * distanceToManeuver ahead (on the last step, the destination).
+ */
+export function trackStep(steps, currentIndex, position) {
+  let index = Math.min(currentIndex, steps.length - 1);
+
+  while (index < steps.length - 1) {
+    const step = steps[index];
+    const next = steps[index + 1];
+    const reachedEnd =
+      distanceMeters(position, step.endLocation) <= STEP_END_RADIUS_M;
+    const onNext =
+      distanceToRoute(position, next.coords) + STEP_SWITCH_MARGIN_M <
+      distanceToRoute(position, step.coords);
+    if (!reachedEnd && !onNext) {
+      break;
+    }
+    index += 1;
+  }
+
+  return {
+    index,
+    distanceToManeuver: Math.round(remainingOnStep(steps[index], position)),
+  };
+}
+
 /* ---------------- Directions Fetch ---------------- */
 
 export async function getDirections(origin, destination, alternatives = true) {
@@ -99,6 +188,7 @@ export async function getDirections(origin, destination, alternatives = true) {
         duration: leg?.duration?.value ?? 0,
         summary: route.summary || '',
         bounds: route.bounds || null,
+        steps: parseSteps(route.legs),
       };
     });
 
@@ -0,0 +1,159 @@
+// Evidence service: records audio in encrypted chunks during an SOS and uploads them to the incident
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { NativeModules, NativeEventEmitter, Platform } from 'react-native';
+import sosService from './sosService';
+
+const BUFFER_KEY = '@saferaasta/evidenceBuffer';
+const SEQUENCE_KEY = '@saferaasta/evidenceSequence';
+const CHUNK_SECONDS = 30;
+
+const { EvidenceRecorder } = NativeModules;
+
+let listening = false;
+let flushing = null;
+
+// The recorder is a native Android service; there is no iOS implementation
+export const isEvidenceRecordingAvailable = () =>
+  Platform.OS === 'android' && Boolean(EvidenceRecorder);
+
+const readJson = async (key, fallback) => {
+  const raw = await AsyncStorage.getItem(key);
+  if (!raw) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.error(`Corrupt ${key}, resetting it`, error);
+    return fallback;
+  }
+};
+
+/**
+ * Encrypted chunks recorded but not uploaded yet, oldest first.
+ * Each entry: { incidentId, sequence, path, iv, startedAt, durationMs, mimeType }
+ */
+export const getBufferedEvidence = async () => {
+  const buffer = await readJson(BUFFER_KEY, []);
+  return Array.isArray(buffer) ? buffer : [];
+};
+
+const writeBuffer = buffer =>
+  buffer.length > 0
+    ? AsyncStorage.setItem(BUFFER_KEY, JSON.stringify(buffer))
+    : AsyncStorage.removeItem(BUFFER_KEY);
+
+const removeBuffered = async entry => {
+  const buffer = await getBufferedEvidence();
+  await writeBuffer(
+    buffer.filter(
+      e => e.incidentId !== entry.incidentId || e.sequence !== entry.sequence,
+    ),
+  );
+  await EvidenceRecorder.deleteChunk(entry.path).catch(error =>
+    console.error('Failed to delete evidence chunk', error),
+  );
+};
+
+// The backend refused the chunk (e.g. 404, 413, 415): uploading it again will not help. A 429 or a
+// server error (5xx) may pass later, so the chunk stays buffered.
+const isFinalResponse = error =>
+  error?.status >= 400 && error.status < 500 && error.status !== 429;
+
+/**
+ * Upload every buffered chunk, oldest first. A network failure stops the run and keeps the
+ * rest buffered for the next flush; chunks the backend refuses for good are dropped.
+ */
+export const flushEvidence = () => {
+  if (!isEvidenceRecordingAvailable()) {
+    return Promise.resolve();
+  }
+  if (flushing) {
+    return flushing;
+  }
+
+  flushing = (async () => {
+    for (const entry of await getBufferedEvidence()) {
+      let data;
+      try {
+        data = await EvidenceRecorder.readChunk(entry.path);
+      } catch (error) {
+        console.error('Evidence chunk missing, dropping it', error);
+        await removeBuffered(entry);
+        continue;
+      }
+
+      try {
+        const { incidentId, path, ...chunk } = entry;
+        await sosService.uploadEvidenceChunk(incidentId, { ...chunk, data });
+        await removeBuffered(entry);
+      } catch (error) {
+        if (!isFinalResponse(error)) {
+          console.log(
+            'Evidence upload failed, keeping it buffered',
+            error.message,
+          );
+          break;
+        }
+        console.error('Evidence chunk rejected', error.message);
+        await removeBuffered(entry);
+      }
+    }
+  })().finally(() => {
+    flushing = null;
+  });
+  return flushing;
+};
+
+// One listener for the app's lifetime: the last chunk arrives after stop() returns
+const ensureListening = () => {
+  if (listening) {
+    return;
+  }
+  listening = true;
+
+  const emitter = new NativeEventEmitter(EvidenceRecorder);
+  emitter.addListener('EvidenceChunk', async chunk => {
+    try {
+      await writeBuffer([...(await getBufferedEvidence()), chunk]);
+      await AsyncStorage.setItem(
+        SEQUENCE_KEY,
+        JSON.stringify({
+          incidentId: chunk.incidentId,
+          next: chunk.sequence + 1,
+        }),
+      );
+      await flushEvidence();
+    } catch (error) {
+      console.error('Failed to buffer evidence chunk', error);
+    }
+  });
+  emitter.addListener('EvidenceError', ({ message }) =>
+    console.error('Evidence recording error', message),
+  );
+};
+
+/**
+ * Start recording for an incident, encrypting with the key from the SOS response.
+ * Needs the microphone permission. Returns a function that stops the recording.
+ */
+export const startEvidenceRecording = async (incidentId, evidenceKey) => {
+  if (!isEvidenceRecordingAvailable() || !evidenceKey) {
+    return () => {};
+  }
+  ensureListening();
+
+  // Continue numbering if this incident was already recorded, so no chunk is overwritten
+  const last = await readJson(SEQUENCE_KEY, null);
+  const firstSequence = last?.incidentId === incidentId ? last.next : 0;
+
+  EvidenceRecorder.start(incidentId, evidenceKey, CHUNK_SECONDS, firstSequence);
+  return () => EvidenceRecorder.stop();
+};
+
+export default {
+  isEvidenceRecordingAvailable,
+  getBufferedEvidence,
+  flushEvidence,
+  startEvidenceRecording,
+};
@@ -77,3 +77,33 @@ export const checkLocationPermission = async () => {
   
   return false;
 };
+
+// Audio evidence is recorded by a native Android service; there is no recorder on iOS
+export const requestMicrophonePermission = async () => {
+  if (Platform.OS !== 'android') return false;
+  try {
+    const granted = await PermissionsAndroid.request(
+      PermissionsAndroid.PERMISSIONS.RECORD_AUDIO,
+      {
+        title: 'Microphone Permission',
+        message: 'SafeRaasta records audio during an SOS so your contacts have evidence of what happened',
+        buttonNegative: 'Not now',
+        buttonPositive: 'OK',
+      }
+    );
+    return granted === PermissionsAndroid.RESULTS.GRANTED;
+  } catch (err) {
+    console.warn('Permission error:', err);
+    return false;
+  }
+};
+
+export const checkMicrophonePermission = async () => {
+  if (Platform.OS !== 'android') return false;
+  try {
+    return await PermissionsAndroid.check(PermissionsAndroid.PERMISSIONS.RECORD_AUDIO);
+  } catch (err) {
+    console.warn('Permission check error:', err);
+    return false;
+  }
+};
@@ -0,0 +1,152 @@
+// Report service: community reports of unsafe spots, shown on the map and used in route scoring
+import { BASE_URL } from '../config/backend';
+import { getAuthHeaders } from './authService';
+import { simplifyRoute } from './routeDeviationService';
+
+export const REPORT_CATEGORIES = [
+  { id: 'poor_lighting', label: 'Poor lighting', icon: '💡' },
+  { id: 'harassment', label: 'Harassment', icon: '⚠️' },
+  { id: 'deserted', label: 'Deserted stretch', icon: '🚷' },
+  { id: 'broken_road', label: 'Broken road', icon: '🚧' },
+];
+
+export const getReportCategory = id =>
+  REPORT_CATEGORIES.find(c => c.id === id) || {
+    id,
+    label: 'Report',
+    icon: '❗',
+  };
+
+// Reports just beside the route still count
+const ROUTE_MARGIN_M = 200;
+// The backend takes at most this many points per route
+const MAX_ROUTE_POINTS = 1000;
+
+/**
+ * Report an unsafe spot. Resolves to { confirmed, report }; confirmed is true when a report of
+ * the same kind was already there and this one was counted towards it.
+ */
+export const submitReport = async ({ category, latitude, longitude, note }) => {
+  const response = await fetch(`${BASE_URL}/api/reports`, {
+    method: 'POST',
+    headers: await getAuthHeaders({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify({
+      category,
+      latitude,
+      longitude,
+      note: note || undefined,
+    }),
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    const error = new Error(data.error || 'Failed to send report');
+    // A 429 carries { code: 'rate_limited', retryAfterSeconds }
+    error.data = data;
+    throw error;
+  }
+
+  return { confirmed: data.confirmed, report: data.report };
+};
+
+/**
+ * Live reports around a point, strongest first:
+ * [{ id, category, latitude, longitude, note, createdAt, confirmations, weight, mine }]
+ */
+export const fetchNearbyReports = async ({ latitude, longitude, radius }) => {
+  const meters = Math.round(radius);
+  const query = `latitude=${latitude}&longitude=${longitude}&radius=${meters}`;
+  const response = await fetch(`${BASE_URL}/api/reports?${query}`, {
+    headers: await getAuthHeaders(),
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to load reports');
+  }
+
+  return data.reports;
+};
+
+/**
+ * Reports along any of the given routes ([{ coords }]), fetched in one request. The backend
+ * measures each report against the route lines, so a long route does not need a huge radius.
+ */
+export const fetchReportsAlongRoutes = async routes => {
+  const withCoords = routes.filter(route => route.coords?.length > 0);
+  if (withCoords.length === 0) {
+    return [];
+  }
+
+  const response = await fetch(`${BASE_URL}/api/reports/along-routes`, {
+    method: 'POST',
+    headers: await getAuthHeaders({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify({
+      bufferMeters: ROUTE_MARGIN_M,
+      routes: withCoords.map(route => ({
+        coords: simplifyRoute(route.coords, MAX_ROUTE_POINTS).map(p => ({
+          latitude: p.latitude,
+          longitude: p.longitude,
+        })),
+      })),
+    }),
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to load reports');
+  }
+
+  return data.reports;
+};
+
+/**
+ * Flag someone else's report as wrong
+ */
+export const flagReport = async reportId => {
+  const response = await fetch(
+    `${BASE_URL}/api/reports/${encodeURIComponent(reportId)}/flag`,
+    {
+      method: 'POST',
+      headers: await getAuthHeaders(),
+    },
+  );
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to flag report');
+  }
+};
+
+/**
+ * Take down one of the user's own reports
+ */
+export const deleteReport = async reportId => {
+  const response = await fetch(
+    `${BASE_URL}/api/reports/${encodeURIComponent(reportId)}`,
+    {
+      method: 'DELETE',
+      headers: await getAuthHeaders(),
+    },
+  );
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to remove report');
+  }
+};
+
+export default {
+  REPORT_CATEGORIES,
+  getReportCategory,
+  submitReport,
+  fetchNearbyReports,
+  fetchReportsAlongRoutes,
+  flagReport,
+  deleteReport,
+};
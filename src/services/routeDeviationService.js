@@ -0,0 +1,186 @@
+// Route deviation service: compares live GPS fixes with the navigated route and reports
+// leaving it, heading away from it, or a long stop on an isolated stretch
+const EARTH_RADIUS_M = 6371000;
+
+export const DEVIATION_THRESHOLDS = {
+  // Off-route distance beyond normal GPS drift on a city street (the fix accuracy is added)
+  offRouteMeters: 80,
+  // Consecutive off-route fixes before asking, so one bad fix does not
+  offRouteFixes: 4,
+  // Distance gained from the route over the last three fixes that counts as turning away
+  turnAwayMeters: 60,
+  // Staying within this radius counts as stopped
+  stopRadiusMeters: 30,
+  isolatedStopSeconds: 120,
+  // An isolated stretch covers fixes this close to its start-end line
+  isolatedStretchMeters: 150,
+  // Quiet period after the user answers "I'm OK"
+  snoozeSeconds: 300,
+};
+
+const TURN_AWAY_FIXES = 3;
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+
+export const distanceMeters = (a, b) => {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) *
+      Math.cos(toRadians(b.latitude)) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+};
+
+// Flat x/y meters around an origin; accurate enough over a few kilometres
+const project = (origin, point) => ({
+  x:
+    toRadians(point.longitude - origin.longitude) *
+    EARTH_RADIUS_M *
+    Math.cos(toRadians(origin.latitude)),
+  y: toRadians(point.latitude - origin.latitude) * EARTH_RADIUS_M,
+});
+
+const distanceToSegment = (point, a, b) => {
+  const p = project(point, a);
+  const q = project(point, b);
+  const dx = q.x - p.x;
+  const dy = q.y - p.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t =
+    lengthSq > 0
+      ? Math.max(0, Math.min(1, -(p.x * dx + p.y * dy) / lengthSq))
+      : 0;
+  return Math.hypot(p.x + t * dx, p.y + t * dy);
+};
+
+/**
+ * Keep at most max points of a polyline, always including both ends
+ */
+export const simplifyRoute = (points, max) => {
+  if (points.length <= max) {
+    return points;
+  }
+  const step = (points.length - 1) / (max - 1);
+  return Array.from({ length: max }, (_, i) => points[Math.round(i * step)]);
+};
+
+/**
+ * Shortest distance in meters from a point to a polyline ([{ latitude, longitude }])
+ */
+export const distanceToRoute = (point, coords) => {
+  if (coords.length === 0) {
+    return Infinity;
+  }
+  if (coords.length === 1) {
+    return distanceMeters(point, coords[0]);
+  }
+
+  let shortest = Infinity;
+  for (let i = 1; i < coords.length; i++) {
+    shortest = Math.min(
+      shortest,
+      distanceToSegment(point, coords[i - 1], coords[i]),
+    );
+  }
+  return shortest;
+};
+
+/**
+ * Watch one navigation. Feed every fix to update(); it returns
+ * { type: 'offRoute' | 'turnedAway' | 'longStop', distance } when the user should be asked
+ * whether they are OK, else null. After an event the monitor stays quiet until acknowledge().
+ *
+ * isolatedSegments: [{ start, end }] from the route analysis
+ *
+ * @param {{ coords: Object[], isolatedSegments?: Object[] }} route - Navigated route
+ * @param {Object} thresholds - Defaults to DEVIATION_THRESHOLDS
+ */
+export const createDeviationMonitor = (
+  { coords, isolatedSegments = [] },
+  thresholds = DEVIATION_THRESHOLDS,
+) => {
+  let offRouteCount = 0;
+  let recentDistances = [];
+  let stop = null;
+  let pausedUntil = 0;
+
+  const reset = () => {
+    offRouteCount = 0;
+    recentDistances = [];
+    stop = null;
+  };
+
+  const isOnIsolatedStretch = point =>
+    isolatedSegments.some(
+      ({ start, end }) =>
+        distanceToSegment(point, start, end) <=
+        thresholds.isolatedStretchMeters,
+    );
+
+  const check = (fix, now, distance) => {
+    const tolerance =
+      thresholds.offRouteMeters + Math.min(fix.accuracy || 0, 50);
+    const offRoute = distance > tolerance;
+    offRouteCount = offRoute ? offRouteCount + 1 : 0;
+
+    recentDistances = [...recentDistances, distance].slice(-TURN_AWAY_FIXES);
+    const movingAway =
+      recentDistances.length === TURN_AWAY_FIXES &&
+      recentDistances.every((d, i) => i === 0 || d > recentDistances[i - 1]) &&
+      distance - recentDistances[0] >= thresholds.turnAwayMeters;
+
+    if (offRoute && movingAway) {
+      return 'turnedAway';
+    }
+    if (offRouteCount >= thresholds.offRouteFixes) {
+      return 'offRoute';
+    }
+
+    if (
+      !stop ||
+      distanceMeters(stop.point, fix) > thresholds.stopRadiusMeters
+    ) {
+      stop = { point: fix, since: now };
+    } else if (
+      now - stop.since >= thresholds.isolatedStopSeconds * 1000 &&
+      isOnIsolatedStretch(fix)
+    ) {
+      return 'longStop';
+    }
+    return null;
+  };
+
+  return {
+    update: fix => {
+      const now = fix.timestamp ?? Date.now();
+      if (now < pausedUntil) {
+        return null;
+      }
+
+      const distance = distanceToRoute(fix, coords);
+      const type = check(fix, now, distance);
+      if (!type) {
+        return null;
+      }
+
+      reset();
+      pausedUntil = Infinity;
+      return { type, distance: Math.round(distance) };
+    },
+
+    acknowledge: () => {
+      reset();
+      pausedUntil = Date.now() + thresholds.snoozeSeconds * 1000;
+    },
+  };
+};
+
+export default {
+  DEVIATION_THRESHOLDS,
+  distanceMeters,
+  distanceToRoute,
+  simplifyRoute,
+  createDeviationMonitor,
+};
@@ -1,9 +1,28 @@
-import { routePipeline } from '../agents/routePipeline';
+import {
+  routePipeline,
+  RouteSegmentScore,
+  RouteStretch,
+} from '../agents/routePipeline';
 import { routeDecisionAgent } from '../agents/routeDecisionAgent';
+import {
+  getScoringProfile,
+  ScoringProfileId,
+  ScoringProfileRef,
+} from '../agents/scoringProfiles';
+import { CommunityReport } from '../agents/communitySignals';
 
 /**
  * Input/Output types
  */
+export interface RouteStep {
+  instruction: string;
+  maneuver: string;
+  distance: number;
+  duration: number;
+  coords: Array<{ latitude: number; longitude: number }>;
+  endLocation: { latitude: number; longitude: number };
+}
+
 export interface GoogleRoute {
   index: number;
   coords: Array<{ latitude: number; longitude: number }>;
@@ -11,6 +30,7 @@ export interface GoogleRoute {
   distance: number;
   duration: number;
   summary?: string;
+  steps?: RouteStep[];
 }
 
 export interface AnalyzeRoutesInput {
@@ -19,6 +39,8 @@ export interface AnalyzeRoutesInput {
   destination: { latitude: number; longitude: number };
   travelTime: 'day' | 'night';
   city: string;
+  scoringProfile?: ScoringProfileId; // weights to score with, 'default' when missing
+  communityReports?: CommunityReport[]; // live reports around the routes
 }
 
 export interface AnalyzedRoute {
@@ -28,14 +50,18 @@ export interface AnalyzedRoute {
   distance: number;
   duration: number;
   summary?: string;
+  steps?: RouteStep[];
   safetyScore: number;
   safetyCategory: 'Safe' | 'Moderate' | 'Risky';
   explanation: string[];
+  isolatedSegments: RouteStretch[];
+  segmentScores: RouteSegmentScore[];
 }
 
 export interface AnalyzeRoutesOutput {
   routes: AnalyzedRoute[];
   safestRouteIndex: number;
+  scoringProfile: ScoringProfileRef; // the same for every route of a request
 }
 
 /**
@@ -45,6 +71,7 @@ export async function analyzeRoutes(
   input: AnalyzeRoutesInput
 ): Promise<AnalyzeRoutesOutput> {
   const { routes, origin, destination, travelTime, city } = input;
+  const profile = getScoringProfile(input.scoringProfile);
 
   // 1️⃣ Run full agent pipeline for each route
   const analyzedResults = await Promise.all(
@@ -55,6 +82,8 @@ export async function analyzeRoutes(
         destination,
         travelTime,
         city,
+        scoringProfile: profile.id,
+        communityReports: input.communityReports,
       })
     )
   );
@@ -87,15 +116,19 @@ export async function analyzeRoutes(
       distance: route.distance,
       duration: route.duration,
       summary: route.summary,
+      steps: route.steps,
       safetyScore: analysis?.safetyScore ?? 0,
       safetyCategory: analysis?.safetyCategory ?? 'Moderate',
       explanation: analysis?.explanation ?? [],
+      isolatedSegments: analysis?.isolatedSegments ?? [],
+      segmentScores: analysis?.segmentScores ?? [],
     };
   });
 
   return {
     routes: enrichedRoutes,
     safestRouteIndex,
+    scoringProfile: { id: profile.id, version: profile.version },
   };
 }
 
@@ -0,0 +1,77 @@
+// Safe haven service: police stations, hospitals, petrol pumps and 24x7 stores along a route,
+// for the navigation map and "navigate to nearest safe place"
+import { BASE_URL } from '../config/backend';
+import { getAuthHeaders } from './authService';
+import { distanceMeters, simplifyRoute } from './routeDeviationService';
+
+export const HAVEN_KINDS = [
+  { id: 'police_station', label: 'Police station', icon: '👮' },
+  { id: 'hospital', label: 'Hospital', icon: '🏥' },
+  { id: 'petrol_pump', label: 'Petrol pump', icon: '⛽' },
+  { id: 'open_24x7', label: '24-hour store', icon: '🏪' },
+];
+
+export const getHavenKind = id =>
+  HAVEN_KINDS.find(k => k.id === id) || {
+    id,
+    label: 'Safe place',
+    icon: '🛡️',
+  };
+
+// A short detour off the route
+const HAVEN_BUFFER_M = 500;
+// The backend takes at most this many route points
+const MAX_ROUTE_POINTS = 1000;
+
+/**
+ * Havens within a short detour of the route, closest to it first:
+ * [{ kind, name, latitude, longitude, distanceFromRoute }]
+ */
+export const fetchHavensAlongRoute = async coords => {
+  if (!coords || coords.length === 0) {
+    return [];
+  }
+
+  const response = await fetch(`${BASE_URL}/api/datasets/havens`, {
+    method: 'POST',
+    headers: await getAuthHeaders({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify({
+      bufferMeters: HAVEN_BUFFER_M,
+      coords: simplifyRoute(coords, MAX_ROUTE_POINTS).map(p => ({
+        latitude: p.latitude,
+        longitude: p.longitude,
+      })),
+    }),
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to load safe havens');
+  }
+
+  return data.havens;
+};
+
+/**
+ * The haven closest to a position in a straight line, or null when there are none
+ */
+export const findNearestHaven = (havens, position) => {
+  let nearest = null;
+  let nearestDistance = Infinity;
+  havens.forEach(haven => {
+    const distance = distanceMeters(position, haven);
+    if (distance < nearestDistance) {
+      nearest = haven;
+      nearestDistance = distance;
+    }
+  });
+  return nearest;
+};
+
+export default {
+  HAVEN_KINDS,
+  getHavenKind,
+  fetchHavensAlongRoute,
+  findNearestHaven,
+};
@@ -0,0 +1,53 @@
+// Safety PIN service: keeps the SOS safety / duress PINs on this device only
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const SAFETY_PIN_KEY = '@saferaasta/safetyPin';
+const DURESS_PIN_KEY = '@saferaasta/duressPin';
+
+const PIN_PATTERN = /^\d{4,8}$/;
+
+export const isValidPin = pin => PIN_PATTERN.test(pin || '');
+
+export const getSafetyPins = async () => {
+  const [safetyPin, duressPin] = await Promise.all([
+    AsyncStorage.getItem(SAFETY_PIN_KEY),
+    AsyncStorage.getItem(DURESS_PIN_KEY),
+  ]);
+  return { safetyPin: safetyPin || '', duressPin: duressPin || '' };
+};
+
+/**
+ * Save both PINs. An empty value clears that PIN.
+ */
+export const setSafetyPins = async ({ safetyPin, duressPin }) => {
+  if (safetyPin && !isValidPin(safetyPin)) {
+    throw new Error('Safety PIN must be 4 to 8 digits');
+  }
+  if (duressPin && !isValidPin(duressPin)) {
+    throw new Error('Duress PIN must be 4 to 8 digits');
+  }
+  if (duressPin && duressPin === safetyPin) {
+    throw new Error('Duress PIN must be different from the safety PIN');
+  }
+
+  await Promise.all([
+    safetyPin
+      ? AsyncStorage.setItem(SAFETY_PIN_KEY, safetyPin)
+      : AsyncStorage.removeItem(SAFETY_PIN_KEY),
+    duressPin
+      ? AsyncStorage.setItem(DURESS_PIN_KEY, duressPin)
+      : AsyncStorage.removeItem(DURESS_PIN_KEY),
+  ]);
+};
+
+export const isDuressPin = async pin => {
+  const { duressPin } = await getSafetyPins();
+  return Boolean(duressPin) && pin === duressPin;
+};
+
+export default {
+  isValidPin,
+  getSafetyPins,
+  setSafetyPins,
+  isDuressPin,
+};
@@ -0,0 +1,60 @@
+// SMS service: on-device SMS fallback for SOS via react-native-sms
+import SendSMS from 'react-native-sms';
+
+/**
+ * Bilingual (English + Hindi) emergency message.
+ * Uses the live tracking link when the backend issued one, otherwise a fixed map pin.
+ */
+export const buildEmergencyMessage = (name, lat, lng, trackingLink) => {
+  const localTime = new Date().toLocaleString('en-US', {
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: true,
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+  });
+
+  const locationUrl =
+    trackingLink || `https://maps.google.com/?q=${lat},${lng}`;
+  const displayName = name || 'User';
+
+  const englishMessage = `🚨 EMERGENCY ALERT\n${displayName} needs immediate help.\nLocation: ${locationUrl}\nTime: ${localTime}`;
+
+  const hindiMessage = `🚨 आपातकालीन अलर्ट\n${displayName} को तुरंत मदद की आवश्यकता है।\nस्थान: ${locationUrl}\nसमय: ${localTime}`;
+
+  return `${englishMessage}\n\n${hindiMessage}`;
+};
+
+/**
+ * Send the message to every contact from this phone.
+ * Resolves to true when the SMS was sent or queued.
+ */
+export const sendEmergencySMS = (contacts, message) =>
+  new Promise(resolve => {
+    const recipients = (contacts || []).map(c => c.phone).filter(Boolean);
+    if (recipients.length === 0) {
+      resolve(false);
+      return;
+    }
+
+    SendSMS.send(
+      {
+        body: message,
+        recipients,
+        successTypes: ['sent', 'queued'],
+        allowAndroidSendWithoutReadPermission: true,
+      },
+      (completed, cancelled, error) => {
+        if (error) {
+          console.error('SMS send failed', error);
+        }
+        resolve(Boolean(completed) && !cancelled);
+      },
+    );
+  });
+
+export default {
+  buildEmergencyMessage,
+  sendEmergencySMS,
+};
@@ -0,0 +1,171 @@
+// SOS queue: keeps SOS requests that could not reach the backend and retries them with backoff
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import sosService from './sosService';
+import safetyPinService from './safetyPinService';
+
+const QUEUE_KEY = '@saferaasta/sosQueue';
+
+const FIRST_RETRY_MS = 5000;
+const MAX_RETRY_MS = 2 * 60 * 1000;
+// Past this the location and situation in a queued SOS are stale; the on-device SMS has already
+// gone out and the user can raise a fresh SOS
+const MAX_AGE_MS = 15 * 60 * 1000;
+
+const retryDelay = attempts =>
+  Math.min(FIRST_RETRY_MS * 2 ** Math.max(0, attempts - 1), MAX_RETRY_MS);
+
+// The backend rejected the request (e.g. 400, 403): sending it again will not help. A 429 or a
+// server error (5xx) may pass later, so those stay queued.
+const isFinalResponse = error =>
+  error?.status >= 400 && error.status < 500 && error.status !== 429;
+
+/**
+ * Whether a failed SOS should be queued: no response at all, a server error or a rate limit
+ */
+export const isRetryable = error => !isFinalResponse(error);
+
+// A 429 says when the next SOS will be accepted; anything else backs off
+const nextAttemptAt = (error, attempts) =>
+  Date.now() +
+  (error?.data?.code === 'rate_limited'
+    ? error.data.retryAfterSeconds * 1000
+    : retryDelay(attempts));
+
+const readQueue = async () => {
+  const raw = await AsyncStorage.getItem(QUEUE_KEY);
+  if (!raw) {
+    return [];
+  }
+  try {
+    const queue = JSON.parse(raw);
+    return Array.isArray(queue) ? queue : [];
+  } catch (error) {
+    console.error('Corrupt SOS queue, clearing it', error);
+    return [];
+  }
+};
+
+const writeQueue = queue =>
+  queue.length > 0
+    ? AsyncStorage.setItem(QUEUE_KEY, JSON.stringify(queue))
+    : AsyncStorage.removeItem(QUEUE_KEY);
+
+/**
+ * Queued SOS requests, oldest first. Each entry:
+ * { id, payload, queuedAt, attempts, nextAttemptAt, status: 'queued' | 'retrying', lastError, smsSent, hidden }
+ * hidden: cancelled with the duress PIN, so it keeps retrying without showing anything.
+ */
+export const getQueuedSOS = async () => {
+  const queue = await readQueue();
+  const fresh = queue.filter(
+    entry => Date.now() - new Date(entry.queuedAt).getTime() < MAX_AGE_MS,
+  );
+  if (fresh.length !== queue.length) {
+    await writeQueue(fresh);
+  }
+  return fresh;
+};
+
+/**
+ * Load the queue after an app start. An attempt cut short by the app closing goes back to 'queued', due now.
+ */
+export const restoreQueue = async () => {
+  const queue = await getQueuedSOS();
+  const restored = queue.map(entry =>
+    entry.status === 'retrying'
+      ? { ...entry, status: 'queued', nextAttemptAt: Date.now() }
+      : entry,
+  );
+  await writeQueue(restored);
+  return restored;
+};
+
+/**
+ * Store an SOS that failed to send. The first retry is scheduled FIRST_RETRY_MS from now, or when
+ * a rate limit expires. The PINs are not stored: they are read again for each attempt.
+ */
+export const enqueueSOS = async (payload, error) => {
+  const queue = await getQueuedSOS();
+  const { safetyPin, duressPin, ...rest } = payload;
+  const entry = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    payload: rest,
+    queuedAt: new Date().toISOString(),
+    attempts: 1,
+    nextAttemptAt: nextAttemptAt(error, 1),
+    status: 'queued',
+    lastError: error?.message || null,
+  };
+  await writeQueue([...queue, entry]);
+  return entry;
+};
+
+export const removeQueuedSOS = async id => {
+  const queue = await getQueuedSOS();
+  await writeQueue(queue.filter(entry => entry.id !== id));
+};
+
+export const clearQueue = () => writeQueue([]);
+
+export const updateQueuedSOS = async (id, patch) => {
+  const queue = await getQueuedSOS();
+  await writeQueue(
+    queue.map(entry => (entry.id === id ? { ...entry, ...patch } : entry)),
+  );
+};
+
+/**
+ * Retry every queued SOS that is due (or all of them with force, e.g. when the app comes back to the foreground).
+ * onChange(queue) is called whenever an entry changes state.
+ * Resolves to { sent: [{ entry, response }], dropped: [{ entry, error }] }.
+ */
+export const processQueue = async ({ force = false, onChange } = {}) => {
+  const sent = [];
+  const dropped = [];
+  const queue = await getQueuedSOS();
+  const due = queue.filter(entry => force || entry.nextAttemptAt <= Date.now());
+
+  for (const entry of due) {
+    await updateQueuedSOS(entry.id, { status: 'retrying' });
+    onChange && onChange(await getQueuedSOS());
+
+    try {
+      const { safetyPin, duressPin } = await safetyPinService.getSafetyPins();
+      const response = await sosService.triggerSOS({
+        ...entry.payload,
+        safetyPin: safetyPin || undefined,
+        duressPin: duressPin || undefined,
+        queuedAt: entry.queuedAt,
+      });
+      await removeQueuedSOS(entry.id);
+      sent.push({ entry, response });
+    } catch (error) {
+      if (isFinalResponse(error)) {
+        await removeQueuedSOS(entry.id);
+        dropped.push({ entry, error });
+      } else {
+        const attempts = entry.attempts + 1;
+        await updateQueuedSOS(entry.id, {
+          status: 'queued',
+          attempts,
+          nextAttemptAt: nextAttemptAt(error, attempts),
+          lastError: error?.message || 'Network error',
+        });
+      }
+    }
+    onChange && onChange(await getQueuedSOS());
+  }
+
+  return { sent, dropped };
+};
+
+export default {
+  getQueuedSOS,
+  restoreQueue,
+  enqueueSOS,
+  removeQueuedSOS,
+  clearQueue,
+  updateQueuedSOS,
+  processQueue,
+  isRetryable,
+};
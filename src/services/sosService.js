@@ -0,0 +1,209 @@
+// SOS service: talks to the SafeRaasta backend for emergency alerts
+import { BASE_URL } from '../config/backend';
+import { getAuthHeaders } from './authService';
+
+// Incident states in which the backend is still working through contacts
+export const ACTIVE_INCIDENT_STATES = ['active'];
+
+// Give up on a hanging SOS request so it can be queued and the SMS path can start
+const TRIGGER_TIMEOUT_MS = 15000;
+
+/**
+ * Trigger an SOS. Resolves to the backend response; throws with the backend error message on failure.
+ * Repeated calls while an SOS is open resolve to that same incident (deduplicated: true).
+ * Error responses throw with error.status and error.data (the response body);
+ * a 429 has error.data = { code: 'rate_limited', scope, retryAfterSeconds }.
+ * Network failures and timeouts throw without error.data, and a signed-out user with error.code 'auth_required'.
+ */
+export const triggerSOS = async payload => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TRIGGER_TIMEOUT_MS);
+
+  let response;
+  try {
+    response = await fetch(`${BASE_URL}/api/sos`, {
+      method: 'POST',
+      headers: await getAuthHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(payload),
+      signal: controller.signal,
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    const error = new Error(data.error || 'Failed to trigger SOS');
+    // Keep the body: it may carry the incidentId and whether the backend already sent SMS
+    error.status = response.status;
+    error.data = data;
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Fetch the live state of an SOS incident
+ */
+export const getIncident = async incidentId => {
+  const response = await fetch(
+    `${BASE_URL}/api/sos/${encodeURIComponent(incidentId)}`,
+    { headers: await getAuthHeaders() },
+  );
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to load SOS status');
+  }
+
+  return data.incident;
+};
+
+/**
+ * Push the user's latest position to an open SOS incident
+ */
+export const sendLocationUpdate = async (incidentId, coords) => {
+  const response = await fetch(
+    `${BASE_URL}/api/sos/${encodeURIComponent(incidentId)}/location`,
+    {
+      method: 'POST',
+      headers: await getAuthHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({
+        latitude: coords.latitude,
+        longitude: coords.longitude,
+        accuracy: coords.accuracy,
+        timestamp: new Date().toISOString(),
+      }),
+    },
+  );
+
+  if (!response.ok) {
+    const data = await response.json();
+    throw new Error(data.error || 'Failed to share location');
+  }
+};
+
+/**
+ * Cancel an SOS with the safety PIN. Throws with the backend error (e.g. "Incorrect PIN").
+ */
+export const cancelSOS = async (incidentId, pin) => {
+  const response = await fetch(
+    `${BASE_URL}/api/sos/${encodeURIComponent(incidentId)}/cancel`,
+    {
+      method: 'POST',
+      headers: await getAuthHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ pin }),
+    },
+  );
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to cancel SOS');
+  }
+
+  return data;
+};
+
+/**
+ * Upload one encrypted audio chunk: { sequence, iv, data, mimeType, startedAt, durationMs }.
+ * Throws with error.status and error.data when the backend refused it; network failures throw without error.data.
+ */
+export const uploadEvidenceChunk = async (incidentId, chunk) => {
+  const response = await fetch(
+    `${BASE_URL}/api/sos/${encodeURIComponent(incidentId)}/evidence`,
+    {
+      method: 'POST',
+      headers: await getAuthHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(chunk),
+    },
+  );
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    const error = new Error(data.error || 'Failed to upload recording');
+    error.status = response.status;
+    error.data = data;
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Create an expiring link to the incident's audio recording. Resolves to { url, expiresAt }.
+ */
+export const createEvidenceLink = async (incidentId, options = {}) => {
+  const response = await fetch(
+    `${BASE_URL}/api/sos/${encodeURIComponent(incidentId)}/evidence/links`,
+    {
+      method: 'POST',
+      headers: await getAuthHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(options),
+    },
+  );
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to create recording link');
+  }
+
+  return data;
+};
+
+export const isIncidentActive = incident =>
+  Boolean(incident && ACTIVE_INCIDENT_STATES.includes(incident.status));
+
+/**
+ * Human-readable progress line, e.g. "Mom: no answer · Calling Dad…"
+ */
+export const describeIncident = incident => {
+  if (!incident) {
+    return '';
+  }
+
+  const steps = (incident.contacts || [])
+    .filter(c => c.attempts > 0)
+    .map(c => {
+      switch (c.status) {
+        case 'called':
+          return `Calling ${c.name}…`;
+        case 'answered':
+          return `${c.name} answered`;
+        case 'no_answer':
+          return `${c.name}: no answer`;
+        case 'failed':
+          return `${c.name}: call failed`;
+        default:
+          return null;
+      }
+    })
+    .filter(Boolean);
+
+  if (incident.status === 'escalated') {
+    steps.push(`No answer - calling ${incident.fallback?.name || 'helpline'}`);
+  } else if (incident.status === 'exhausted') {
+    steps.push('Could not reach any contact');
+  } else if (incident.status === 'cancelled') {
+    steps.push('SOS cancelled');
+  }
+
+  return steps.length > 0
+    ? steps.join(' · ')
+    : 'Contacting your emergency contacts…';
+};
+
+export default {
+  triggerSOS,
+  getIncident,
+  sendLocationUpdate,
+  cancelSOS,
+  uploadEvidenceChunk,
+  createEvidenceLink,
+  isIncidentActive,
+  describeIncident,
+};
@@ -0,0 +1,165 @@
+// SOS trigger service: hands-free ways to start the SOS countdown (shake, hardware keys, long press)
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { NativeModules, NativeEventEmitter, Platform } from 'react-native';
+
+const SETTINGS_KEY = '@saferaasta/sosTriggers';
+
+const { SosTrigger } = NativeModules;
+
+export const DEFAULT_TRIGGER_SETTINGS = {
+  shake: false,
+  keySequence: false,
+  longPress: true,
+  sensitivity: 'medium',
+  // Seconds the SOS countdown runs before the alert goes out
+  confirmSeconds: 5,
+};
+
+export const CONFIRM_SECONDS_OPTIONS = [3, 5, 10];
+
+// Higher sensitivity means a lighter shake, more time to finish a key sequence and a shorter hold
+const SENSITIVITY_PROFILES = {
+  low: {
+    shakeThresholdG: 3.2,
+    shakes: 4,
+    keyWindowMs: 2000,
+    longPressMs: 3000,
+  },
+  medium: {
+    shakeThresholdG: 2.7,
+    shakes: 3,
+    keyWindowMs: 3000,
+    longPressMs: 2000,
+  },
+  high: {
+    shakeThresholdG: 2.2,
+    shakes: 2,
+    keyWindowMs: 4000,
+    longPressMs: 1200,
+  },
+};
+
+export const SENSITIVITY_LEVELS = Object.keys(SENSITIVITY_PROFILES);
+
+// Either sequence starts the countdown; the power button is pressed quickly five times
+export const KEY_SEQUENCES = [
+  ['volume_down', 'volume_down', 'volume_down', 'volume_up'],
+  ['power', 'power', 'power', 'power', 'power'],
+];
+
+export const getSensitivityProfile = sensitivity =>
+  SENSITIVITY_PROFILES[sensitivity] || SENSITIVITY_PROFILES.medium;
+
+// Shake and key triggers need the native SosTrigger module, which only exists on Android
+export const isNativeTriggerAvailable = () =>
+  Platform.OS === 'android' && Boolean(SosTrigger);
+
+export const getTriggerSettings = async () => {
+  const raw = await AsyncStorage.getItem(SETTINGS_KEY);
+  if (!raw) {
+    return { ...DEFAULT_TRIGGER_SETTINGS };
+  }
+  try {
+    return { ...DEFAULT_TRIGGER_SETTINGS, ...JSON.parse(raw) };
+  } catch (error) {
+    console.error('Corrupt SOS trigger settings, using defaults', error);
+    return { ...DEFAULT_TRIGGER_SETTINGS };
+  }
+};
+
+export const setTriggerSettings = async settings => {
+  if (!SENSITIVITY_PROFILES[settings.sensitivity]) {
+    throw new Error('Unknown trigger sensitivity');
+  }
+  if (!CONFIRM_SECONDS_OPTIONS.includes(settings.confirmSeconds)) {
+    throw new Error('Unsupported confirmation window');
+  }
+  const next = { ...DEFAULT_TRIGGER_SETTINGS, ...settings };
+  await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(next));
+  return next;
+};
+
+/**
+ * Returns press(key) → true once the latest presses, all within windowMs, end with one of KEY_SEQUENCES
+ */
+export const createKeySequenceMatcher = windowMs => {
+  let presses = [];
+
+  return key => {
+    const now = Date.now();
+    presses = [...presses, { key, at: now }].filter(
+      p => now - p.at <= windowMs,
+    );
+
+    const matched = KEY_SEQUENCES.some(sequence => {
+      const recent = presses.slice(-sequence.length).map(p => p.key);
+      return (
+        recent.length === sequence.length &&
+        recent.every((k, i) => k === sequence[i])
+      );
+    });
+    if (matched) {
+      presses = [];
+    }
+    return matched;
+  };
+};
+
+/**
+ * Listen for the hands-free triggers enabled in settings.
+ * onTrigger(source) is called with 'shake' or 'keys'. Returns an unsubscribe function.
+ */
+export const subscribeToTriggers = (settings, onTrigger) => {
+  if (
+    !isNativeTriggerAvailable() ||
+    (!settings.shake && !settings.keySequence)
+  ) {
+    return () => {};
+  }
+
+  const profile = getSensitivityProfile(settings.sensitivity);
+  const emitter = new NativeEventEmitter(SosTrigger);
+  const subscriptions = [];
+
+  if (settings.shake) {
+    SosTrigger.startShakeDetection(profile.shakeThresholdG, profile.shakes);
+    subscriptions.push(
+      emitter.addListener('SosTriggerShake', () => onTrigger('shake')),
+    );
+  }
+
+  if (settings.keySequence) {
+    const press = createKeySequenceMatcher(profile.keyWindowMs);
+    SosTrigger.startPowerKeyDetection();
+    subscriptions.push(
+      emitter.addListener('SosTriggerKey', ({ key }) => {
+        if (press(key)) {
+          onTrigger('keys');
+        }
+      }),
+    );
+  }
+
+  return () => {
+    subscriptions.forEach(subscription => subscription.remove());
+    if (settings.shake) {
+      SosTrigger.stopShakeDetection();
+    }
+    if (settings.keySequence) {
+      SosTrigger.stopPowerKeyDetection();
+    }
+  };
+};
+
+export default {
+  DEFAULT_TRIGGER_SETTINGS,
+  CONFIRM_SECONDS_OPTIONS,
+  SENSITIVITY_LEVELS,
+  KEY_SEQUENCES,
+  getSensitivityProfile,
+  isNativeTriggerAvailable,
+  getTriggerSettings,
+  setTriggerSettings,
+  createKeySequenceMatcher,
+  subscribeToTriggers,
+};
@@ -0,0 +1,170 @@
+// Trip service: shares the active navigation with family through a public "Track my ride" link
+import { BASE_URL } from '../config/backend';
+import { getAuthHeaders } from './authService';
+
+/**
+ * Open a trip for the route being navigated. Resolves to { tripId, shareLink, eta, checkIn }.
+ * The safety PINs make the SOS the backend raises on a missed check-in cancellable.
+ */
+export const startTrip = async ({
+  route,
+  destinationName,
+  userName,
+  safetyPin,
+  duressPin,
+}) => {
+  const response = await fetch(`${BASE_URL}/api/trips`, {
+    method: 'POST',
+    headers: await getAuthHeaders({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify({
+      userName,
+      destinationName,
+      polyline: route.coords,
+      distanceMeters: route.distance,
+      durationSeconds: route.duration,
+      safetyScore: route.safetyScore ?? null,
+      safetyCategory: route.safetyCategory ?? null,
+      safetyPin: safetyPin || undefined,
+      duressPin: duressPin || undefined,
+    }),
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to start trip sharing');
+  }
+
+  return data;
+};
+
+/**
+ * Push the user's latest position to the trip. Resolves to { eta, checkIn }.
+ */
+export const sendTripLocation = async (tripId, coords) => {
+  const response = await fetch(
+    `${BASE_URL}/api/trips/${encodeURIComponent(tripId)}/location`,
+    {
+      method: 'POST',
+      headers: await getAuthHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({
+        latitude: coords.latitude,
+        longitude: coords.longitude,
+        accuracy: coords.accuracy,
+        timestamp: new Date().toISOString(),
+      }),
+    },
+  );
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to share trip location');
+  }
+
+  return data;
+};
+
+/**
+ * Move the trip to a new route and destination, e.g. the nearest safe haven, so arriving there
+ * checks the trip in. Resolves to { eta, checkIn }.
+ */
+export const rerouteTrip = async (tripId, { route, destinationName }) => {
+  const response = await fetch(
+    `${BASE_URL}/api/trips/${encodeURIComponent(tripId)}/route`,
+    {
+      method: 'POST',
+      headers: await getAuthHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({
+        destinationName,
+        polyline: route.coords,
+        distanceMeters: route.distance,
+        durationSeconds: route.duration,
+        safetyScore: route.safetyScore ?? null,
+        safetyCategory: route.safetyCategory ?? null,
+      }),
+    },
+  );
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to update the shared trip');
+  }
+
+  return data;
+};
+
+/**
+ * Confirm the user is safe, or with { extendMinutes } push the check-in deadline back.
+ * Resolves to the trip's check-in: { status, dueAt, graceMinutes, incidentId }.
+ */
+export const checkIn = async (tripId, options = {}) => {
+  const response = await fetch(
+    `${BASE_URL}/api/trips/${encodeURIComponent(tripId)}/check-in`,
+    {
+      method: 'POST',
+      headers: await getAuthHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(options),
+    },
+  );
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    const error = new Error(data.error || 'Failed to check in');
+    // A missed check-in still reports the SOS the backend opened
+    error.data = data;
+    throw error;
+  }
+
+  return data.checkIn;
+};
+
+/**
+ * The user's trips whose check-in is still due, soonest first, including ones from before this
+ * launch or sign-in. Resolves to [{ tripId, destinationName, status, checkIn }].
+ */
+export const listPendingCheckIns = async () => {
+  const response = await fetch(`${BASE_URL}/api/trips/check-ins`, {
+    headers: await getAuthHeaders(),
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to load pending check-ins');
+  }
+
+  return data.trips;
+};
+
+/**
+ * End the trip; the share link then shows it as finished
+ */
+export const endTrip = async tripId => {
+  const response = await fetch(
+    `${BASE_URL}/api/trips/${encodeURIComponent(tripId)}/end`,
+    {
+      method: 'POST',
+      headers: await getAuthHeaders(),
+    },
+  );
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to end trip');
+  }
+
+  return data;
+};
+
+export default {
+  startTrip,
+  sendTripLocation,
+  rerouteTrip,
+  checkIn,
+  listPendingCheckIns,
+  endTrip,
+};